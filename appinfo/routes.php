@@ -27,8 +27,15 @@ return [
 		['name' => 'page#filesIntegration', 'url' => '/files-integration', 'verb' => 'GET'],
 		['name' => 'settings#setCacheLocations', 'url' => '/settings/cache-locations', 'verb' => 'POST'],
 		['name' => 'settings#getCacheLocations', 'url' => '/settings/cache-locations', 'verb' => 'GET'],
+		['name' => 'settings#getEncodingPresets', 'url' => '/settings/encoding-presets', 'verb' => 'GET'],
+		['name' => 'settings#setEncodingPresets', 'url' => '/settings/encoding-presets', 'verb' => 'POST'],
+		['name' => 'settings#getVideoTypes', 'url' => '/settings/video-types', 'verb' => 'GET'],
+		['name' => 'settings#setVideoTypes', 'url' => '/settings/video-types', 'verb' => 'POST'],
 		['name' => 'cache#generateCache', 'url' => '/cache/generate', 'verb' => 'POST'],
 		['name' => 'cache#checkCache', 'url' => '/cache/check', 'verb' => 'POST'],
+		['name' => 'cache#getVideoMetadata', 'url' => '/cache/metadata', 'verb' => 'POST'],
+		['name' => 'cache#getCacheDetails', 'url' => '/cache/details', 'verb' => 'POST'],
+		['name' => 'cache#previewLadder', 'url' => '/cache/ladder-preview', 'verb' => 'POST'],
 		['name' => 'cache#batchCheckCache', 'url' => '/cache/batch-check', 'verb' => 'POST'],
 		['name' => 'cache#getProgress', 'url' => '/cache/progress/{cachePath}', 'verb' => 'GET', 'requirements' => ['cachePath' => '.+']],
 		['name' => 'cache#discoverVideos', 'url' => '/cache/discover-videos', 'verb' => 'POST'],
@@ -41,13 +48,33 @@ return [
 		
 		// Video Clipping
 		['name' => 'clip#exportClip', 'url' => '/api/export-clip', 'verb' => 'POST'],
-		
+		['name' => 'clip#getKeyframes', 'url' => '/api/clip-keyframes', 'verb' => 'POST'],
+		['name' => 'clip#getExportJobs', 'url' => '/api/clip-jobs', 'verb' => 'GET'],
+		['name' => 'clip#getExportJob', 'url' => '/api/clip-jobs/{jobId}', 'verb' => 'GET'],
+
+		// Playback Resume
+		['name' => 'playback#getContinueWatching', 'url' => '/api/playback/continue-watching', 'verb' => 'GET'],
+		['name' => 'playback#getPosition', 'url' => '/api/playback/{fileId}', 'verb' => 'GET', 'requirements' => ['fileId' => '\d+']],
+		['name' => 'playback#savePosition', 'url' => '/api/playback/{fileId}', 'verb' => 'PUT', 'requirements' => ['fileId' => '\d+']],
+
 		// Management Dashboard API
 		['name' => 'cache#getActiveJobs', 'url' => '/api/jobs/active', 'verb' => 'GET'],
+		['name' => 'job_events#stream', 'url' => '/api/jobs/events', 'verb' => 'GET'],
 		['name' => 'cache#getJobProgress', 'url' => '/api/jobs/active/{filename}', 'verb' => 'GET'],
+		['name' => 'cache#pauseJob', 'url' => '/api/jobs/pause', 'verb' => 'POST'],
+		['name' => 'cache#resumeJob', 'url' => '/api/jobs/resume', 'verb' => 'POST'],
+		['name' => 'cache#cancelJob', 'url' => '/api/jobs/cancel', 'verb' => 'POST'],
+		['name' => 'cache#retryJob', 'url' => '/api/jobs/retry', 'verb' => 'POST'],
+		['name' => 'cache#discardJob', 'url' => '/api/jobs/discard', 'verb' => 'POST'],
 		['name' => 'cache#getAutoGenerationSettings', 'url' => '/api/auto-generation', 'verb' => 'GET'],
 		['name' => 'cache#updateAutoGeneration', 'url' => '/api/auto-generation/{configKey}', 'verb' => 'PUT'],
 		['name' => 'cache#removeAutoGeneration', 'url' => '/api/auto-generation/{configKey}', 'verb' => 'DELETE'],
 		['name' => 'cache#getJobStatistics', 'url' => '/api/jobs/statistics', 'verb' => 'GET'],
+		['name' => 'cache#listCaches', 'url' => '/api/caches', 'verb' => 'GET'],
+		['name' => 'cache#deleteCaches', 'url' => '/api/caches/delete', 'verb' => 'POST'],
+		['name' => 'cache#regenerateCaches', 'url' => '/api/caches/regenerate', 'verb' => 'POST'],
+		['name' => 'cache#cleanupOrphans', 'url' => '/api/caches/orphans', 'verb' => 'POST'],
+		['name' => 'history#index', 'url' => '/api/jobs/history', 'verb' => 'GET'],
+		['name' => 'history#log', 'url' => '/api/jobs/history/{id}/log', 'verb' => 'GET', 'requirements' => ['id' => '\d+']],
 	]
 ];
@@ -11,7 +11,11 @@ use OCP\AppFramework\Bootstrap\IRegistrationContext;
 use OCP\Util;
 use OCP\AppFramework\Http\Events\AddContentSecurityPolicyEvent;
 use OCA\HyperViewer\Listener\CspListener;
+use OCA\HyperViewer\Listener\CacheRelocationListener;
+use OCP\Files\Events\Node\NodeRenamedEvent;
 use OCA\HyperViewer\BackgroundJob\AutoHlsGenerationJob;
+use OCA\HyperViewer\BackgroundJob\OrphanedCacheCleanupJob;
+use OCA\HyperViewer\Notification\Notifier;
 
 class Application extends App implements IBootstrap {
 	public const APP_ID = 'hyper_viewer';
@@ -24,6 +28,12 @@ class Application extends App implements IBootstrap {
 		// Hook CSP into pages rendered by other apps (Files/Viewer)
 		$context->registerEventListener(AddContentSecurityPolicyEvent::class, CspListener::class);
 		
+		// Keep HLS caches with their videos when these are renamed or moved
+		$context->registerEventListener(NodeRenamedEvent::class, CacheRelocationListener::class);
+		
+		// Render HLS cache and clip export notifications
+		$context->registerNotifierService(Notifier::class);
+		
 		// Settings are registered via info.xml for better compatibility
 		
 		// Register auto-generation cron job
@@ -45,5 +55,10 @@ class Application extends App implements IBootstrap {
 		if (!$jobList->has(AutoHlsGenerationJob::class, null)) {
 			$jobList->add(AutoHlsGenerationJob::class);
 		}
+
+		// Register orphaned cache cleanup cron job
+		if (!$jobList->has(OrphanedCacheCleanupJob::class, null)) {
+			$jobList->add(OrphanedCacheCleanupJob::class);
+		}
 	}
 }
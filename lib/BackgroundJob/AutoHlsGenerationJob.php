@@ -11,6 +11,9 @@ use OCP\IConfig;
 use OCP\BackgroundJob\IJobList;
 use Psr\Log\LoggerInterface;
 use OCP\AppFramework\Utility\ITimeFactory;
+use OCA\HyperViewer\Service\EncodingLadderService;
+use OCA\HyperViewer\Service\HlsCacheService;
+use OCA\HyperViewer\Service\VideoTypeService;
 
 class AutoHlsGenerationJob extends TimedJob {
 
@@ -19,6 +22,8 @@ class AutoHlsGenerationJob extends TimedJob {
 	private IConfig $config;
 	private IJobList $jobList;
 	private LoggerInterface $logger;
+	private HlsCacheService $hlsCacheService;
+	private VideoTypeService $videoTypeService;
 
 	public function __construct(
 		ITimeFactory $timeFactory,
@@ -26,7 +31,9 @@ class AutoHlsGenerationJob extends TimedJob {
 		IUserManager $userManager,
 		IConfig $config,
 		IJobList $jobList,
-		LoggerInterface $logger
+		LoggerInterface $logger,
+		HlsCacheService $hlsCacheService,
+		VideoTypeService $videoTypeService
 	) {
 		parent::__construct($timeFactory);
 		$this->rootFolder = $rootFolder;
@@ -34,6 +41,8 @@ class AutoHlsGenerationJob extends TimedJob {
 		$this->config = $config;
 		$this->jobList = $jobList;
 		$this->logger = $logger;
+		$this->hlsCacheService = $hlsCacheService;
+		$this->videoTypeService = $videoTypeService;
 
 		$this->setInterval(60 * 10);
 	}
@@ -156,11 +165,11 @@ class AutoHlsGenerationJob extends TimedJob {
 	}
 
 	/**
-	 * Find video files that don't have HLS cache yet
+	 * Find video files that don't have an HLS cache yet, or whose cache is outdated
 	 */
 	private function findNewVideoFiles($userFolder, string $directory, array $settings): array {
 		$newFiles = [];
-		$supportedMimes = ['video/quicktime', 'video/mp4'];
+		$supportedMimes = $this->videoTypeService->getSupportedMimes($settings['userId']);
 
 		try {
 			$dirNode = $userFolder->get($directory);
@@ -187,23 +196,25 @@ class AutoHlsGenerationJob extends TimedJob {
 		foreach ($folder->getDirectoryListing() as $node) {
 			if ($node instanceof \OCP\Files\File) {
 				$mimeType = $node->getMimeType();
-				if (in_array($mimeType, $supportedMimes)) {
-					// Check if HLS cache already exists
-					if (!$this->hasHlsCache($userFolder, $node->getName(), $basePath)) {
+				if ($this->videoTypeService->isSupportedFile($mimeType, $node->getName(), $supportedMimes)) {
+					// Check if a current HLS cache already exists
+					$cacheState = $this->getHlsCacheState($userFolder, $node, $basePath);
+					if ($cacheState !== 'current') {
 						$relativePath = $basePath === '/' ? '/' : $basePath;
 						$newFiles[] = [
 							'filename' => $node->getName(),
 							'directory' => $relativePath,
 							'size' => $node->getSize(),
 							'mimeType' => $mimeType,
-							'modifiedTime' => $node->getMTime()
+							'modifiedTime' => $node->getMTime(),
+							'outdated' => $cacheState === 'outdated'
 						];
 					}
 				}
 			} elseif ($node instanceof \OCP\Files\Folder) {
-				// Skip hidden directories and cache directories
+				// Skip hidden directories and cache directories (their MPEG-TS segments are not videos)
 				$folderName = $node->getName();
-				if (strpos($folderName, '.') !== 0) {
+				if (strpos($folderName, '.') !== 0 && $folderName !== 'cached_hls') {
 					$subPath = $basePath === '/' ? '/' . $folderName : $basePath . '/' . $folderName;
 					$this->scanForNewVideos($node, $subPath, $supportedMimes, $userFolder, $newFiles);
 				}
@@ -212,10 +223,13 @@ class AutoHlsGenerationJob extends TimedJob {
 	}
 
 	/**
-	 * Check if HLS cache exists for a video file
+	 * Check whether a video has an HLS cache: 'current', 'outdated' (the video changed since) or 'missing'
+	 *
+	 * An outdated cache that is already being regenerated counts as current.
 	 */
-	private function hasHlsCache($userFolder, string $filename, string $directory): bool {
-		$baseFilename = pathinfo($filename, PATHINFO_FILENAME);
+	private function getHlsCacheState($userFolder, \OCP\Files\File $videoFile, string $directory): string {
+		$baseFilename = pathinfo($videoFile->getName(), PATHINFO_FILENAME);
+		$state = 'missing';
 		
 		// Check cache locations in order of preference
 		$cacheLocations = [
@@ -225,20 +239,47 @@ class AutoHlsGenerationJob extends TimedJob {
 			'/.cached_hls/' . $baseFilename,
 		];
 
+		// The cache whose manifest names this video, also when it carries the file ID suffix
+		$linkedCache = $this->hlsCacheService->findLinkedCache($userFolder->getOwner()->getUID(), $videoFile);
+		if ($linkedCache !== null) {
+			array_unshift($cacheLocations, $userFolder->getRelativePath($linkedCache->getPath()));
+		}
+
 		foreach ($cacheLocations as $cachePath) {
 			try {
 				// Check for adaptive streaming master playlist first, fallback to single playlist
-				if ($userFolder->nodeExists($cachePath . '/master.m3u8') || 
-					$userFolder->nodeExists($cachePath . '/playlist.m3u8')) {
-					return true;
+				if (!$userFolder->nodeExists($cachePath . '/master.m3u8') &&
+					!$userFolder->nodeExists($cachePath . '/playlist.m3u8')) {
+					continue;
+				}
+
+				$cacheFolder = $userFolder->get($cachePath);
+
+				// Another video with the same base name may own this cache
+				if (!$this->hlsCacheService->belongsTo($cacheFolder, $videoFile)) {
+					continue;
+				}
+
+				if (!$this->hlsCacheService->isOutdated($cacheFolder, $videoFile) || $this->isRegenerating($cacheFolder)) {
+					return 'current';
 				}
+				$state = 'outdated';
 			} catch (\Exception $e) {
 				// Continue checking other locations
 				continue;
 			}
 		}
 
-		return false;
+		return $state;
+	}
+
+	private function isRegenerating($cacheFolder): bool {
+		if (!$cacheFolder->nodeExists('progress.json')) {
+			return false;
+		}
+
+		$progressData = json_decode($cacheFolder->get('progress.json')->getContent(), true) ?: [];
+		return in_array($progressData['status'] ?? '', ['processing', 'paused', 'queued'], true);
 	}
 
 	/**
@@ -255,18 +296,24 @@ class AutoHlsGenerationJob extends TimedJob {
 				'directory' => $fileData['directory'],
 				'cacheLocation' => $settings['cacheLocation'] ?? 'relative',
 				'customPath' => $settings['customPath'] ?? '',
-				'overwriteExisting' => $settings['overwriteExisting'] ?? false,
-				'resolutions' => $settings['resolutions'] ?? ['720p', '480p', '240p'],
+				// Outdated caches are replaced in place
+				'overwriteExisting' => ($settings['overwriteExisting'] ?? false) || $fileData['outdated'],
+				'resolutions' => $settings['resolutions'] ?? EncodingLadderService::DEFAULT_RESOLUTIONS,
+				'preset' => $settings['preset'] ?? EncodingLadderService::DEFAULT_PRESET,
+				'codecs' => $settings['codecs'] ?? [],
+				'segmentFormat' => $settings['segmentFormat'] ?? HlsCacheService::SEGMENT_FORMAT_TS,
 				'autoGenerated' => true
 			];
 
 			$this->logger->info('Queuing auto-generation HLS job', [
 				'jobId' => $jobId,
 				'filename' => $fileData['filename'],
-				'directory' => $fileData['directory']
+				'directory' => $fileData['directory'],
+				'outdated' => $fileData['outdated']
 			]);
 
 			$this->jobList->add(HlsCacheGenerationJob::class, $jobData);
+			$this->hlsCacheService->markQueued($settings['userId'], $jobData);
 		}
 	}
 
@@ -10,26 +10,49 @@ use OCP\IUserManager;
 use Psr\Log\LoggerInterface;
 use OCP\Notification\IManager as INotificationManager;
 use OCP\AppFramework\Utility\ITimeFactory;
+use OCA\HyperViewer\Service\EncodingLadderService;
+use OCA\HyperViewer\Service\FFprobeService;
+use OCA\HyperViewer\Service\HlsCacheService;
+use OCA\HyperViewer\Service\JobHistoryService;
+use OCA\HyperViewer\Service\VideoCodecService;
 
 class HlsCacheGenerationJob extends QueuedJob {
 
+	/** Written by CacheController to pause, resume or cancel a running generation */
+	public const CONTROL_FILE = 'control.json';
+
 	private IRootFolder $rootFolder;
 	private IUserManager $userManager;
 	private LoggerInterface $logger;
 	private INotificationManager $notificationManager;
+	private FFprobeService $ffprobeService;
+	private JobHistoryService $jobHistoryService;
+	private HlsCacheService $hlsCacheService;
+	private EncodingLadderService $encodingLadderService;
+	private VideoCodecService $videoCodecService;
 
 	public function __construct(
 		ITimeFactory $timeFactory,
 		IRootFolder $rootFolder,
 		IUserManager $userManager,
 		LoggerInterface $logger,
-		INotificationManager $notificationManager
+		INotificationManager $notificationManager,
+		FFprobeService $ffprobeService,
+		JobHistoryService $jobHistoryService,
+		HlsCacheService $hlsCacheService,
+		EncodingLadderService $encodingLadderService,
+		VideoCodecService $videoCodecService
 	) {
 		parent::__construct($timeFactory);
 		$this->rootFolder = $rootFolder;
 		$this->userManager = $userManager;
 		$this->logger = $logger;
 		$this->notificationManager = $notificationManager;
+		$this->ffprobeService = $ffprobeService;
+		$this->jobHistoryService = $jobHistoryService;
+		$this->hlsCacheService = $hlsCacheService;
+		$this->encodingLadderService = $encodingLadderService;
+		$this->videoCodecService = $videoCodecService;
 	}
 
 	protected function run($argument): void {
@@ -62,6 +85,13 @@ class HlsCacheGenerationJob extends QueuedJob {
 			'directory' => $directory
 		]);
 
+		$startedAt = time();
+		$resolutions = $argument['resolutions'] ?? EncodingLadderService::DEFAULT_RESOLUTIONS;
+		$preset = $argument['preset'] ?? EncodingLadderService::DEFAULT_PRESET;
+		// HEVC and AV1 renditions are encoded next to the H.264 ones
+		$codecs = $argument['codecs'] ?? [];
+		$segmentFormat = $argument['segmentFormat'] ?? HlsCacheService::SEGMENT_FORMAT_TS;
+
 		try {
 			$userFolder = $this->rootFolder->getUserFolder($userId);
 			$videoPath = $directory . '/' . $filename;
@@ -72,6 +102,9 @@ class HlsCacheGenerationJob extends QueuedJob {
 			}
 
 			$videoFile = $userFolder->get($videoPath);
+			if (!($videoFile instanceof \OCP\Files\File)) {
+				throw new \Exception("Not a video file: $videoPath");
+			}
 			$videoLocalPath = $videoFile->getStorage()->getLocalFile($videoFile->getInternalPath());
 			if (!$videoLocalPath || !file_exists($videoLocalPath)) {
 				throw new \Exception("Cannot access video file locally: $filename");
@@ -79,15 +112,15 @@ class HlsCacheGenerationJob extends QueuedJob {
 
 			// Determine cache output path
 		$cacheOutputPath = $this->determineCacheOutputPath(
-			$userFolder, 
-			$filename,
+			$userId,
+			$videoFile,
 			$directory, 
 			$cacheLocation, 
 			$customPath
 		);
 
 		// Check if cache already exists and skip if not overwriting
-		if (!$overwriteExisting && $this->cacheAlreadyExists($userFolder, $cacheOutputPath)) {
+		if (!$overwriteExisting && $this->cacheAlreadyExists($userFolder, $cacheOutputPath, $videoFile)) {
 			$this->logger->info('HLS cache already exists, skipping generation', [
 				'jobId' => $jobId,
 				'filename' => $filename,
@@ -101,15 +134,15 @@ class HlsCacheGenerationJob extends QueuedJob {
 			return;
 		}
 
-		// Generate HLS cache with adaptive bitrate ladder
-		$resolutions = $argument['resolutions'] ?? ['720p', '480p', '240p'];
-		$this->generateHlsCache($videoLocalPath, $cacheOutputPath, $filename, $overwriteExisting, $userId, $resolutions);
+		// Generate HLS cache with adaptive bitrate ladder (only the rungs the source can fill)
+		$resolutions = $this->generateHlsCache($videoLocalPath, $cacheOutputPath, $filename, $overwriteExisting, $userId, $resolutions, $videoFile, $preset, $codecs, $segmentFormat);
 
 		$this->logger->info('HLS cache generation completed', [
 			'jobId' => $jobId,
 			'filename' => $filename,
 			'cachePath' => $cacheOutputPath
 		]);
+		$this->recordHistory($userFolder, $userId, $videoPath, $cacheOutputPath, 'completed', $startedAt, $resolutions);
 
 		// Send notification if requested
 		if ($notifyCompletion) {
@@ -117,11 +150,33 @@ class HlsCacheGenerationJob extends QueuedJob {
 		}
 
 		} catch (\Exception $e) {
+			if (isset($cacheOutputPath) && $this->isCancelled($userFolder, $cacheOutputPath)) {
+				$this->logger->info('HLS cache generation cancelled by user', [
+					'jobId' => $jobId,
+					'filename' => $filename
+				]);
+				$this->recordHistory($userFolder, $userId, $videoPath, $cacheOutputPath, 'cancelled', $startedAt, $resolutions);
+				return;
+			}
+
 			$this->logger->error('HLS cache generation failed', [
 				'jobId' => $jobId,
 				'filename' => $filename,
 				'error' => $e->getMessage()
 			]);
+			if (isset($cacheOutputPath)) {
+				$this->failQueuedProgress($userFolder, $cacheOutputPath, $e->getMessage());
+			}
+			$this->recordHistory(
+				$userFolder ?? null,
+				$userId,
+				$directory . '/' . $filename,
+				$cacheOutputPath ?? null,
+				'failed',
+				$startedAt,
+				$resolutions,
+				$e->getMessage()
+			);
 
 			// Send failure notification
 			if ($notifyCompletion) {
@@ -133,36 +188,20 @@ class HlsCacheGenerationJob extends QueuedJob {
 	/**
 	 * Determine where to output the HLS cache
 	 */
-	private function determineCacheOutputPath($userFolder, string $filename, string $directory, string $cacheLocation, string $customPath): string {
-		$baseFilename = pathinfo($filename, PATHINFO_FILENAME);
-
-		switch ($cacheLocation) {
-			case 'relative':
-				return $directory . '/.cached_hls/' . $baseFilename;
-			
-			case 'home':
-				return '/.cached_hls/' . $baseFilename;
-			
-			case 'custom':
-				if (empty($customPath)) {
-					throw new \Exception('Custom cache path is required but not provided');
-				}
-				// Ensure custom path ends with .cached_hls
-				$customPath = rtrim($customPath, '/');
-				if (substr($customPath, -11) !== '.cached_hls') {
-					$customPath .= '/.cached_hls';
-				}
-				return $customPath . '/' . $baseFilename;
-			
-			default:
-				throw new \Exception("Unknown cache location: $cacheLocation");
-		}
+	private function determineCacheOutputPath(string $userId, \OCP\Files\File $videoFile, string $directory, string $cacheLocation, string $customPath): string {
+		return $this->hlsCacheService->getCacheOutputPath(
+			$userId,
+			$videoFile,
+			$this->hlsCacheService->getCacheRoot($directory, $cacheLocation, $customPath)
+		);
 	}
 
 	/**
 	 * Generate HLS cache using FFmpeg
+	 *
+	 * @return string[] The renditions that were produced
 	 */
-	private function generateHlsCache(string $videoLocalPath, string $cacheOutputPath, string $filename, bool $overwriteExisting, string $userId, array $resolutions = ['720p', '480p', '240p']): void {
+	private function generateHlsCache(string $videoLocalPath, string $cacheOutputPath, string $filename, bool $overwriteExisting, string $userId, array $resolutions = EncodingLadderService::DEFAULT_RESOLUTIONS, $videoFile = null, string $preset = EncodingLadderService::DEFAULT_PRESET, array $codecs = [], string $segmentFormat = HlsCacheService::SEGMENT_FORMAT_TS): array {
 		$this->logger->info('Generating HLS cache', [
 			'input' => $videoLocalPath,
 			'output' => $cacheOutputPath,
@@ -196,63 +235,450 @@ class HlsCacheGenerationJob extends QueuedJob {
 			throw new \Exception("Cannot access cache directory locally");
 		}
 
+		// Queueing clears the controls of an earlier run, so a cancel was sent while this job waited
+		if ($this->readControlAction($cacheLocalPath) === 'cancel') {
+			throw new \Exception('HLS generation cancelled by user');
+		}
+		@unlink($cacheLocalPath . '/' . self::CONTROL_FILE);
+
+		// The source duration turns FFmpeg's output time into a real percentage
+		$probe = $this->ffprobeService->probe($videoLocalPath);
+		$duration = $this->ffprobeService->getDuration($probe);
+
+		// Never upscale, and keep portrait and odd aspect ratios
+		$ladder = $this->encodingLadderService->plan(
+			$resolutions,
+			$probe,
+			$this->encodingLadderService->getLadder($userId, $preset)
+		);
+		if (!empty($ladder['skipped'])) {
+			$this->logger->info('Skipping renditions above the source resolution', [
+				'filename' => $filename,
+				'source' => $ladder['source'],
+				'skipped' => $ladder['skipped']
+			]);
+		}
+		$producedResolutions = array_keys($ladder['rungs']);
+		// Requested codecs without an encoder are dropped, the manifest lists only what was encoded
+		$resolvedCodecs = $this->videoCodecService->resolveCodecs($codecs);
+
 		// Acquire FFmpeg concurrency lock with retry mechanism
-		$ffmpegLockId = $this->acquireFFmpegLock();
+		$ffmpegLockId = $this->acquireFFmpegLock($cacheLocalPath, $filename, $userId);
 		if ($ffmpegLockId === false) {
 			throw new \Exception("Failed to acquire FFmpeg concurrency lock after maximum retries");
 		}
 
 		// Generate adaptive bitrate HLS ladder with fallback
 		try {
-			$this->generateAdaptiveHls($videoLocalPath, $cacheLocalPath, $filename, $resolutions);
+			$this->generateAdaptiveHls($videoLocalPath, $cacheLocalPath, $filename, $ladder['rungs'], $ffmpegLockId, $duration, $resolvedCodecs, $segmentFormat);
 		} catch (\Exception $e) {
+			if ($this->readControlAction($cacheLocalPath) === 'cancel') {
+				$this->removePartialCache($cacheLocalPath);
+				throw $e;
+			}
+
 			$this->logger->warning('Adaptive HLS generation failed, falling back to single bitrate', [
 				'error' => $e->getMessage(),
 				'filename' => $filename
 			]);
 			
-			// Fallback to single bitrate (720p)
-			$this->generateSingleHls($videoLocalPath, $cacheLocalPath, $filename);
+			// Fallback to single bitrate (720p, or the source size if smaller)
+			$fallbackRungs = $this->encodingLadderService->plan(['720p'], $probe)['rungs'];
+			$this->generateSingleHls($videoLocalPath, $cacheLocalPath, $filename, reset($fallbackRungs)['resolution']);
+			$producedResolutions = ['single'];
+			$resolvedCodecs = [VideoCodecService::H264];
+			$segmentFormat = HlsCacheService::SEGMENT_FORMAT_TS;
 		} finally {
 			// Always release the FFmpeg lock
 			$this->releaseFFmpegLock($ffmpegLockId);
 		}
+
+		// Lets players and auto-generation notice when the source is replaced, and caches follow it when moved
+		if ($videoFile instanceof \OCP\Files\File) {
+			$this->hlsCacheService->linkCache($userId, $cacheFolder, $videoFile, [
+				'renditions' => $producedResolutions,
+				'codecs' => $resolvedCodecs,
+				'segmentFormat' => $segmentFormat
+			]);
+		}
+
+		// Subtitles and scrubbing thumbnails are optional - never fail the whole cache because of them
+		if ($duration <= 0) {
+			$this->logger->warning('Unknown video duration, skipping subtitles and thumbnails', ['input' => $videoLocalPath]);
+			return $producedResolutions;
+		}
+
+		// Attach subtitle renditions to the master playlist (single bitrate fallback has no master)
+		if ($videoFile !== null && file_exists($cacheLocalPath . '/master.m3u8')) {
+			try {
+				$this->generateSubtitleTracks($videoFile, $videoLocalPath, $cacheLocalPath, $probe, $duration);
+			} catch (\Exception $e) {
+				$this->logger->warning('Subtitle track generation failed', [
+					'error' => $e->getMessage(),
+					'filename' => $filename
+				]);
+			}
+		}
+
+		try {
+			$this->generateThumbnailSprites($videoLocalPath, $cacheLocalPath, $duration);
+		} catch (\Exception $e) {
+			$this->logger->warning('Thumbnail sprite generation failed', [
+				'error' => $e->getMessage(),
+				'filename' => $filename
+			]);
+		}
+
+		return $producedResolutions;
 	}
 
 	/**
-	 * Generate adaptive bitrate HLS ladder optimized for speed and storage
+	 * Generate thumbnail sprite sheets and a WebVTT thumbnails track for seek bar previews
+	 *
+	 * Sprites are written as thumbs_001.jpg, thumbs_002.jpg, ... with up to 10x10 tiles each,
+	 * and thumbnails.vtt maps every time range to its tile via the #xywh media fragment.
 	 */
-	private function generateAdaptiveHls(string $inputPath, string $outputPath, string $filename, array $resolutions): void {
-		$this->logger->info('Starting adaptive HLS generation', [
-			'input' => $inputPath,
+	private function generateThumbnailSprites(string $inputPath, string $outputPath, float $duration): void {
+		$tileWidth = 160;
+		$tileHeight = 90;
+		$columns = 10;
+		$rows = 10;
+
+		// One tile every 2 seconds, spaced out so long videos stay at around 300 tiles
+		$interval = max(2, (int)ceil($duration / 300));
+
+		foreach (glob($outputPath . '/thumbs_*.jpg') ?: [] as $oldSprite) {
+			unlink($oldSprite);
+		}
+
+		// Decode keyframes only - tiles snap to the nearest keyframe but extraction is much faster
+		$ffmpegCmd = sprintf(
+			'/usr/local/bin/ffmpeg -y -skip_frame nokey -i %s -an -sn -vf %s -vsync vfr -q:v 5 %s 2>&1',
+			escapeshellarg($inputPath),
+			escapeshellarg(sprintf(
+				'fps=1/%d,scale=%d:%d:force_original_aspect_ratio=decrease,pad=%d:%d:(ow-iw)/2:(oh-ih)/2,tile=%dx%d',
+				$interval, $tileWidth, $tileHeight, $tileWidth, $tileHeight, $columns, $rows
+			)),
+			escapeshellarg($outputPath . '/thumbs_%03d.jpg')
+		);
+
+		$this->logger->info('Generating thumbnail sprites', ['cmd' => $ffmpegCmd]);
+
+		$output = [];
+		$returnCode = 0;
+		exec($ffmpegCmd, $output, $returnCode);
+
+		$sprites = glob($outputPath . '/thumbs_*.jpg') ?: [];
+		if ($returnCode !== 0 || empty($sprites)) {
+			throw new \Exception('FFmpeg failed to create thumbnail sprites: ' . implode("\n", array_slice($output, -5)));
+		}
+
+		$tilesPerSprite = $columns * $rows;
+		$tileCount = (int)ceil($duration / $interval);
+		$vtt = "WEBVTT\n";
+
+		for ($i = 0; $i < $tileCount; $i++) {
+			$spriteIndex = intdiv($i, $tilesPerSprite) + 1;
+			if ($spriteIndex > count($sprites)) {
+				break;
+			}
+
+			$position = $i % $tilesPerSprite;
+			$start = $i * $interval;
+			$end = min($duration, $start + $interval);
+
+			$vtt .= sprintf(
+				"\n%s --> %s\nthumbs_%03d.jpg#xywh=%d,%d,%d,%d\n",
+				$this->formatVttTimestamp($start),
+				$this->formatVttTimestamp($end),
+				$spriteIndex,
+				($position % $columns) * $tileWidth,
+				intdiv($position, $columns) * $tileHeight,
+				$tileWidth,
+				$tileHeight
+			);
+		}
+
+		file_put_contents($outputPath . '/thumbnails.vtt', $vtt);
+
+		$this->logger->info('Thumbnail sprites generated', [
+			'sprites' => count($sprites),
+			'tiles' => $tileCount,
+			'interval' => $interval
+		]);
+	}
+
+	/**
+	 * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+	 */
+	private function formatVttTimestamp(float $seconds): string {
+		$milliseconds = (int)round($seconds * 1000);
+		return sprintf(
+			'%02d:%02d:%02d.%03d',
+			intdiv($milliseconds, 3600000),
+			intdiv($milliseconds, 60000) % 60,
+			intdiv($milliseconds, 1000) % 60,
+			$milliseconds % 1000
+		);
+	}
+
+	/**
+	 * Extract embedded subtitle streams and convert sidecar .srt/.vtt files into WebVTT renditions
+	 */
+	private function generateSubtitleTracks($videoFile, string $inputPath, string $outputPath, array $probe, float $duration): void {
+		$tracks = [];
+
+		// Embedded text subtitle streams (bitmap subtitles are skipped by the probe service)
+		foreach ($this->ffprobeService->getSubtitleStreams($probe) as $stream) {
+			$trackName = 'subs_' . count($tracks);
+			$vttPath = $outputPath . '/' . $trackName . '.vtt';
+
+			$ffmpegCmd = sprintf(
+				'/usr/local/bin/ffmpeg -y -i %s -map 0:s:%d -c:s webvtt %s 2>&1',
+				escapeshellarg($inputPath),
+				$stream['index'],
+				escapeshellarg($vttPath)
+			);
+
+			$output = [];
+			$returnCode = 0;
+			exec($ffmpegCmd, $output, $returnCode);
+
+			if ($returnCode !== 0 || !file_exists($vttPath)) {
+				$this->logger->warning('Failed to extract embedded subtitle stream', [
+					'stream' => $stream,
+					'returnCode' => $returnCode,
+					'output' => implode("\n", array_slice($output, -5))
+				]);
+				continue;
+			}
+
+			$tracks[] = [
+				'name' => $trackName,
+				'language' => $stream['language'],
+				'label' => $stream['title'] ?: strtoupper($stream['language'])
+			];
+		}
+
+		// Sidecar subtitle files next to the video (take1.srt, take1.en.srt, take1.vtt, ...)
+		foreach ($this->findSidecarSubtitles($videoFile) as $sidecar) {
+			$trackName = 'subs_' . count($tracks);
+			$content = $sidecar['node']->getContent();
+
+			$vtt = $sidecar['extension'] === 'srt'
+				? $this->convertSrtToVtt($content)
+				: $this->normalizeVtt($content);
+
+			file_put_contents($outputPath . '/' . $trackName . '.vtt', $vtt);
+
+			$tracks[] = [
+				'name' => $trackName,
+				'language' => $sidecar['language'],
+				'label' => $sidecar['language'] !== 'und'
+					? strtoupper($sidecar['language'])
+					: $sidecar['node']->getName()
+			];
+		}
+
+		if (empty($tracks)) {
+			return;
+		}
+
+		foreach ($tracks as $track) {
+			$this->writeSubtitlePlaylist($outputPath, $track['name'], $duration);
+		}
+		$this->addSubtitlesToMasterPlaylist($outputPath . '/master.m3u8', $tracks);
+		if (file_exists($outputPath . '/manifest.mpd')) {
+			$this->addSubtitlesToDashManifest($outputPath . '/manifest.mpd', $tracks);
+		}
+
+		$this->logger->info('Subtitle tracks added to master playlist', [
 			'output' => $outputPath,
-			'resolutions' => $resolutions
+			'tracks' => array_column($tracks, 'label')
 		]);
+	}
 
-		// Define optimized bitrate variants with resolution-specific presets
-		$allVariants = [
-			'1080p' => ['resolution' => '1920x1080', 'bitrate' => '8000k', 'maxrate' => '12000k', 'bufsize' => '16000k', 'crf' => '18', 'preset' => 'medium', 'profile' => 'high', 'level' => '4.1', 'tune' => 'film'],
-			'720p' => ['resolution' => '1280x720', 'bitrate' => '3000k', 'maxrate' => '3600k', 'bufsize' => '6000k', 'crf' => '23', 'preset' => 'superfast'],
-			'480p' => ['resolution' => '854x480', 'bitrate' => '800k', 'maxrate' => '1000k', 'bufsize' => '1600k', 'crf' => '26', 'preset' => 'superfast'],
-			'360p' => ['resolution' => '640x360', 'bitrate' => '500k', 'maxrate' => '600k', 'bufsize' => '1000k', 'crf' => '28', 'preset' => 'superfast'],
-			'240p' => ['resolution' => '426x240', 'bitrate' => '300k', 'maxrate' => '400k', 'bufsize' => '600k', 'crf' => '30', 'preset' => 'superfast']
-		];
+	/**
+	 * Find .srt/.vtt files sharing the video's base name, optionally with a language suffix
+	 */
+	private function findSidecarSubtitles($videoFile): array {
+		$baseFilename = pathinfo($videoFile->getName(), PATHINFO_FILENAME);
+		$pattern = '/^' . preg_quote($baseFilename, '/') . '(?:\.([A-Za-z]{2,3}(?:[-_][A-Za-z]{2,4})?))?\.(srt|vtt)$/i';
+		$sidecars = [];
 
-		// Filter variants based on user selection
-		$variants = [];
-		foreach ($resolutions as $res) {
-			if (isset($allVariants[$res])) {
-				$variants[$res] = $allVariants[$res];
+		foreach ($videoFile->getParent()->getDirectoryListing() as $node) {
+			if (!($node instanceof \OCP\Files\File) || !preg_match($pattern, $node->getName(), $matches)) {
+				continue;
 			}
+
+			$sidecars[] = [
+				'node' => $node,
+				'language' => !empty($matches[1]) ? strtolower(str_replace('_', '-', $matches[1])) : 'und',
+				'extension' => strtolower($matches[2])
+			];
+		}
+
+		return $sidecars;
+	}
+
+	/**
+	 * Convert SubRip subtitles to WebVTT
+	 */
+	private function convertSrtToVtt(string $srt): string {
+		$srt = $this->stripBomAndNormalizeNewlines($srt);
+
+		// SRT uses a comma as the millisecond separator, WebVTT uses a dot
+		$vtt = preg_replace('/(\d{2}:\d{2}:\d{2}),(\d{3})/', '$1.$2', $srt);
+
+		return "WEBVTT\n\n" . trim($vtt) . "\n";
+	}
+
+	/**
+	 * Make sure a sidecar WebVTT file has the mandatory header
+	 */
+	private function normalizeVtt(string $vtt): string {
+		$vtt = $this->stripBomAndNormalizeNewlines($vtt);
+
+		if (strpos($vtt, 'WEBVTT') !== 0) {
+			$vtt = "WEBVTT\n\n" . $vtt;
+		}
+
+		return rtrim($vtt) . "\n";
+	}
+
+	private function stripBomAndNormalizeNewlines(string $text): string {
+		$text = preg_replace('/^\xEF\xBB\xBF/', '', $text);
+		return str_replace(["\r\n", "\r"], "\n", $text);
+	}
+
+	/**
+	 * Write a single-segment HLS playlist wrapping a WebVTT file
+	 */
+	private function writeSubtitlePlaylist(string $outputPath, string $trackName, float $duration): void {
+		$playlist = "#EXTM3U\n" .
+			"#EXT-X-VERSION:3\n" .
+			'#EXT-X-TARGETDURATION:' . (int)ceil($duration) . "\n" .
+			"#EXT-X-MEDIA-SEQUENCE:0\n" .
+			"#EXT-X-PLAYLIST-TYPE:VOD\n" .
+			sprintf("#EXTINF:%.3f,\n", $duration) .
+			$trackName . ".vtt\n" .
+			"#EXT-X-ENDLIST\n";
+
+		file_put_contents($outputPath . '/' . $trackName . '.m3u8', $playlist);
+	}
+
+	/**
+	 * Declare subtitle renditions in the master playlist and link them to every variant
+	 */
+	private function addSubtitlesToMasterPlaylist(string $masterPath, array $tracks): void {
+		$mediaLines = [];
+		$usedLabels = [];
+
+		foreach ($tracks as $index => $track) {
+			// NAME must be unique within a rendition group
+			$label = str_replace('"', "'", $track['label']);
+			if (isset($usedLabels[$label])) {
+				$label .= ' (' . ($index + 1) . ')';
+			}
+			$usedLabels[$label] = true;
+
+			$mediaLines[] = sprintf(
+				'#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="%s",LANGUAGE="%s",DEFAULT=NO,AUTOSELECT=YES,URI="%s.m3u8"',
+				$label,
+				preg_replace('/[^A-Za-z-]/', '', $track['language']),
+				$track['name']
+			);
+		}
+
+		$patched = [];
+		$mediaInserted = false;
+
+		foreach (explode("\n", file_get_contents($masterPath)) as $line) {
+			// Drop subtitle renditions left over from a previous run
+			if (strpos($line, '#EXT-X-MEDIA:TYPE=SUBTITLES') === 0) {
+				continue;
+			}
+
+			if (strpos($line, '#EXT-X-STREAM-INF:') === 0) {
+				if (!$mediaInserted) {
+					array_push($patched, ...$mediaLines);
+					$patched[] = '';
+					$mediaInserted = true;
+				}
+				$line = preg_replace('/,SUBTITLES="[^"]*"/', '', $line) . ',SUBTITLES="subs"';
+			}
+
+			$patched[] = $line;
+		}
+
+		file_put_contents($masterPath, implode("\n", $patched));
+	}
+
+	/**
+	 * Declare subtitle renditions in the DASH manifest, one text adaptation set per WebVTT file
+	 */
+	private function addSubtitlesToDashManifest(string $manifestPath, array $tracks): void {
+		$document = new \DOMDocument();
+		if (!@$document->load($manifestPath)) {
+			throw new \Exception('Cannot parse DASH manifest');
+		}
+
+		$namespace = $document->documentElement->namespaceURI;
+		$period = $document->getElementsByTagNameNS($namespace, 'Period')->item(0);
+		if ($period === null) {
+			throw new \Exception('DASH manifest has no period');
 		}
 
+		foreach ($tracks as $track) {
+			$adaptationSet = $document->createElementNS($namespace, 'AdaptationSet');
+			$adaptationSet->setAttribute('contentType', 'text');
+			$adaptationSet->setAttribute('mimeType', 'text/vtt');
+			$adaptationSet->setAttribute('lang', preg_replace('/[^A-Za-z-]/', '', $track['language']));
+
+			$label = $document->createElementNS($namespace, 'Label');
+			$label->appendChild($document->createTextNode($track['label']));
+			$adaptationSet->appendChild($label);
+
+			$representation = $document->createElementNS($namespace, 'Representation');
+			$representation->setAttribute('id', $track['name']);
+			$representation->setAttribute('bandwidth', '256');
+			$representation->appendChild($document->createElementNS($namespace, 'BaseURL', $track['name'] . '.vtt'));
+			$adaptationSet->appendChild($representation);
+
+			$period->appendChild($adaptationSet);
+		}
+
+		$document->save($manifestPath);
+	}
+
+	/**
+	 * Generate adaptive bitrate HLS ladder optimized for speed and storage
+	 *
+	 * CMAF caches are written by FFmpeg's DASH muxer, which also writes master.m3u8 and one
+	 * media_<stream>.m3u8 per rendition, so HLS and DASH players share the same fMP4 segments.
+	 *
+	 * @param array $variants Planned rungs from EncodingLadderService::plan(), keyed by name
+	 * @param string[] $codecs From VideoCodecService::resolveCodecs(), H.264 first
+	 * @param string $segmentFormat HlsCacheService::SEGMENT_FORMAT_TS or SEGMENT_FORMAT_CMAF
+	 */
+	private function generateAdaptiveHls(string $inputPath, string $outputPath, string $filename, array $variants, string $ffmpegLockId, float $duration, array $codecs = [VideoCodecService::H264], string $segmentFormat = HlsCacheService::SEGMENT_FORMAT_TS): void {
+		$isCmaf = $segmentFormat === HlsCacheService::SEGMENT_FORMAT_CMAF;
+		$this->logger->info('Starting adaptive HLS generation', [
+			'input' => $inputPath,
+			'output' => $outputPath,
+			'renditions' => array_column($variants, 'resolution'),
+			'codecs' => $codecs,
+			'segmentFormat' => $segmentFormat
+		]);
+
 		if (empty($variants)) {
 			throw new \Exception('No valid resolutions selected');
 		}
 
 		// Build FFmpeg command for adaptive streaming (FFmpeg 4.4.x compatible)
 		// Add flags to reduce file locking issues with WebDAV
-		$ffmpegCmd = '/usr/local/bin/ffmpeg -y -fflags +genpts -avoid_negative_ts make_zero -i ' . escapeshellarg($inputPath);
+		// exec replaces the shell, so the process we start is FFmpeg itself and can be paused or stopped
+		$ffmpegCmd = 'exec /usr/local/bin/ffmpeg -y -fflags +genpts -avoid_negative_ts make_zero -i ' . escapeshellarg($inputPath);
 		
 		// Detect input format and add format-specific optimization flags
 		$fileExtension = strtolower(pathinfo($inputPath, PATHINFO_EXTENSION));
@@ -284,68 +710,100 @@ class HlsCacheGenerationJob extends QueuedJob {
 		}
 		
 		// Map video and audio streams for each variant (separate audio per variant for FFmpeg 4.4.x)
+		// H.264 comes first so it stays the default when the player cannot decode the other codecs
+		$streamMaps = [];
+		$adaptationSets = [];
 		$streamIndex = 0;
-		foreach ($variants as $name => $variant) {
-			// Map video stream for this variant
-			$videoCmd = sprintf(
-				' -map 0:v:0 -c:v:%d libx264 -preset %s -crf %s -maxrate %s -bufsize %s -s:v:%d %s',
-				$streamIndex, $variant['preset'], $variant['crf'], $variant['maxrate'], $variant['bufsize'], $streamIndex, $variant['resolution']
-			);
-			
-			// Add profile (use 'high' for 1080p, 'main' for others)
-			$profile = isset($variant['profile']) ? $variant['profile'] : 'main';
-			$videoCmd .= sprintf(' -profile:v:%d %s', $streamIndex, $profile);
-			
-			// Add level for 1080p (better compatibility and quality)
-			if (isset($variant['level'])) {
-				$videoCmd .= sprintf(' -level:v:%d %s', $streamIndex, $variant['level']);
-			}
-			
-			// Add tune for 1080p (optimizes for film content)
-			if (isset($variant['tune'])) {
-				$videoCmd .= sprintf(' -tune:%d %s', $streamIndex, $variant['tune']);
+		foreach ($codecs as $codec) {
+			$codecStreams = [];
+			foreach ($variants as $name => $variant) {
+				if ($codec === VideoCodecService::H264) {
+					// Map video stream for this variant
+					$videoCmd = sprintf(
+						' -map 0:v:0 -c:v:%1$d libx264 -preset:v:%1$d %2$s -crf:v:%1$d %3$s -maxrate:v:%1$d %4$s -bufsize:v:%1$d %5$s -s:v:%1$d %6$s',
+						$streamIndex, $variant['preset'], $variant['crf'], $variant['maxrate'], $variant['bufsize'], $variant['resolution']
+					);
+					
+					// Add profile (use 'high' for 1080p, 'main' for others)
+					$profile = isset($variant['profile']) ? $variant['profile'] : 'main';
+					$videoCmd .= sprintf(' -profile:v:%d %s', $streamIndex, $profile);
+					
+					// Add level for 1080p (better compatibility and quality)
+					if (isset($variant['level'])) {
+						$videoCmd .= sprintf(' -level:v:%d %s', $streamIndex, $variant['level']);
+					}
+					
+					// Add tune for 1080p (optimizes for film content)
+					if (isset($variant['tune'])) {
+						$videoCmd .= sprintf(' -tune:v:%d %s', $streamIndex, $variant['tune']);
+					}
+					
+					// Add additional quality flags for the built-in 1080p rung
+					if (!empty($variant['highQuality'])) {
+						$videoCmd .= sprintf(' -refs:v:%1$d 6 -me_method:v:%1$d hex -subq:v:%1$d 8 -trellis:v:%1$d 2 -bf:v:%1$d 3 -b_strategy:v:%1$d 2 -coder:v:%1$d 1', $streamIndex);
+					}
+				} else {
+					$videoCmd = $this->videoCodecService->buildEncoderOptions($codec, $streamIndex, $variant);
+				}
+				
+				$ffmpegCmd .= $videoCmd;
+				
+				if (!$isCmaf) {
+					// Map audio stream for this variant (each variant needs its own audio for FFmpeg 4.4.x)
+					$ffmpegCmd .= sprintf(' -map 0:a:0 -c:a:%d aac -b:a:%d %s', $streamIndex, $streamIndex, $variant['audioBitrate'] ?? '128k');
+				}
+				
+				// Each variant has its own video and audio stream
+				$streamMaps[] = "v:$streamIndex,a:$streamIndex,name:" . $this->videoCodecService->getVariantName($name, $codec);
+				$codecStreams[] = $streamIndex;
+				$streamIndex++;
 			}
-			
-			// Add additional quality flags for 1080p
-			if ($name === '1080p') {
-				$videoCmd .= sprintf(' -refs:%d 6 -me_method:%d hex -subq:%d 8 -trellis:%d 2 -bf:%d 3 -b_strategy:%d 2 -coder:%d 1', 
-					$streamIndex, $streamIndex, $streamIndex, $streamIndex, $streamIndex, $streamIndex, $streamIndex);
+
+			// DASH players switch between renditions of one codec only
+			$adaptationSets[] = 'id=' . count($adaptationSets) . ',streams=' . implode(',', $codecStreams);
+		}
+
+		if ($isCmaf) {
+			// Every rendition shares one audio track, at the bitrate of the top rung
+			$ffmpegCmd .= sprintf(' -map 0:a:0 -c:a:0 aac -b:a:0 %s', $variants[array_key_first($variants)]['audioBitrate'] ?? '128k');
+			$adaptationSets[] = 'id=' . count($adaptationSets) . ',streams=a';
+
+			// Keyframes at every segment boundary keep the renditions switchable
+			$ffmpegCmd .= ' -force_key_frames ' . escapeshellarg('expr:gte(t,n_forced*6)');
+
+			// The DASH muxer writes manifest.mpd and, with hls_playlist, master.m3u8 for the same segments
+			$ffmpegCmd .= ' -f dash -dash_segment_type mp4 -seg_duration 6 -use_template 1 -use_timeline 1 -hls_playlist 1';
+			$ffmpegCmd .= ' -init_seg_name ' . escapeshellarg('init_$RepresentationID$.m4s');
+			$ffmpegCmd .= ' -media_seg_name ' . escapeshellarg('chunk_$RepresentationID$_$Number%05d$.m4s');
+			$ffmpegCmd .= ' -adaptation_sets ' . escapeshellarg(implode(' ', $adaptationSets));
+			$ffmpegCmd .= ' ' . escapeshellarg($outputPath . '/manifest.mpd');
+		} else {
+			// HLS options optimized for adaptive streaming
+			$ffmpegCmd .= ' -f hls -hls_time 6 -hls_playlist_type vod -hls_flags independent_segments';
+			$ffmpegCmd .= ' -master_pl_name master.m3u8';
+
+			// HEVC and AV1 cannot be carried in MPEG-TS segments, so those ladders use fragmented MP4 throughout
+			if (count($codecs) > 1) {
+				$ffmpegCmd .= ' -hls_segment_type fmp4 -hls_fmp4_init_filename init_%v.mp4';
 			}
 			
-			$ffmpegCmd .= $videoCmd;
+			$varStreamMap = implode(' ', $streamMaps);
+			// Don't use escapeshellarg here - it adds extra quotes that break the command
+			$ffmpegCmd .= ' -var_stream_map "' . $varStreamMap . '"';
 			
-			// Map audio stream for this variant (each variant needs its own audio for FFmpeg 4.4.x)
-			$ffmpegCmd .= sprintf(' -map 0:a:0 -c:a:%d aac -b:a:%d 128k', $streamIndex, $streamIndex);
-			$streamIndex++;
-		}
-
-		// HLS options optimized for adaptive streaming
-		$ffmpegCmd .= ' -f hls -hls_time 6 -hls_playlist_type vod -hls_flags independent_segments';
-		$ffmpegCmd .= ' -master_pl_name master.m3u8';
-		
-		// Build var_stream_map - each variant has its own video and audio stream
-		$streamMaps = [];
-		$streamIndex = 0;
-		foreach ($variants as $name => $variant) {
-			$streamMaps[] = "v:$streamIndex,a:$streamIndex,name:$name";
-			$streamIndex++;
+			// Output pattern for variant playlists
+			$ffmpegCmd .= ' ' . escapeshellarg($outputPath . '/playlist_%v.m3u8');
 		}
-		$varStreamMap = implode(' ', $streamMaps);
-		// Don't use escapeshellarg here - it adds extra quotes that break the command
-		$ffmpegCmd .= ' -var_stream_map "' . $varStreamMap . '"';
-		
-		// Output pattern for variant playlists
-		$ffmpegCmd .= ' ' . escapeshellarg($outputPath . '/playlist_%v.m3u8');
 
 		// Add progress output to log file for real-time tracking
 		$logFile = $outputPath . '/generation.log';
 		$progressFile = $outputPath . '/progress.json';
 		
 		// Initialize progress file BEFORE starting FFmpeg
-		$this->initializeProgressFile($progressFile, $filename, $resolutions);
+		$this->initializeProgressFile($progressFile, $filename, array_keys($variants), $duration);
 		
-		// Add progress piping to FFmpeg command
-		$ffmpegCmd .= ' -progress ' . escapeshellarg($progressFile . '.raw') . ' 2>&1 | tee ' . escapeshellarg($logFile);
+		// Add progress output to FFmpeg command (the console output is copied to the log while reading it)
+		$ffmpegCmd .= ' -progress ' . escapeshellarg($progressFile . '.raw');
 
 		$this->logger->info('Executing optimized FFmpeg command', ['cmd' => $ffmpegCmd]);
 
@@ -363,7 +821,12 @@ class HlsCacheGenerationJob extends QueuedJob {
 		]);
 		
 		// Execute FFmpeg with real-time progress monitoring
-		$this->executeFFmpegWithProgress($ffmpegCmd, $progressFile, $output, $returnCode);
+		$this->executeFFmpegWithProgress($ffmpegCmd, $progressFile, $logFile, $ffmpegLockId, $output, $returnCode);
+
+		if ($this->readControlAction($outputPath) === 'cancel') {
+			$this->updateProgressFileCompletion($progressFile, false, '', 'cancelled');
+			throw new \Exception('HLS generation cancelled by user');
+		}
 
 		// Check if FFmpeg actually succeeded by analyzing output
 		$outputText = implode("\n", $output);
@@ -395,10 +858,67 @@ class HlsCacheGenerationJob extends QueuedJob {
 			'output' => implode("\n", array_slice($output, -5))
 		]);
 
+		// FFmpeg's HLS muxer does not write the CODECS of every codec, and the player needs them to pick a playable variant
+		if (!$isCmaf && count($codecs) > 1) {
+			$this->declareVariantCodecs($outputPath);
+		}
+
+		// Players prefer the DASH manifest, so a cache regenerated in the other format must not keep the previous one
+		$stalePlaylists = $isCmaf
+			? (glob($outputPath . '/playlist_*.m3u8') ?: [])
+			: array_merge([$outputPath . '/manifest.mpd'], glob($outputPath . '/media_*.m3u8') ?: []);
+		foreach ($stalePlaylists as $stalePlaylist) {
+			@unlink($stalePlaylist);
+		}
+
 		// Update progress file to indicate completion (clear any error field)
 		$this->updateProgressFileCompletion($progressFile, true);
 	}
 
+	/**
+	 * Set the CODECS attribute of every variant in the master playlist from its init segment
+	 */
+	private function declareVariantCodecs(string $outputPath): void {
+		$masterPath = $outputPath . '/master.m3u8';
+		if (!file_exists($masterPath)) {
+			return;
+		}
+
+		$lines = file($masterPath, FILE_IGNORE_NEW_LINES);
+		foreach ($lines as $index => $line) {
+			if (strpos($line, '#EXT-X-STREAM-INF:') !== 0 || !isset($lines[$index + 1])) {
+				continue;
+			}
+			if (!preg_match('/^playlist_(.+)\.m3u8$/', trim($lines[$index + 1]), $matches)) {
+				continue;
+			}
+
+			$initSegment = $outputPath . '/init_' . $matches[1] . '.mp4';
+			if (!file_exists($initSegment)) {
+				continue;
+			}
+
+			$codecStrings = [];
+			foreach ($this->ffprobeService->probe($initSegment)['streams'] as $stream) {
+				$codecString = $this->videoCodecService->getCodecString($stream);
+				if ($codecString === null) {
+					continue 2;
+				}
+				$codecStrings[] = $codecString;
+			}
+			if (empty($codecStrings)) {
+				continue;
+			}
+
+			$attribute = 'CODECS="' . implode(',', $codecStrings) . '"';
+			$lines[$index] = preg_match('/CODECS="[^"]*"/', $line)
+				? preg_replace('/CODECS="[^"]*"/', $attribute, $line)
+				: $line . ',' . $attribute;
+		}
+
+		file_put_contents($masterPath, implode("\n", $lines) . "\n");
+	}
+
 	/**
 	 * Check if FFmpeg output indicates successful completion
 	 */
@@ -440,6 +960,7 @@ class HlsCacheGenerationJob extends QueuedJob {
 		
 		// If we have HLS files created and no clear errors, consider it successful
 		return file_exists($outputPath . '/master.m3u8') || 
+			   file_exists($outputPath . '/manifest.mpd') ||
 			   file_exists($outputPath . '/playlist.m3u8') ||
 			   !empty(glob($outputPath . '/playlist_*.m3u8'));
 	}
@@ -447,11 +968,13 @@ class HlsCacheGenerationJob extends QueuedJob {
 	/**
 	 * Initialize progress tracking file
 	 */
-	private function initializeProgressFile(string $progressFile, string $filename, array $resolutions): void {
+	private function initializeProgressFile(string $progressFile, string $filename, array $resolutions, float $duration): void {
 		$progressData = [
 			'status' => 'processing',
 			'filename' => $filename,
 			'resolutions' => $resolutions,
+			'duration' => $duration, // Source duration in seconds (0 if unknown)
+			'processedSeconds' => 0,
 			'progress' => 0,
 			'frame' => 0,
 			'fps' => 0,
@@ -462,7 +985,9 @@ class HlsCacheGenerationJob extends QueuedJob {
 			'startTime' => time(),
 			'lastUpdate' => time(),
 			'completed' => false,
-			'error' => null
+			'error' => null,
+			// Lets the dashboard queue the same job again
+			'jobArguments' => $this->argument
 		];
 
 		// Ensure directory exists
@@ -478,10 +1003,10 @@ class HlsCacheGenerationJob extends QueuedJob {
 	/**
 	 * Update progress file when generation completes
 	 */
-	private function updateProgressFileCompletion(string $progressFile, bool $success, string $error = ''): void {
+	private function updateProgressFileCompletion(string $progressFile, bool $success, string $error = '', ?string $status = null): void {
 		if (file_exists($progressFile)) {
 			$progressData = json_decode(file_get_contents($progressFile), true) ?: [];
-			$progressData['status'] = $success ? 'completed' : 'failed';
+			$progressData['status'] = $status ?? ($success ? 'completed' : 'failed');
 			$progressData['completed'] = $success;
 			$progressData['progress'] = $success ? 100 : $progressData['progress'];
 			$progressData['lastUpdate'] = time();
@@ -532,9 +1057,9 @@ class HlsCacheGenerationJob extends QueuedJob {
 	}
 
 	/**
-	 * Generate single bitrate HLS as fallback (720p)
+	 * Generate single bitrate HLS as fallback (720p settings at the given size)
 	 */
-	private function generateSingleHls(string $inputPath, string $outputPath, string $filename): void {
+	private function generateSingleHls(string $inputPath, string $outputPath, string $filename, string $resolution): void {
 		$this->logger->info('Starting single bitrate HLS generation (fallback)', [
 			'input' => $inputPath,
 			'output' => $outputPath
@@ -543,7 +1068,7 @@ class HlsCacheGenerationJob extends QueuedJob {
 		// Simple single-bitrate HLS command (720p with higher bitrate)
 		// Add flags to reduce file locking issues with WebDAV
 		$ffmpegCmd = '/usr/local/bin/ffmpeg -y -fflags +genpts -avoid_negative_ts make_zero -i ' . escapeshellarg($inputPath) .
-			' -c:v libx264 -preset superfast -crf 23 -maxrate 3600k -bufsize 6000k -s 1280x720' .
+			' -c:v libx264 -preset superfast -crf 23 -maxrate 3600k -bufsize 6000k -s ' . $resolution .
 			' -c:a aac -b:a 128k' .
 			' -f hls -hls_time 6 -hls_playlist_type vod -hls_flags independent_segments' .
 			' ' . escapeshellarg($outputPath . '/playlist.m3u8');
@@ -608,9 +1133,13 @@ class HlsCacheGenerationJob extends QueuedJob {
 
 	/**
 	 * Execute FFmpeg with real-time progress monitoring
+	 *
+	 * Also copies the console output to $logFile and applies pause, resume and cancel
+	 * requests that the dashboard writes to the control file next to the progress file.
 	 */
-	private function executeFFmpegWithProgress(string $ffmpegCmd, string $progressFile, array &$output, int &$returnCode): void {
+	private function executeFFmpegWithProgress(string $ffmpegCmd, string $progressFile, string $logFile, string $ffmpegLockId, array &$output, int &$returnCode): void {
 		$progressRawFile = $progressFile . '.raw';
+		$outputPath = dirname($progressFile);
 		
 		// Start FFmpeg process
 		$descriptorspec = [
@@ -626,6 +1155,12 @@ class HlsCacheGenerationJob extends QueuedJob {
 			// Close stdin
 			fclose($pipes[0]);
 			
+			// Record the FFmpeg PID with our lock so stale processes can be found
+			$pid = proc_get_status($process)['pid'];
+			$this->updateFFmpegLock($ffmpegLockId, ['ffmpegPid' => $pid]);
+			$log = fopen($logFile, 'w');
+			$appliedAction = null;
+			
 			// Read output in real-time
 			stream_set_blocking($pipes[1], false);
 			stream_set_blocking($pipes[2], false);
@@ -639,9 +1174,15 @@ class HlsCacheGenerationJob extends QueuedJob {
 				
 				if ($stdout !== false && $stdout !== '') {
 					$output[] = $stdout;
+					if ($log) {
+						fwrite($log, $stdout);
+					}
 				}
 				if ($stderr !== false && $stderr !== '') {
 					$output[] = $stderr;
+					if ($log) {
+						fwrite($log, $stderr);
+					}
 				}
 				
 				// Parse progress from the .raw file that FFmpeg writes to
@@ -651,21 +1192,161 @@ class HlsCacheGenerationJob extends QueuedJob {
 					break;
 				}
 				
+				// Apply dashboard controls once each
+				$action = $this->readControlAction($outputPath);
+				if ($action !== $appliedAction) {
+					$this->applyControlAction($action, $pid, $progressFile);
+					$appliedAction = $action;
+				}
+				
 				usleep(100000); // 0.1 second
 			}
 			
 			// Close pipes
 			fclose($pipes[1]);
 			fclose($pipes[2]);
+			if ($log) {
+				fclose($log);
+			}
 			
-			// Get return code
-			$returnCode = proc_close($process);
+			// Get return code (proc_close can't report it once proc_get_status saw the exit)
+			$closeCode = proc_close($process);
+			$returnCode = $status['exitcode'] >= 0 ? $status['exitcode'] : $closeCode;
 		} else {
 			$returnCode = -1;
 			$output[] = 'Failed to start FFmpeg process';
 		}
 	}
 
+	/**
+	 * Read the pending control action ('pause', 'resume' or 'cancel') for a cache directory
+	 */
+	private function readControlAction(string $cacheLocalPath): ?string {
+		$controlFile = $cacheLocalPath . '/' . self::CONTROL_FILE;
+		if (!file_exists($controlFile)) {
+			return null;
+		}
+
+		$control = json_decode((string)file_get_contents($controlFile), true);
+		return is_array($control) ? ($control['action'] ?? null) : null;
+	}
+
+	/**
+	 * Signal the running FFmpeg process and reflect the new state in the progress file
+	 */
+	private function applyControlAction(?string $action, int $pid, string $progressFile): void {
+		switch ($action) {
+			case 'pause':
+				exec('kill -STOP ' . $pid);
+				$status = 'paused';
+				break;
+			case 'resume':
+				exec('kill -CONT ' . $pid);
+				$status = 'processing';
+				break;
+			case 'cancel':
+				// A stopped process only handles TERM once it is continued
+				exec('kill -CONT ' . $pid);
+				exec('kill -TERM ' . $pid);
+				$status = 'cancelled';
+				break;
+			default:
+				return;
+		}
+
+		$this->logger->info('Applied HLS job control', ['action' => $action, 'pid' => $pid]);
+
+		$progressData = json_decode((string)file_get_contents($progressFile), true) ?: [];
+		$progressData['status'] = $status;
+		$progressData['lastUpdate'] = time();
+		file_put_contents($progressFile, json_encode($progressData, JSON_PRETTY_PRINT));
+	}
+
+	/**
+	 * Add the finished run to the job history, with the size and log of its cache folder
+	 *
+	 * A failed run prefers the error FFmpeg reported in progress.json over the exception message.
+	 */
+	private function recordHistory($userFolder, string $userId, string $videoPath, ?string $cacheOutputPath, string $status, int $startedAt, array $resolutions, string $error = ''): void {
+		$outputSize = 0;
+		$logFile = '';
+
+		try {
+			if ($userFolder !== null && $cacheOutputPath !== null && $userFolder->nodeExists($cacheOutputPath)) {
+				$cacheFolder = $userFolder->get($cacheOutputPath);
+				$cacheLocalPath = $cacheFolder->getStorage()->getLocalFile($cacheFolder->getInternalPath());
+				if ($cacheLocalPath && is_dir($cacheLocalPath)) {
+					foreach (glob($cacheLocalPath . '/*') ?: [] as $file) {
+						if (is_file($file) && !in_array(basename($file), ['progress.json', 'generation.log', self::CONTROL_FILE], true)) {
+							$outputSize += (int)filesize($file);
+						}
+					}
+					$logFile = $cacheLocalPath . '/generation.log';
+
+					$progressData = json_decode((string)@file_get_contents($cacheLocalPath . '/progress.json'), true);
+					if ($status === 'failed' && !empty($progressData['error'])) {
+						$error = $progressData['error'];
+					}
+				}
+			}
+		} catch (\Exception $e) {
+			$this->logger->debug('Could not inspect cache folder for job history', ['error' => $e->getMessage()]);
+		}
+
+		$this->jobHistoryService->record($userId, [
+			'type' => 'hls',
+			'sourcePath' => '/' . ltrim(str_replace('//', '/', $videoPath), '/'),
+			'outputPath' => $cacheOutputPath,
+			'status' => $status,
+			'resolutions' => $resolutions,
+			'startedAt' => $startedAt,
+			'finishedAt' => time(),
+			'outputSize' => $outputSize,
+			'error' => $status === 'failed' ? $error : null,
+			'logFile' => $logFile
+		]);
+	}
+
+	/**
+	 * Whether the user cancelled generation of the cache at $cacheOutputPath
+	 */
+	private function isCancelled($userFolder, string $cacheOutputPath): bool {
+		try {
+			$cacheFolder = $userFolder->get($cacheOutputPath);
+			$cacheLocalPath = $cacheFolder->getStorage()->getLocalFile($cacheFolder->getInternalPath());
+			return $cacheLocalPath && $this->readControlAction($cacheLocalPath) === 'cancel';
+		} catch (\Exception $e) {
+			return false;
+		}
+	}
+
+	/**
+	 * Mark a job failed that stopped before FFmpeg took over its progress file
+	 */
+	private function failQueuedProgress($userFolder, string $cacheOutputPath, string $error): void {
+		try {
+			$cacheFolder = $userFolder->get($cacheOutputPath);
+			$cacheLocalPath = $cacheFolder->getStorage()->getLocalFile($cacheFolder->getInternalPath());
+			$progressData = json_decode((string)@file_get_contents($cacheLocalPath . '/progress.json'), true);
+			if (($progressData['status'] ?? null) === 'queued') {
+				$this->updateProgressFileCompletion($cacheLocalPath . '/progress.json', false, $error);
+			}
+		} catch (\Exception $e) {
+			// No cache folder, nothing to update
+		}
+	}
+
+	/**
+	 * Delete the segments and playlists of a cancelled run, keeping progress.json so it can be retried
+	 */
+	private function removePartialCache(string $cacheLocalPath): void {
+		foreach (glob($cacheLocalPath . '/*') ?: [] as $file) {
+			if (is_file($file) && !in_array(basename($file), ['progress.json', 'generation.log', self::CONTROL_FILE], true)) {
+				unlink($file);
+			}
+		}
+	}
+
 	/**
 	 * Parse progress from FFmpeg's -progress output file
 	 */
@@ -732,6 +1413,12 @@ class HlsCacheGenerationJob extends QueuedJob {
 							$progressData['time'] = substr($value, 0, 8); // Trim to HH:MM:SS
 							$updated = true;
 							break;
+						case 'out_time_us':
+							if (is_numeric($value)) {
+								$progressData['processedSeconds'] = round(max(0, (int)$value) / 1000000, 2);
+								$updated = true;
+							}
+							break;
 						case 'bitrate':
 							if ($value !== 'N/A') {
 								$progressData['bitrate'] = $value;
@@ -759,8 +1446,14 @@ class HlsCacheGenerationJob extends QueuedJob {
 			}
 		}
 		
-		// Calculate progress percentage based on time and frame count
-		if ($currentFrame && $progressData['time'] !== '00:00:00') {
+		// Calculate progress percentage from the probed source duration when we have it,
+		// otherwise estimate it from time and frame count
+		$duration = (float)($progressData['duration'] ?? 0);
+		if ($duration > 0) {
+			if (($progressData['status'] ?? '') !== 'completed') {
+				$progressData['progress'] = (int)min(floor(($progressData['processedSeconds'] ?? 0) / $duration * 100), 99);
+			}
+		} elseif ($currentFrame && $progressData['time'] !== '00:00:00') {
 			// Convert time to seconds for calculation
 			$timeParts = explode(':', $progressData['time']);
 			$currentSeconds = ($timeParts[0] * 3600) + ($timeParts[1] * 60) + $timeParts[2];
@@ -789,7 +1482,7 @@ class HlsCacheGenerationJob extends QueuedJob {
 		
 		if ($updated) {
 			$progressData['lastUpdate'] = time();
-			if (!isset($progressData['status']) || $progressData['status'] !== 'completed') {
+			if (!in_array($progressData['status'] ?? '', ['completed', 'paused', 'cancelled'], true)) {
 				$progressData['status'] = 'processing';
 			}
 			file_put_contents($progressFile, json_encode($progressData, JSON_PRETTY_PRINT));
@@ -872,13 +1565,16 @@ class HlsCacheGenerationJob extends QueuedJob {
 	/**
 	 * Check if HLS cache already exists for the given path
 	 */
-	private function cacheAlreadyExists($userFolder, string $cacheOutputPath): bool {
+	private function cacheAlreadyExists($userFolder, string $cacheOutputPath, $videoFile): bool {
 		try {
 			if ($userFolder->nodeExists($cacheOutputPath)) {
 				$cacheFolder = $userFolder->get($cacheOutputPath);
 				if ($cacheFolder instanceof \OCP\Files\Folder) {
 					// Check for master.m3u8 (adaptive streaming) or playlist.m3u8 (single bitrate)
-					return $cacheFolder->nodeExists('master.m3u8') || $cacheFolder->nodeExists('playlist.m3u8');
+					$hasPlaylist = $cacheFolder->nodeExists('master.m3u8') || $cacheFolder->nodeExists('playlist.m3u8');
+
+					// A cache of an earlier version of the video doesn't count
+					return $hasPlaylist && !($videoFile instanceof \OCP\Files\File && $this->hlsCacheService->isOutdated($cacheFolder, $videoFile));
 				}
 			}
 		} catch (\Exception $e) {
@@ -889,9 +1585,11 @@ class HlsCacheGenerationJob extends QueuedJob {
 
 	/**
 	 * Acquire FFmpeg concurrency lock (max 4 simultaneous processes)
+	 *
+	 * The lock records which cache it is generating so the dashboard can find its process.
 	 * @return string|false Lock ID on success, false on failure
 	 */
-	private function acquireFFmpegLock() {
+	private function acquireFFmpegLock(string $cacheLocalPath, string $filename, string $userId) {
 		$lockDir = '/tmp/hyper_ffmpeg_locks';
 		$maxConcurrency = 4;
 		$maxRetries = 18; // 18 * 10 seconds = 3 minutes max wait
@@ -919,7 +1617,11 @@ class HlsCacheGenerationJob extends QueuedJob {
 					'pid' => getmypid(),
 					'startTime' => time(),
 					'hostname' => gethostname(),
-					'lockId' => $lockId
+					'lockId' => $lockId,
+					'cachePath' => $cacheLocalPath,
+					'filename' => $filename,
+					'userId' => $userId,
+					'ffmpegPid' => null
 				];
 
 				if (file_put_contents($lockFile, json_encode($lockData)) !== false) {
@@ -951,6 +1653,17 @@ class HlsCacheGenerationJob extends QueuedJob {
 		return false;
 	}
 
+	/**
+	 * Merge extra data into an FFmpeg concurrency lock
+	 */
+	private function updateFFmpegLock(string $lockId, array $data): void {
+		$lockFile = '/tmp/hyper_ffmpeg_locks/' . $lockId . '.lock';
+		if (file_exists($lockFile)) {
+			$lockData = json_decode((string)file_get_contents($lockFile), true) ?: [];
+			file_put_contents($lockFile, json_encode(array_merge($lockData, $data)));
+		}
+	}
+
 	/**
 	 * Release FFmpeg concurrency lock
 	 */
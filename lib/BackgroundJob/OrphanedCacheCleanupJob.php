@@ -0,0 +1,97 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\BackgroundJob;
+
+use OCP\BackgroundJob\TimedJob;
+use OCP\IConfig;
+use OCP\IUser;
+use OCP\IUserManager;
+use Psr\Log\LoggerInterface;
+use OCP\AppFramework\Utility\ITimeFactory;
+use OCA\HyperViewer\Service\HlsCacheService;
+
+/**
+ * Removes HLS caches whose source video has been gone for a while
+ *
+ * An orphan is only removed after it was seen orphaned for ORPHAN_GRACE_PERIOD, so a video
+ * that is moved away and back, or re-uploaded, keeps its cache.
+ */
+class OrphanedCacheCleanupJob extends TimedJob {
+
+	private const ORPHAN_GRACE_PERIOD = 7 * 86400;
+	private const SEEN_ORPHANS_KEY = 'orphaned_caches_seen';
+
+	private IUserManager $userManager;
+	private IConfig $config;
+	private LoggerInterface $logger;
+	private HlsCacheService $hlsCacheService;
+
+	public function __construct(
+		ITimeFactory $timeFactory,
+		IUserManager $userManager,
+		IConfig $config,
+		LoggerInterface $logger,
+		HlsCacheService $hlsCacheService
+	) {
+		parent::__construct($timeFactory);
+		$this->userManager = $userManager;
+		$this->config = $config;
+		$this->logger = $logger;
+		$this->hlsCacheService = $hlsCacheService;
+
+		$this->setInterval(24 * 60 * 60);
+	}
+
+	protected function run($argument): void {
+		$this->logger->info('🧹 Orphaned HLS cache cleanup started');
+
+		$this->userManager->callForSeenUsers(function (IUser $user) {
+			try {
+				$this->cleanupUser($user->getUID());
+			} catch (\Exception $e) {
+				$this->logger->error('Orphaned HLS cache cleanup failed for user', [
+					'userId' => $user->getUID(),
+					'error' => $e->getMessage()
+				]);
+			}
+		});
+
+		$this->logger->info('Orphaned HLS cache cleanup completed');
+	}
+
+	private function cleanupUser(string $userId): void {
+		$orphans = $this->hlsCacheService->findOrphans($userId);
+		$seen = json_decode($this->config->getUserValue($userId, 'hyper_viewer', self::SEEN_ORPHANS_KEY, '{}'), true) ?: [];
+
+		// Forget caches that are no longer orphaned (their video came back or they were removed)
+		$firstSeen = [];
+		foreach ($orphans as $orphan) {
+			$firstSeen[$orphan['cachePath']] = $seen[$orphan['cachePath']] ?? time();
+		}
+
+		$expired = array_keys(array_filter($firstSeen, function ($timestamp) {
+			return time() - $timestamp >= self::ORPHAN_GRACE_PERIOD;
+		}));
+
+		if (!empty($expired)) {
+			$removed = $this->hlsCacheService->removeOrphans($userId, $expired);
+			foreach ($removed as $cache) {
+				unset($firstSeen[$cache['cachePath']]);
+			}
+
+			$this->logger->info('Removed orphaned HLS caches', [
+				'userId' => $userId,
+				'count' => count($removed),
+				'size' => array_sum(array_column($removed, 'size'))
+			]);
+		}
+
+		if (empty($firstSeen)) {
+			$this->config->deleteUserValue($userId, 'hyper_viewer', self::SEEN_ORPHANS_KEY);
+		} else {
+			$this->config->setUserValue($userId, 'hyper_viewer', self::SEEN_ORPHANS_KEY, json_encode($firstSeen));
+		}
+	}
+}
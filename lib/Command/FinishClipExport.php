@@ -0,0 +1,48 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Command;
+
+use OCA\HyperViewer\Service\ClipExportService;
+use Symfony\Component\Console\Command\Command;
+use Symfony\Component\Console\Input\InputArgument;
+use Symfony\Component\Console\Input\InputInterface;
+use Symfony\Component\Console\Output\OutputInterface;
+
+/**
+ * Called at the end of a background clip export script to record its outcome
+ */
+class FinishClipExport extends Command {
+
+	private ClipExportService $clipExportService;
+
+	public function __construct(ClipExportService $clipExportService) {
+		parent::__construct();
+		$this->clipExportService = $clipExportService;
+	}
+
+	protected function configure(): void {
+		$this->setName('hyper_viewer:clip-export:finish')
+			->setDescription('Mark a clip export job as finished and notify its owner')
+			->addArgument('user', InputArgument::REQUIRED, 'User who started the export')
+			->addArgument('job-id', InputArgument::REQUIRED, 'Clip export job ID')
+			->addArgument('exit-code', InputArgument::REQUIRED, 'Exit status of the FFmpeg commands');
+	}
+
+	protected function execute(InputInterface $input, OutputInterface $output): int {
+		$job = $this->clipExportService->finishJob(
+			$input->getArgument('user'),
+			$input->getArgument('job-id'),
+			(int)$input->getArgument('exit-code')
+		);
+
+		if ($job === null) {
+			$output->writeln('<error>Unknown clip export job</error>');
+			return 1;
+		}
+
+		$output->writeln(sprintf('Clip export %s %s', $job['jobId'], $job['status']));
+		return 0;
+	}
+}
@@ -14,14 +14,32 @@ use OCP\BackgroundJob\IJobList;
 use OCP\IConfig;
 use Psr\Log\LoggerInterface;
 use OCA\HyperViewer\BackgroundJob\HlsCacheGenerationJob;
+use OCA\HyperViewer\Service\EncodingLadderService;
+use OCA\HyperViewer\Service\FFprobeService;
+use OCA\HyperViewer\Service\HlsCacheService;
+use OCA\HyperViewer\Service\JobStatusService;
+use OCA\HyperViewer\Service\VideoTypeService;
 
 class CacheController extends Controller {
+
+	private const FFMPEG_LOCK_DIR = '/tmp/hyper_ffmpeg_locks';
+
+	/** Job states shown on the dashboard; completed jobs drop off the list */
+	private const LISTED_JOB_STATUSES = ['processing', 'paused', 'queued', 'failed', 'cancelled'];
+
+	/** Every preview runs ffprobe, so large selections are only sampled */
+	private const MAX_LADDER_PREVIEWS = 20;
 	
 	private IRootFolder $rootFolder;
 	private IUserSession $userSession;
 	private IJobList $jobList;
 	private IConfig $config;
 	private LoggerInterface $logger;
+	private FFprobeService $ffprobeService;
+	private JobStatusService $jobStatusService;
+	private HlsCacheService $hlsCacheService;
+	private EncodingLadderService $encodingLadderService;
+	private VideoTypeService $videoTypeService;
 
 	public function __construct(
 		string $appName,
@@ -30,7 +48,12 @@ class CacheController extends Controller {
 		IUserSession $userSession,
 		IJobList $jobList,
 		IConfig $config,
-		LoggerInterface $logger
+		LoggerInterface $logger,
+		FFprobeService $ffprobeService,
+		JobStatusService $jobStatusService,
+		HlsCacheService $hlsCacheService,
+		EncodingLadderService $encodingLadderService,
+		VideoTypeService $videoTypeService
 	) {
 		parent::__construct($appName, $request);
 		$this->rootFolder = $rootFolder;
@@ -38,6 +61,11 @@ class CacheController extends Controller {
 		$this->jobList = $jobList;
 		$this->config = $config;
 		$this->logger = $logger;
+		$this->ffprobeService = $ffprobeService;
+		$this->jobStatusService = $jobStatusService;
+		$this->hlsCacheService = $hlsCacheService;
+		$this->encodingLadderService = $encodingLadderService;
+		$this->videoTypeService = $videoTypeService;
 	}
 
 	/**
@@ -55,13 +83,19 @@ class CacheController extends Controller {
 		$cacheLocation = $this->request->getParam('cacheLocation', 'relative');
 		$customPath = $this->request->getParam('customPath', '');
 		$overwriteExisting = $this->request->getParam('overwriteExisting', false);
-		$resolutions = $this->request->getParam('resolutions', ['720p', '480p', '240p']);
+		$resolutions = $this->request->getParam('resolutions', EncodingLadderService::DEFAULT_RESOLUTIONS);
+		$preset = $this->request->getParam('preset', EncodingLadderService::DEFAULT_PRESET);
+		$codecs = $this->request->getParam('codecs', []);
+		$segmentFormat = $this->request->getParam('segmentFormat', HlsCacheService::SEGMENT_FORMAT_TS);
 
 		$this->logger->info('HLS cache generation requested', [
 			'user' => $user->getUID(),
 			'files' => count($files),
 			'cacheLocation' => $cacheLocation,
-			'resolutions' => $resolutions
+			'resolutions' => $resolutions,
+			'preset' => $preset,
+			'codecs' => $codecs,
+			'segmentFormat' => $segmentFormat
 		]);
 
 		$jobId = uniqid('hls_cache_', true);
@@ -76,7 +110,10 @@ class CacheController extends Controller {
 				'cacheLocation' => $cacheLocation,
 				'customPath' => $customPath,
 				'overwriteExisting' => $overwriteExisting,
-				'resolutions' => $resolutions
+				'resolutions' => $resolutions,
+				'preset' => $preset,
+				'codecs' => $codecs,
+				'segmentFormat' => $segmentFormat
 			];
 			
 			$this->logger->info('Adding HLS cache generation job to queue', [
@@ -85,6 +122,7 @@ class CacheController extends Controller {
 			]);
 			
 			$this->jobList->add(HlsCacheGenerationJob::class, $jobData);
+			$this->hlsCacheService->markQueued($user->getUID(), $jobData);
 		}
 		return new JSONResponse([
 			'success' => true,
@@ -139,14 +177,18 @@ class CacheController extends Controller {
 				$logContent = $logNode->getContent();
 				$parsedProgress = $this->parseFFmpegProgress($logContent);
 				
-				// Merge parsed progress with existing data
+				// Merge parsed progress with existing data, keeping states set by the job controls
 				$progressData = array_merge($progressData, $parsedProgress);
-				$progressData['status'] = $progressData['completed'] ? 'completed' : 'processing';
+				if ($progressData['completed']) {
+					$progressData['status'] = 'completed';
+				} elseif (!in_array($progressData['status'] ?? '', ['paused', 'cancelled', 'failed', 'queued'], true)) {
+					$progressData['status'] = 'processing';
+				}
 			}
 
 			return new JSONResponse([
 				'success' => true,
-				'progress' => $progressData
+				'progress' => $this->jobStatusService->estimateProgress($progressData)
 			]);
 
 		} catch (\Exception $e) {
@@ -233,15 +275,214 @@ class CacheController extends Controller {
 		}
 
 		$userFolder = $this->rootFolder->getUserFolder($user->getUID());
-		$cacheExists = $this->findHlsCache($userFolder, $filename, $directory, $user->getUID());
+		$cache = $this->locateHlsCache($userFolder, $filename, $directory, $user->getUID());
+
+		// An outdated cache would play the previous version of the video
+		$isCurrent = $cache !== null && !$cache['outdated'];
 
 		return new JSONResponse([
-			'exists' => $cacheExists !== null,
-			'cachePath' => $cacheExists,
+			'exists' => $isCurrent,
+			'cachePath' => $isCurrent ? $cache['cachePath'] : null,
+			'outdated' => $cache !== null && $cache['outdated'],
+			// CMAF caches also have a DASH manifest for the same segments
+			'hasDash' => $isCurrent && $userFolder->nodeExists($cache['cachePath'] . '/manifest.mpd'),
 			'filename' => $filename
 		]);
 	}
 
+	/**
+	 * Everything known about a video's HLS cache and its source, for the Files sidebar
+	 *
+	 * The cache is null when the video has none yet; an outdated cache is still described.
+	 *
+	 * @NoAdminRequired
+	 */
+	public function getCacheDetails(): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not authenticated'], 401);
+		}
+
+		$filename = $this->request->getParam('filename');
+		$directory = $this->request->getParam('directory', '/');
+
+		if (!$filename) {
+			return new JSONResponse(['error' => 'Filename required'], 400);
+		}
+
+		$userFolder = $this->rootFolder->getUserFolder($user->getUID());
+		$videoPath = rtrim($directory, '/') . '/' . $filename;
+		if (!$userFolder->nodeExists($videoPath)) {
+			return new JSONResponse(['error' => 'Video file not found'], 404);
+		}
+
+		$cache = null;
+		$located = $this->locateHlsCache($userFolder, $filename, $directory, $user->getUID());
+		if ($located !== null) {
+			$cacheFolder = $userFolder->get($located['cachePath']);
+			if ($cacheFolder instanceof \OCP\Files\Folder) {
+				$cache = $this->hlsCacheService->getCacheDetails($user->getUID(), $cacheFolder);
+			}
+		}
+
+		$source = null;
+		try {
+			$videoFile = $userFolder->get($videoPath);
+			$videoLocalPath = $videoFile->getStorage()->getLocalFile($videoFile->getInternalPath());
+			if ($videoLocalPath && file_exists($videoLocalPath)) {
+				$probe = $this->ffprobeService->probe($videoLocalPath);
+				$videoStream = $this->ffprobeService->getVideoStream($probe) ?? [];
+
+				$source = [
+					'videoCodec' => $videoStream['codec_name'] ?? null,
+					'frameRate' => $this->ffprobeService->getFrameRate($probe)['frameRate'],
+					'duration' => $this->ffprobeService->getDuration($probe),
+					'width' => (int)($videoStream['width'] ?? 0),
+					'height' => (int)($videoStream['height'] ?? 0),
+					'size' => $videoFile->getSize()
+				];
+			}
+		} catch (\Exception $e) {
+			// The cache details are still useful without the source metadata
+			$this->logger->warning('Failed to probe video for cache details', [
+				'path' => $videoPath,
+				'error' => $e->getMessage()
+			]);
+		}
+
+		return new JSONResponse([
+			'filename' => $filename,
+			'cache' => $cache,
+			'source' => $source
+		]);
+	}
+
+	/**
+	 * Probe frame rate, timebase and dimensions of a video file
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function getVideoMetadata(): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not authenticated'], 401);
+		}
+
+		$filename = $this->request->getParam('filename');
+		$directory = $this->request->getParam('directory', '/');
+
+		if (!$filename) {
+			return new JSONResponse(['error' => 'Filename required'], 400);
+		}
+
+		try {
+			$userFolder = $this->rootFolder->getUserFolder($user->getUID());
+			$videoPath = rtrim($directory, '/') . '/' . $filename;
+
+			if (!$userFolder->nodeExists($videoPath)) {
+				return new JSONResponse(['error' => 'Video file not found'], 404);
+			}
+
+			$videoFile = $userFolder->get($videoPath);
+			$videoLocalPath = $videoFile->getStorage()->getLocalFile($videoFile->getInternalPath());
+			if (!$videoLocalPath || !file_exists($videoLocalPath)) {
+				return new JSONResponse(['error' => 'Video file is not stored locally'], 404);
+			}
+
+			$probe = $this->ffprobeService->probe($videoLocalPath);
+			$videoStream = $this->ffprobeService->getVideoStream($probe) ?? [];
+
+			return new JSONResponse(array_merge([
+				'filename' => $filename,
+				'duration' => $this->ffprobeService->getDuration($probe),
+				'width' => (int)($videoStream['width'] ?? 0),
+				'height' => (int)($videoStream['height'] ?? 0),
+				'videoCodec' => $videoStream['codec_name'] ?? null,
+				'startTimecode' => $this->ffprobeService->getStartTimecode($probe)
+			], $this->ffprobeService->getFrameRate($probe)));
+
+		} catch (\Exception $e) {
+			$this->logger->error('Failed to probe video metadata', [
+				'filename' => $filename,
+				'error' => $e->getMessage()
+			]);
+			return new JSONResponse(['error' => 'Failed to read video metadata'], 500);
+		}
+	}
+
+	/**
+	 * Preview the renditions each video would get, after skipping rungs above its resolution
+	 *
+	 * Files may carry the "source" dimensions of an earlier preview, those are not probed again.
+	 *
+	 * @NoAdminRequired
+	 */
+	public function previewLadder(): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not authenticated'], 401);
+		}
+
+		$files = array_slice($this->request->getParam('files', []), 0, self::MAX_LADDER_PREVIEWS);
+		$resolutions = $this->request->getParam('resolutions', []);
+		$ladder = $this->encodingLadderService->getLadder($user->getUID(), $this->request->getParam('preset'));
+		$userFolder = $this->rootFolder->getUserFolder($user->getUID());
+
+		$previews = [];
+		foreach ($files as $fileData) {
+			$filename = $fileData['filename'] ?? '';
+			$videoPath = rtrim($fileData['directory'] ?? '/', '/') . '/' . $filename;
+
+			try {
+				if (array_key_exists('source', $fileData)) {
+					$plan = $this->encodingLadderService->planForSource($resolutions, $this->readPreviewSource($fileData['source']), $ladder);
+				} else {
+					$videoFile = $userFolder->get($videoPath);
+					$videoLocalPath = $videoFile->getStorage()->getLocalFile($videoFile->getInternalPath());
+					if (!$videoLocalPath || !file_exists($videoLocalPath)) {
+						throw new \Exception('Video file is not stored locally');
+					}
+
+					$plan = $this->encodingLadderService->plan($resolutions, $this->ffprobeService->probe($videoLocalPath), $ladder);
+				}
+				$rungs = [];
+				foreach ($plan['rungs'] as $name => $rung) {
+					$rungs[] = ['name' => $name, 'width' => $rung['width'], 'height' => $rung['height']];
+				}
+
+				$previews[] = [
+					'filename' => $filename,
+					'source' => $plan['source'],
+					'rungs' => $rungs,
+					'skipped' => $plan['skipped']
+				];
+			} catch (\Exception $e) {
+				$this->logger->warning('Failed to preview encoding ladder', [
+					'path' => $videoPath,
+					'error' => $e->getMessage()
+				]);
+				$previews[] = ['filename' => $filename, 'error' => 'Could not read video'];
+			}
+		}
+
+		return new JSONResponse(['files' => $previews]);
+	}
+
+	/**
+	 * Display dimensions sent back by the ladder preview, or null if they were unknown
+	 */
+	private function readPreviewSource($source): ?array {
+		if (!is_array($source) || (int)($source['width'] ?? 0) <= 0 || (int)($source['height'] ?? 0) <= 0) {
+			return null;
+		}
+
+		return [
+			'width' => (int)$source['width'],
+			'height' => (int)$source['height'],
+			'rotation' => (int)($source['rotation'] ?? 0)
+		];
+	}
+
 	/**
 	 * Get cache locations from user settings
 	 */
@@ -268,9 +509,19 @@ class CacheController extends Controller {
 	}
 
 	/**
-	 * Find HLS cache for a video file
+	 * Find an up-to-date HLS cache for a video file
 	 */
 	private function findHlsCache($userFolder, string $filename, string $directory, string $userId): ?string {
+		$cache = $this->locateHlsCache($userFolder, $filename, $directory, $userId);
+		return $cache !== null && !$cache['outdated'] ? $cache['cachePath'] : null;
+	}
+
+	/**
+	 * Find the HLS cache of a video file, preferring one that matches the current source
+	 *
+	 * @return array|null ['cachePath' => ..., 'outdated' => whether the source changed since generation]
+	 */
+	private function locateHlsCache($userFolder, string $filename, string $directory, string $userId): ?array {
 		$baseFilename = pathinfo($filename, PATHINFO_FILENAME);
 		
 		// Get cache locations from user settings
@@ -303,23 +554,55 @@ class CacheController extends Controller {
 			array_unshift($cacheLocations, $relativeCache);
 		}
 
+		try {
+			$source = $userFolder->get(rtrim($directory, '/') . '/' . $filename);
+		} catch (\Exception $e) {
+			$source = null;
+		}
+
+		// The cache whose manifest names this video, also when it carries the file ID suffix
+		if ($source instanceof \OCP\Files\File) {
+			$linkedCache = $this->hlsCacheService->findLinkedCache($userId, $source);
+			if ($linkedCache !== null) {
+				array_unshift($cacheLocations, $userFolder->getRelativePath($linkedCache->getPath()));
+			}
+		}
+
+		$outdatedCache = null;
 		foreach ($cacheLocations as $cachePath) {
 			try {
 				// Check for adaptive streaming master playlist first, fallback to single playlist
 				if ($userFolder->nodeExists($cachePath . '/master.m3u8')) {
 					$this->logger->debug('Found adaptive HLS cache', ['path' => $cachePath]);
-					return $cachePath;
 				} elseif ($userFolder->nodeExists($cachePath . '/playlist.m3u8')) {
 					$this->logger->debug('Found legacy HLS cache', ['path' => $cachePath]);
-					return $cachePath;
+				} else {
+					continue;
 				}
+
+				if ($source instanceof \OCP\Files\File) {
+					$cacheFolder = $userFolder->get($cachePath);
+
+					// Another video with the same base name may own this cache
+					if (!$this->hlsCacheService->belongsTo($cacheFolder, $source)) {
+						continue;
+					}
+
+					if ($this->hlsCacheService->isOutdated($cacheFolder, $source)) {
+						$this->logger->debug('HLS cache is outdated', ['path' => $cachePath]);
+						$outdatedCache = $outdatedCache ?? ['cachePath' => $cachePath, 'outdated' => true];
+						continue;
+					}
+				}
+
+				return ['cachePath' => $cachePath, 'outdated' => false];
 			} catch (\Exception $e) {
 				// Continue checking other locations
 				continue;
 			}
 		}
 
-		return null;
+		return $outdatedCache;
 	}
 
 	/**
@@ -388,7 +671,10 @@ class CacheController extends Controller {
 				'cacheLocation' => $options['cacheLocation'] ?? 'relative',
 				'customPath' => $options['customPath'] ?? '',
 				'overwriteExisting' => $options['overwriteExisting'] ?? false,
-				'resolutions' => $options['resolutions'] ?? ['720p', '480p', '240p'],
+				'resolutions' => $options['resolutions'] ?? EncodingLadderService::DEFAULT_RESOLUTIONS,
+				'preset' => $options['preset'] ?? EncodingLadderService::DEFAULT_PRESET,
+				'codecs' => $options['codecs'] ?? [],
+				'segmentFormat' => $options['segmentFormat'] ?? HlsCacheService::SEGMENT_FORMAT_TS,
 				'enabled' => true,
 				'createdAt' => time()
 			];
@@ -423,7 +709,7 @@ class CacheController extends Controller {
 	 */
 	private function scanDirectoryForVideos($userFolder, string $directoryPath): array {
 		$videoFiles = [];
-		$supportedMimes = ['video/quicktime', 'video/mp4'];
+		$supportedMimes = $this->videoTypeService->getSupportedMimes($this->userSession->getUser()->getUID());
 
 		try {
 			if (!$userFolder->nodeExists($directoryPath)) {
@@ -455,7 +741,7 @@ class CacheController extends Controller {
 		foreach ($folder->getDirectoryListing() as $node) {
 			if ($node instanceof \OCP\Files\File) {
 				$mimeType = $node->getMimeType();
-				if (in_array($mimeType, $supportedMimes)) {
+				if ($this->videoTypeService->isSupportedFile($mimeType, $node->getName(), $supportedMimes)) {
 					$relativePath = $basePath === '/' ? '/' : $basePath;
 					$videoFiles[] = [
 						'filename' => $node->getName(),
@@ -466,9 +752,9 @@ class CacheController extends Controller {
 					];
 				}
 			} elseif ($node instanceof \OCP\Files\Folder) {
-				// Skip hidden directories and cache directories
+				// Skip hidden directories and cache directories (their MPEG-TS segments are not videos)
 				$folderName = $node->getName();
-				if (strpos($folderName, '.') !== 0) {
+				if (strpos($folderName, '.') !== 0 && $folderName !== 'cached_hls') {
 					$subPath = $basePath === '/' ? '/' . $folderName : $basePath . '/' . $folderName;
 					$this->scanFolderRecursively($node, $subPath, $supportedMimes, $videoFiles);
 				}
@@ -477,7 +763,7 @@ class CacheController extends Controller {
 	}
 
 	/**
-	 * Serve HLS files (playlist.m3u8 and segments)
+	 * Serve HLS and DASH files (playlists, manifest.mpd and segments)
 	 * 
 	 * @NoAdminRequired
 	 * @NoCSRFRequired
@@ -530,6 +816,19 @@ class CacheController extends Controller {
 				case 'mp4':
 					$contentType = 'video/mp4';
 					break;
+				case 'm4s':
+					$contentType = 'video/iso.segment';
+					break;
+				case 'mpd':
+					$contentType = 'application/dash+xml';
+					break;
+				case 'vtt':
+					$contentType = 'text/vtt';
+					break;
+				case 'jpg':
+				case 'jpeg':
+					$contentType = 'image/jpeg';
+					break;
 			}
 
 			// Create stream response
@@ -543,7 +842,7 @@ class CacheController extends Controller {
 			$response->addHeader('Access-Control-Allow-Headers', 'Range');
 			
 			// Add caching headers for segments
-			if ($extension === 'ts' || $extension === 'mp4') {
+			if ($extension === 'ts' || $extension === 'mp4' || $extension === 'm4s') {
 				$response->addHeader('Cache-Control', 'public, max-age=31536000'); // 1 year
 			} else {
 				$response->addHeader('Cache-Control', 'public, max-age=300'); // 5 minutes for playlists
@@ -646,14 +945,18 @@ class CacheController extends Controller {
 									$progressFile = $jobFolder->get('progress.json');
 									$progressData = json_decode($progressFile->getContent(), true);
 									
-									if ($progressData && ($progressData['status'] ?? '') === 'processing') {
+									if ($progressData && in_array($progressData['status'] ?? '', self::LISTED_JOB_STATUSES, true)) {
 										// Get cache directory size
 										$cacheSize = $this->getJobCacheSize($jobFolder);
 										
+										$progressData = $this->jobStatusService->estimateProgress($progressData);
+										
 										return new JSONResponse([
 											'cachePath' => $jobFolder->getPath(),
 											'filename' => $decodedFilename, // Return decoded filename
 											'progress' => $progressData['progress'] ?? 0,
+											'duration' => $progressData['duration'] ?? 0,
+											'eta' => $progressData['eta'],
 											'status' => $progressData['status'] ?? 'unknown',
 											'frame' => $progressData['frame'] ?? 0,
 											'fps' => $progressData['fps'] ?? 0,
@@ -696,6 +999,393 @@ class CacheController extends Controller {
 		}
 	}
 
+	/**
+	 * Pause a running HLS generation job
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function pauseJob(string $cachePath): JSONResponse {
+		return $this->controlJob($cachePath, 'pause', ['processing']);
+	}
+
+	/**
+	 * Resume a paused HLS generation job
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function resumeJob(string $cachePath): JSONResponse {
+		return $this->controlJob($cachePath, 'resume', ['paused']);
+	}
+
+	/**
+	 * Cancel a running, paused or queued HLS generation job
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function cancelJob(string $cachePath): JSONResponse {
+		return $this->controlJob($cachePath, 'cancel', ['processing', 'paused', 'queued']);
+	}
+
+	/**
+	 * Queue a failed or cancelled HLS generation job again with its original settings
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function retryJob(string $cachePath): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'Unauthorized'], 401);
+		}
+
+		try {
+			$jobFolder = $this->getJobFolder($cachePath);
+			if ($jobFolder === null) {
+				return new JSONResponse(['error' => 'Job not found'], 404);
+			}
+
+			$progressData = json_decode($jobFolder->get('progress.json')->getContent(), true) ?: [];
+			if (!in_array($progressData['status'] ?? '', ['failed', 'cancelled'], true)) {
+				return new JSONResponse(['error' => 'Only failed or cancelled jobs can be retried'], 409);
+			}
+			if (empty($progressData['jobArguments']['filename'])) {
+				return new JSONResponse(['error' => 'Job settings are unknown, start the generation again from Files'], 400);
+			}
+
+			$jobData = array_merge($progressData['jobArguments'], [
+				'jobId' => uniqid('hls_cache_', true),
+				'userId' => $user->getUID(),
+				'overwriteExisting' => true
+			]);
+			$this->jobList->add(HlsCacheGenerationJob::class, $jobData);
+
+			if ($jobFolder->nodeExists(HlsCacheGenerationJob::CONTROL_FILE)) {
+				$jobFolder->get(HlsCacheGenerationJob::CONTROL_FILE)->delete();
+			}
+
+			$progressData = array_merge($progressData, [
+				'status' => 'queued',
+				'progress' => 0,
+				'completed' => false,
+				'error' => null,
+				'lastUpdate' => time(),
+				'jobArguments' => $jobData
+			]);
+			$jobFolder->get('progress.json')->putContent(json_encode($progressData, JSON_PRETTY_PRINT));
+
+			$this->logger->info('HLS generation job queued for retry', ['jobId' => $jobData['jobId'], 'cachePath' => $cachePath]);
+
+			return new JSONResponse(['success' => true, 'status' => 'queued']);
+
+		} catch (\Exception $e) {
+			$this->logger->error('Error retrying job', ['error' => $e->getMessage(), 'cachePath' => $cachePath]);
+			return new JSONResponse(['error' => 'Failed to retry job'], 500);
+		}
+	}
+
+	/**
+	 * Delete the leftovers of a failed or cancelled HLS generation job
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function discardJob(string $cachePath): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'Unauthorized'], 401);
+		}
+
+		try {
+			$jobFolder = $this->getJobFolder($cachePath);
+			if ($jobFolder === null) {
+				return new JSONResponse(['error' => 'Job not found'], 404);
+			}
+
+			$progressData = json_decode($jobFolder->get('progress.json')->getContent(), true) ?: [];
+			if (!in_array($progressData['status'] ?? '', ['failed', 'cancelled'], true)) {
+				return new JSONResponse(['error' => 'Only failed or cancelled jobs can be discarded'], 409);
+			}
+
+			$jobFolder->delete();
+
+			return new JSONResponse(['success' => true]);
+
+		} catch (\Exception $e) {
+			$this->logger->error('Error discarding job', ['error' => $e->getMessage(), 'cachePath' => $cachePath]);
+			return new JSONResponse(['error' => 'Failed to discard job'], 500);
+		}
+	}
+
+	/**
+	 * List every HLS cache of the user with its source, renditions and size
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function listCaches(): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'Unauthorized'], 401);
+		}
+
+		try {
+			$caches = $this->hlsCacheService->listCaches($user->getUID());
+
+			return new JSONResponse([
+				'caches' => $caches,
+				'totalSize' => array_sum(array_column($caches, 'size'))
+			]);
+
+		} catch (\Exception $e) {
+			$this->logger->error('Error listing HLS caches', ['error' => $e->getMessage()]);
+			return new JSONResponse(['error' => 'Failed to list caches'], 500);
+		}
+	}
+
+	/**
+	 * Delete HLS caches; caches that are being generated are skipped
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function deleteCaches(array $cachePaths = []): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'Unauthorized'], 401);
+		}
+
+		$deleted = [];
+		$failed = [];
+		foreach ($cachePaths as $cachePath) {
+			try {
+				$cacheFolder = $this->hlsCacheService->getCacheFolder($user->getUID(), (string)$cachePath);
+				if ($cacheFolder === null) {
+					$failed[$cachePath] = 'Not a cache folder';
+					continue;
+				}
+				if ($this->isCacheBusy($cacheFolder)) {
+					$failed[$cachePath] = 'Cache is being generated';
+					continue;
+				}
+
+				$cacheFolder->delete();
+				$deleted[] = $cachePath;
+			} catch (\Exception $e) {
+				$this->logger->error('Error deleting HLS cache', ['error' => $e->getMessage(), 'cachePath' => $cachePath]);
+				$failed[$cachePath] = 'Failed to delete cache';
+			}
+		}
+
+		$this->logger->info('HLS caches deleted', ['user' => $user->getUID(), 'count' => count($deleted)]);
+
+		return new JSONResponse(['deleted' => $deleted, 'failed' => $failed]);
+	}
+
+	/**
+	 * Queue HLS caches for regeneration from their source videos
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function regenerateCaches(array $cachePaths = []): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'Unauthorized'], 401);
+		}
+
+		$queued = [];
+		$failed = [];
+		foreach ($cachePaths as $cachePath) {
+			try {
+				$cacheFolder = $this->hlsCacheService->getCacheFolder($user->getUID(), (string)$cachePath);
+				if ($cacheFolder === null) {
+					$failed[$cachePath] = 'Not a cache folder';
+					continue;
+				}
+				if ($this->isCacheBusy($cacheFolder)) {
+					$failed[$cachePath] = 'Cache is being generated';
+					continue;
+				}
+
+				$jobData = $this->hlsCacheService->buildRegenerationJob($user->getUID(), $cacheFolder);
+				if ($jobData === null) {
+					$failed[$cachePath] = 'Source video not found';
+					continue;
+				}
+
+				$this->jobList->add(HlsCacheGenerationJob::class, $jobData);
+				$this->hlsCacheService->markQueued($user->getUID(), $jobData);
+				$queued[] = $cachePath;
+			} catch (\Exception $e) {
+				$this->logger->error('Error queuing HLS cache regeneration', ['error' => $e->getMessage(), 'cachePath' => $cachePath]);
+				$failed[$cachePath] = 'Failed to queue regeneration';
+			}
+		}
+
+		return new JSONResponse(['queued' => $queued, 'failed' => $failed]);
+	}
+
+	/**
+	 * Find HLS caches whose source video is gone and optionally remove them
+	 *
+	 * A dry run only reports the orphans and the space they use. Without $cachePaths a real
+	 * run removes every orphan found.
+	 * 
+	 * @NoAdminRequired
+	 */
+	public function cleanupOrphans(bool $dryRun = true, array $cachePaths = []): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'Unauthorized'], 401);
+		}
+
+		try {
+			if ($dryRun) {
+				$orphans = $this->hlsCacheService->findOrphans($user->getUID());
+
+				return new JSONResponse([
+					'dryRun' => true,
+					'orphans' => $orphans,
+					'totalSize' => array_sum(array_column($orphans, 'size'))
+				]);
+			}
+
+			if (empty($cachePaths)) {
+				$cachePaths = array_column($this->hlsCacheService->findOrphans($user->getUID()), 'cachePath');
+			}
+			$removed = $this->hlsCacheService->removeOrphans($user->getUID(), $cachePaths);
+
+			$this->logger->info('Orphaned HLS caches removed', ['user' => $user->getUID(), 'count' => count($removed)]);
+
+			return new JSONResponse([
+				'dryRun' => false,
+				'removed' => array_column($removed, 'cachePath'),
+				'freedSize' => array_sum(array_column($removed, 'size'))
+			]);
+
+		} catch (\Exception $e) {
+			$this->logger->error('Error cleaning up orphaned HLS caches', ['error' => $e->getMessage()]);
+			return new JSONResponse(['error' => 'Failed to clean up orphaned caches'], 500);
+		}
+	}
+
+	/**
+	 * Whether a background job is generating (or about to generate) a cache
+	 */
+	private function isCacheBusy(\OCP\Files\Folder $cacheFolder): bool {
+		if (!$cacheFolder->nodeExists('progress.json')) {
+			return false;
+		}
+
+		$progressData = json_decode($cacheFolder->get('progress.json')->getContent(), true) ?: [];
+		return in_array($progressData['status'] ?? '', ['processing', 'paused', 'queued'], true);
+	}
+
+	/**
+	 * Ask the background job generating a cache to pause, resume or cancel
+	 *
+	 * The job polls the control file while FFmpeg runs. Cancelling a job whose process is gone
+	 * (or that is still queued) is applied here directly, together with its lock file.
+	 */
+	private function controlJob(string $cachePath, string $action, array $allowedStatuses): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'Unauthorized'], 401);
+		}
+
+		try {
+			$jobFolder = $this->getJobFolder($cachePath);
+			if ($jobFolder === null) {
+				return new JSONResponse(['error' => 'Job not found'], 404);
+			}
+
+			$progressFile = $jobFolder->get('progress.json');
+			$progressData = json_decode($progressFile->getContent(), true) ?: [];
+			$status = $progressData['status'] ?? 'unknown';
+			if (!in_array($status, $allowedStatuses, true)) {
+				return new JSONResponse(['error' => "Cannot $action a job that is $status"], 409);
+			}
+
+			$jobLocalPath = $jobFolder->getStorage()->getLocalFile($jobFolder->getInternalPath());
+			file_put_contents($jobLocalPath . '/' . HlsCacheGenerationJob::CONTROL_FILE, json_encode([
+				'action' => $action,
+				'requestedAt' => time()
+			]));
+
+			if ($action === 'cancel') {
+				$lock = $this->findFFmpegLock($jobLocalPath);
+				$isRunning = $lock !== null && $this->isProcessRunning((int)($lock['pid'] ?? 0));
+
+				if (!$isRunning) {
+					if ($lock !== null) {
+						@unlink($lock['file']);
+					}
+					if ($status === 'queued' && !empty($progressData['jobArguments'])) {
+						$this->jobList->remove(HlsCacheGenerationJob::class, $progressData['jobArguments']);
+					}
+
+					$progressData['status'] = 'cancelled';
+					$progressData['lastUpdate'] = time();
+					$progressFile->putContent(json_encode($progressData, JSON_PRETTY_PRINT));
+				}
+			}
+
+			$this->logger->info('HLS job control requested', ['action' => $action, 'cachePath' => $cachePath]);
+
+			return new JSONResponse(['success' => true, 'action' => $action]);
+
+		} catch (\Exception $e) {
+			$this->logger->error('Error controlling job', ['error' => $e->getMessage(), 'action' => $action, 'cachePath' => $cachePath]);
+			return new JSONResponse(['error' => "Failed to $action job"], 500);
+		}
+	}
+
+	/**
+	 * Resolve a job's cache folder (absolute node path or relative to the user folder)
+	 */
+	private function getJobFolder(string $cachePath): ?\OCP\Files\Folder {
+		$userFolder = $this->rootFolder->getUserFolder($this->userSession->getUser()->getUID());
+		$relativePath = $userFolder->getRelativePath($cachePath) ?? $cachePath;
+
+		if (!$userFolder->nodeExists($relativePath)) {
+			return null;
+		}
+
+		// Only ever act on cache directories
+		$jobFolder = $userFolder->get($relativePath);
+		if (!($jobFolder instanceof \OCP\Files\Folder)
+			|| strpos($jobFolder->getPath(), 'cached_hls/') === false
+			|| !$jobFolder->nodeExists('progress.json')) {
+			return null;
+		}
+
+		return $jobFolder;
+	}
+
+	/**
+	 * Find the FFmpeg concurrency lock held for a cache directory
+	 */
+	private function findFFmpegLock(string $cacheLocalPath): ?array {
+		foreach (glob(self::FFMPEG_LOCK_DIR . '/ffmpeg_*.lock') ?: [] as $lockFile) {
+			$lockData = json_decode((string)file_get_contents($lockFile), true);
+			if (is_array($lockData) && ($lockData['cachePath'] ?? null) === $cacheLocalPath) {
+				$lockData['file'] = $lockFile;
+				return $lockData;
+			}
+		}
+
+		return null;
+	}
+
+	private function isProcessRunning(int $pid): bool {
+		if ($pid <= 0) {
+			return false;
+		}
+
+		if (function_exists('posix_kill')) {
+			// EPERM means the process exists but belongs to another user
+			return posix_kill($pid, 0) || posix_get_last_error() === 1;
+		}
+
+		exec('kill -0 ' . $pid . ' 2>/dev/null', $output, $returnCode);
+		return $returnCode === 0;
+	}
+
 	/**
 	 * Get auto-generation directory settings
 	 * 
@@ -722,6 +1412,9 @@ class CacheController extends Controller {
 								'directory' => $settings['directory'] ?? '',
 								'enabled' => $settings['enabled'] ?? false,
 								'resolutions' => $settings['resolutions'] ?? [],
+								'preset' => $settings['preset'] ?? EncodingLadderService::DEFAULT_PRESET,
+								'codecs' => $settings['codecs'] ?? [],
+								'segmentFormat' => $settings['segmentFormat'] ?? HlsCacheService::SEGMENT_FORMAT_TS,
 								'cacheLocation' => $settings['cacheLocation'] ?? 'relative',
 								'registeredAt' => $settings['registeredAt'] ?? 0,
 								'lastScan' => $settings['lastScan'] ?? 0
@@ -774,6 +1467,15 @@ class CacheController extends Controller {
 			if (isset($input['cacheLocation'])) {
 				$settings['cacheLocation'] = $input['cacheLocation'];
 			}
+			if (isset($input['preset']) && is_string($input['preset'])) {
+				$settings['preset'] = $input['preset'];
+			}
+			if (isset($input['codecs']) && is_array($input['codecs'])) {
+				$settings['codecs'] = $input['codecs'];
+			}
+			if (isset($input['segmentFormat']) && in_array($input['segmentFormat'], [HlsCacheService::SEGMENT_FORMAT_TS, HlsCacheService::SEGMENT_FORMAT_CMAF], true)) {
+				$settings['segmentFormat'] = $input['segmentFormat'];
+			}
 
 			// Save updated settings
 			$this->config->setAppValue('hyper_viewer', $configKey, json_encode($settings));
@@ -1208,6 +1910,10 @@ class CacheController extends Controller {
 	/**
 	 * Batch check HLS cache for multiple videos in a directory
 	 * Much faster than checking each file individually
+	 *
+	 * Besides the cached and outdated lists, "states" maps each filename with anything to show
+	 * to its state: ready (with its top resolution), outdated, queued, generating (with its
+	 * progress) or failed. Videos without a cache or job are left out.
 	 * 
 	 * @NoAdminRequired
 	 */
@@ -1221,24 +1927,71 @@ class CacheController extends Controller {
 		$filenames = $this->request->getParam('filenames', []);
 
 		if (empty($filenames)) {
-			return new JSONResponse(['cachedVideos' => []]);
+			return new JSONResponse(['cachedVideos' => [], 'states' => new \stdClass()]);
 		}
 
-		$userFolder = $this->rootFolder->getUserFolder($user->getUID());
+		$userId = $user->getUID();
+		$userFolder = $this->rootFolder->getUserFolder($userId);
 		$cachedVideos = [];
+		$outdatedVideos = [];
+		$states = [];
+
+		$jobs = $this->getDirectoryJobs($userId, $directory);
 
 		// Check each video file
 		foreach ($filenames as $filename) {
-			$cachePath = $this->findHlsCache($userFolder, $filename, $directory, $user->getUID());
-			if ($cachePath !== null) {
-				$cachedVideos[] = $filename;
+			$cache = $this->locateHlsCache($userFolder, $filename, $directory, $userId);
+			if ($cache !== null) {
+				if ($cache['outdated']) {
+					$outdatedVideos[] = $filename;
+				} else {
+					$cachedVideos[] = $filename;
+				}
+			}
+
+			// A running job wins over the previous cache it is replacing
+			$job = $jobs[$filename] ?? null;
+			if ($job !== null && in_array($job['status'], ['processing', 'paused'], true)) {
+				$states[$filename] = [
+					'state' => 'generating',
+					'progress' => (int)$job['progress'],
+					'paused' => $job['status'] === 'paused'
+				];
+			} elseif ($job !== null && $job['status'] === 'queued') {
+				$states[$filename] = ['state' => 'queued'];
+			} elseif ($cache !== null) {
+				$cacheFolder = $userFolder->get($cache['cachePath']);
+				$states[$filename] = [
+					'state' => $cache['outdated'] ? 'outdated' : 'ready',
+					'resolution' => $cacheFolder instanceof \OCP\Files\Folder ? $this->hlsCacheService->getTopRendition($cacheFolder) : null
+				];
+			} elseif ($job !== null && $job['status'] === 'failed') {
+				$states[$filename] = ['state' => 'failed', 'error' => $job['error']];
 			}
 		}
 
 		return new JSONResponse([
 			'directory' => $directory,
 			'cachedVideos' => $cachedVideos,
+			'outdatedVideos' => $outdatedVideos,
+			// An object even when empty, so filenames can be looked up
+			'states' => empty($states) ? new \stdClass() : $states,
 			'totalChecked' => count($filenames)
 		]);
 	}
+
+	/**
+	 * The latest HLS job of each video in a directory, by filename
+	 */
+	private function getDirectoryJobs(string $userId, string $directory): array {
+		$jobs = [];
+		foreach ($this->jobStatusService->getDirectoryJobs($userId, $directory) as $job) {
+			$previous = $jobs[$job['filename']] ?? null;
+			if ($previous === null || ($job['lastUpdate'] ?? 0) > ($previous['lastUpdate'] ?? 0)) {
+				$jobs[$job['filename']] = $job;
+			}
+		}
+
+		return $jobs;
+	}
 }
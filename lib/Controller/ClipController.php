@@ -4,6 +4,8 @@ declare(strict_types=1);
 
 namespace OCA\HyperViewer\Controller;
 
+use OCA\HyperViewer\Service\ClipExportService;
+use OCA\HyperViewer\Service\FFprobeService;
 use OCP\AppFramework\Controller;
 use OCP\AppFramework\Http\JSONResponse;
 use OCP\Files\IRootFolder;
@@ -11,19 +13,44 @@ use OCP\IRequest;
 use OCP\IUserSession;
 
 class ClipController extends Controller {
+    private const EXPORT_MODES = ['lossless', 'reencode', 'smart'];
+
+    /** Encoding used when a range is re-encoded as a whole */
+    private const REENCODE_ARGS = '-c:v libx264 -preset medium -crf 18 -pix_fmt yuv420p -c:a aac -b:a 192k -movflags +faststart';
+
+    /** Containers that hold REENCODE_ARGS output; other re-encoded clips are written as .mp4 */
+    private const REENCODE_EXTENSIONS = ['mp4', 'm4v', 'mov'];
+
+    /** Encoders able to match the source codec, so smart cut edges concatenate with copied GOPs */
+    private const SMART_CUT_ENCODERS = ['h264' => 'libx264', 'hevc' => 'libx265'];
+
+    /** Seconds searched on each side of a marker for the surrounding keyframes */
+    private const KEYFRAME_SEARCH_WINDOW = 20.0;
+
     /** @var IRootFolder */
     private $rootFolder;
     /** @var IUserSession */
     private $userSession;
+    /** @var FFprobeService */
+    private $ffprobeService;
+    /** @var ClipExportService */
+    private $clipExportService;
 
-    public function __construct(string $appName, IRequest $request, IRootFolder $rootFolder, IUserSession $userSession) {
+    public function __construct(string $appName, IRequest $request, IRootFolder $rootFolder, IUserSession $userSession, FFprobeService $ffprobeService, ClipExportService $clipExportService) {
         parent::__construct($appName, $request);
         $this->rootFolder = $rootFolder;
         $this->userSession = $userSession;
+        $this->ffprobeService = $ffprobeService;
+        $this->clipExportService = $clipExportService;
     }
 
     /**
-     * Export a video clip using lossless cutting
+     * Export one or more video clips
+     *
+     * Accepts either a single startTime/endTime pair or a `ranges` cut list.
+     * Ranges are exported as separate files, or concatenated into clipFilename
+     * when `joinRanges` is set. `exportMode` picks lossless keyframe cutting
+     * (default), a frame-accurate re-encode, or a smart cut.
      * @NoAdminRequired
      */
     public function exportClip(): JSONResponse {
@@ -35,17 +62,37 @@ class ClipController extends Controller {
             }
             
             $originalPath = $input['originalPath'] ?? '';
-            $startTime = floatval($input['startTime'] ?? 0);
-            $endTime = floatval($input['endTime'] ?? 0);
             $exportPath = $input['exportPath'] ?? '';
-            $clipFilename = $input['clipFilename'] ?? '';
+            $clipFilename = basename($input['clipFilename'] ?? '');
+            $joinRanges = !empty($input['joinRanges']);
+            $exportMode = $input['exportMode'] ?? 'lossless';
             
             if (!$originalPath || !$exportPath || !$clipFilename) {
                 return new JSONResponse(['error' => 'Missing required parameters'], 400);
             }
             
-            if ($startTime >= $endTime) {
-                return new JSONResponse(['error' => 'Invalid time range'], 400);
+            if (!in_array($exportMode, self::EXPORT_MODES, true)) {
+                return new JSONResponse(['error' => 'Invalid export mode: ' . $exportMode], 400);
+            }
+            
+            $ranges = $this->parseRanges($input, $clipFilename);
+            if (empty($ranges)) {
+                return new JSONResponse(['error' => 'No time ranges given'], 400);
+            }
+            
+            // A .webm, .avi or .mxf name can't hold the H.264/AAC that re-encoding writes
+            if ($exportMode !== 'lossless') {
+                $clipFilename = $this->withReencodeExtension($clipFilename);
+                foreach ($ranges as &$range) {
+                    $range['clipFilename'] = $this->withReencodeExtension($range['clipFilename']);
+                }
+                unset($range);
+            }
+            
+            foreach ($ranges as $range) {
+                if ($range['startTime'] < 0 || $range['startTime'] >= $range['endTime']) {
+                    return new JSONResponse(['error' => 'Invalid time range'], 400);
+                }
             }
             
             // Get user folder and validate original file exists
@@ -85,16 +132,22 @@ class ClipController extends Controller {
             
             $outputFile = $exportLocalPath . '/' . $clipFilename;
             
-            // Start lossless clip export in background
-            $logFile = $this->startClipExport($originalLocalPath, $outputFile, $startTime, $endTime, $exportDir);
+            // Smart cut needs the source codec and keyframes; the other modes don't probe
+            $probe = $exportMode === 'smart' ? $this->ffprobeService->probe($originalLocalPath) : [];
+            
+            // Start clip export in background
+            $job = $this->startClipExport($originalLocalPath, $exportLocalPath, $ranges, $joinRanges ? $outputFile : null, $exportDir, $exportMode, $probe, $originalPath);
             
             return new JSONResponse([
                 'success' => true,
                 'message' => 'Clip export started',
                 'clipFilename' => $clipFilename,
+                'clipFilenames' => $joinRanges ? [$clipFilename] : array_column($ranges, 'clipFilename'),
+                'exportMode' => $exportMode,
                 'exportPath' => $exportDir,
                 'outputFile' => $outputFile,
-                'logFile' => $logFile
+                'logFile' => $job['logFile'],
+                'jobId' => $job['jobId']
             ]);
             
         } catch (\Exception $e) {
@@ -102,6 +155,156 @@ class ClipController extends Controller {
         }
     }
 
+    /**
+     * Find the keyframes around clip marker times, to show where a lossless cut will land
+     * @NoAdminRequired
+     */
+    public function getKeyframes(): JSONResponse {
+        try {
+            $input = json_decode($this->request->getParams()['body'] ?? '{}', true);
+            
+            if (!$input) {
+                $input = $this->request->getParams();
+            }
+            
+            $originalPath = $input['originalPath'] ?? '';
+            $times = array_map('floatval', (array)($input['times'] ?? []));
+            
+            if (!$originalPath || empty($times)) {
+                return new JSONResponse(['error' => 'Missing required parameters'], 400);
+            }
+            
+            $userFolder = $this->rootFolder->getUserFolder($this->userSession->getUser()->getUID());
+            
+            if (!$userFolder->nodeExists($originalPath)) {
+                return new JSONResponse(['error' => 'Original video file not found: ' . $originalPath], 404);
+            }
+            
+            $originalFile = $userFolder->get($originalPath);
+            $originalLocalPath = $originalFile->getStorage()->getLocalFile($originalFile->getInternalPath());
+            
+            if (!$originalLocalPath || !file_exists($originalLocalPath)) {
+                return new JSONResponse(['error' => 'Cannot access original video file'], 500);
+            }
+            
+            $probe = $this->ffprobeService->probe($originalLocalPath);
+            $markers = [];
+            $allKeyframes = [];
+            
+            foreach ($times as $time) {
+                $keyframes = $this->ffprobeService->getKeyframeTimes(
+                    $originalLocalPath,
+                    $probe,
+                    $time - self::KEYFRAME_SEARCH_WINDOW,
+                    $time + self::KEYFRAME_SEARCH_WINDOW
+                );
+                
+                $previousKeyframe = null;
+                $nextKeyframe = null;
+                foreach ($keyframes as $keyframe) {
+                    // Small tolerance so a marker placed on a keyframe counts as on it
+                    if ($keyframe <= $time + 0.0005) {
+                        $previousKeyframe = $keyframe;
+                    } elseif ($nextKeyframe === null) {
+                        $nextKeyframe = $keyframe;
+                    }
+                }
+                
+                $markers[] = [
+                    'time' => $time,
+                    'previousKeyframe' => $previousKeyframe,
+                    'nextKeyframe' => $nextKeyframe
+                ];
+                $allKeyframes = array_merge($allKeyframes, $keyframes);
+            }
+            
+            $allKeyframes = array_values(array_unique($allKeyframes, SORT_REGULAR));
+            sort($allKeyframes);
+            
+            return new JSONResponse([
+                'markers' => $markers,
+                'keyframes' => $allKeyframes
+            ]);
+            
+        } catch (\Exception $e) {
+            return new JSONResponse(['error' => 'Keyframe lookup failed: ' . $e->getMessage()], 500);
+        }
+    }
+
+    /**
+     * List the current user's clip export jobs with their progress
+     * @NoAdminRequired
+     */
+    public function getExportJobs(): JSONResponse {
+        $userId = $this->userSession->getUser()->getUID();
+        
+        return new JSONResponse([
+            'jobs' => $this->clipExportService->getJobs($userId)
+        ]);
+    }
+
+    /**
+     * Get a single clip export job
+     * @NoAdminRequired
+     */
+    public function getExportJob(string $jobId): JSONResponse {
+        $userId = $this->userSession->getUser()->getUID();
+        $job = $this->clipExportService->getJob($userId, $jobId);
+        
+        if ($job === null) {
+            return new JSONResponse(['error' => 'Export job not found'], 404);
+        }
+        
+        return new JSONResponse(['job' => $job]);
+    }
+
+    /**
+     * Read the requested ranges, falling back to the single startTime/endTime pair
+     *
+     * Ranges without their own clipFilename get a numbered variant of the main one.
+     */
+    private function parseRanges(array $input, string $clipFilename): array {
+        $rawRanges = $input['ranges'] ?? null;
+        if (!is_array($rawRanges) || empty($rawRanges)) {
+            $rawRanges = [[
+                'startTime' => $input['startTime'] ?? 0,
+                'endTime' => $input['endTime'] ?? 0,
+                'clipFilename' => $clipFilename
+            ]];
+        }
+        
+        $baseName = pathinfo($clipFilename, PATHINFO_FILENAME);
+        $extension = pathinfo($clipFilename, PATHINFO_EXTENSION);
+        $ranges = [];
+        
+        foreach (array_values($rawRanges) as $index => $range) {
+            $rangeFilename = basename($range['clipFilename'] ?? '');
+            if ($rangeFilename === '') {
+                $rangeFilename = sprintf('%s_%02d.%s', $baseName, $index + 1, $extension);
+            }
+            
+            $ranges[] = [
+                'startTime' => floatval($range['startTime'] ?? 0),
+                'endTime' => floatval($range['endTime'] ?? 0),
+                'clipFilename' => $rangeFilename
+            ];
+        }
+        
+        return $ranges;
+    }
+
+    /**
+     * Give a clip filename an extension whose container holds re-encoded output
+     */
+    private function withReencodeExtension(string $filename): string {
+        $extension = strtolower(pathinfo($filename, PATHINFO_EXTENSION));
+        if (in_array($extension, self::REENCODE_EXTENSIONS, true)) {
+            return $filename;
+        }
+
+        return pathinfo($filename, PATHINFO_FILENAME) . '.mp4';
+    }
+
     /**
      * Normalize a path by resolving .. and . components
      */
@@ -140,15 +343,149 @@ class ClipController extends Controller {
         }
     }
 
-    private function startClipExport(string $inputPath, string $outputPath, float $startTime, float $endTime, string $exportDir): string {
-        // Create hidden log file next to the output file
-        $outputDir = dirname($outputPath);
-        $outputFilename = basename($outputPath);
-        $logFile = $outputDir . '/.' . $outputFilename . '.log';
-        
-        // FFmpeg command for lossless cutting
+    /**
+     * Build the FFmpeg command that losslessly cuts one range
+     *
+     * Commands are returned as ['args' => FFmpeg arguments, 'duration' => seconds of media written],
+     * so startClipExport() can attach a progress file to each and weight them.
+     */
+    private function buildCutCommand(string $inputPath, string $outputPath, float $startTime, float $endTime): array {
         // Using stream copy (-c copy) for lossless operation
-        $duration = $endTime - $startTime;
+        return [
+            'args' => sprintf(
+                '-ss %f -i %s -t %f -c copy -avoid_negative_ts make_zero %s',
+                $startTime,
+                escapeshellarg($inputPath),
+                $endTime - $startTime,
+                escapeshellarg($outputPath)
+            ),
+            'duration' => $endTime - $startTime
+        ];
+    }
+
+    /**
+     * Build the FFmpeg command that re-encodes one range (input seeking is frame-accurate when decoding)
+     */
+    private function buildReencodeCommand(string $inputPath, string $outputPath, float $startTime, float $endTime, string $codecArgs): array {
+        return [
+            'args' => sprintf(
+                '-ss %f -i %s -t %f %s -avoid_negative_ts make_zero %s',
+                $startTime,
+                escapeshellarg($inputPath),
+                $endTime - $startTime,
+                $codecArgs,
+                escapeshellarg($outputPath)
+            ),
+            'duration' => $endTime - $startTime
+        ];
+    }
+
+    /**
+     * Build the FFmpeg commands that cut one range in the chosen export mode
+     */
+    private function buildRangeCommands(string $inputPath, string $outputPath, float $startTime, float $endTime, string $exportMode, array $probe): array {
+        switch ($exportMode) {
+            case 'reencode':
+                return [$this->buildReencodeCommand($inputPath, $outputPath, $startTime, $endTime, self::REENCODE_ARGS)];
+            case 'smart':
+                return $this->buildSmartCutCommands($inputPath, $outputPath, $startTime, $endTime, $probe);
+            default:
+                return [$this->buildCutCommand($inputPath, $outputPath, $startTime, $endTime)];
+        }
+    }
+
+    /**
+     * Build a smart cut: re-encode up to the first keyframe and from the last keyframe,
+     * stream copy the GOPs in between, then concatenate the parts.
+     *
+     * Falls back to a full re-encode when the codec can't be matched or no whole GOP fits in the range.
+     */
+    private function buildSmartCutCommands(string $inputPath, string $outputPath, float $startTime, float $endTime, array $probe): array {
+        $videoStream = $this->ffprobeService->getVideoStream($probe) ?? [];
+        $encoder = self::SMART_CUT_ENCODERS[$videoStream['codec_name'] ?? ''] ?? null;
+
+        $keyframes = [];
+        if ($encoder !== null) {
+            $keyframes = array_values(array_filter(
+                $this->ffprobeService->getKeyframeTimes($inputPath, $probe, $startTime, $endTime),
+                function ($keyframe) use ($startTime, $endTime) {
+                    return $keyframe >= $startTime && $keyframe <= $endTime;
+                }
+            ));
+        }
+
+        if (count($keyframes) < 2) {
+            return [$this->buildReencodeCommand($inputPath, $outputPath, $startTime, $endTime, self::REENCODE_ARGS)];
+        }
+
+        // Edges must match the copied stream closely enough for the concat demuxer
+        $edgeArgs = sprintf(
+            '-c:v %s -preset medium -crf 18 -pix_fmt %s -c:a copy',
+            $encoder,
+            escapeshellarg($videoStream['pix_fmt'] ?? 'yuv420p')
+        );
+        if (preg_match('#^1/(\d+)$#', $videoStream['time_base'] ?? '', $timeBaseMatch)) {
+            $edgeArgs .= ' -video_track_timescale ' . $timeBaseMatch[1];
+        }
+
+        $firstKeyframe = $keyframes[0];
+        $lastKeyframe = $keyframes[count($keyframes) - 1];
+        $partPrefix = dirname($outputPath) . '/.' . basename($outputPath) . '.smart';
+        $extension = pathinfo($outputPath, PATHINFO_EXTENSION);
+        $commands = [];
+        $partFiles = [];
+
+        if ($firstKeyframe - $startTime > 0.001) {
+            $partFiles[] = $headFile = $partPrefix . '1.' . $extension;
+            $commands[] = $this->buildReencodeCommand($inputPath, $headFile, $startTime, $firstKeyframe, $edgeArgs);
+        }
+
+        $partFiles[] = $middleFile = $partPrefix . '2.' . $extension;
+        $commands[] = $this->buildCutCommand($inputPath, $middleFile, $firstKeyframe, $lastKeyframe);
+
+        if ($endTime - $lastKeyframe > 0.001) {
+            $partFiles[] = $tailFile = $partPrefix . '3.' . $extension;
+            $commands[] = $this->buildReencodeCommand($inputPath, $tailFile, $lastKeyframe, $endTime, $edgeArgs);
+        }
+
+        return array_merge($commands, $this->buildConcatCommands($partFiles, $outputPath, $endTime - $startTime));
+    }
+
+    /**
+     * Write a concat list for the part files and build the commands that join and then remove them
+     *
+     * The cleanup is a plain shell command (['shell' => ...]) rather than an FFmpeg run.
+     */
+    private function buildConcatCommands(array $partFiles, string $outputPath, float $duration): array {
+        $concatList = dirname($outputPath) . '/.' . basename($outputPath) . '.concat.txt';
+        $concatEntries = array_map(function ($partFile) {
+            return "file '" . str_replace("'", "'\\''", $partFile) . "'";
+        }, $partFiles);
+        file_put_contents($concatList, implode("\n", $concatEntries) . "\n");
+
+        return [
+            [
+                'args' => sprintf(
+                    '-f concat -safe 0 -i %s -c copy %s',
+                    escapeshellarg($concatList),
+                    escapeshellarg($outputPath)
+                ),
+                'duration' => $duration
+            ],
+            ['shell' => 'rm -f ' . implode(' ', array_map('escapeshellarg', array_merge($partFiles, [$concatList])))]
+        ];
+    }
+
+    /**
+     * Cut all ranges in the background, either to separate files or joined into $joinedOutputPath
+     *
+     * The export is registered as a job; each FFmpeg run reports to its own progress file and the
+     * script ends by calling `occ hyper_viewer:clip-export:finish` with its exit status.
+     */
+    private function startClipExport(string $inputPath, string $outputDir, array $ranges, ?string $joinedOutputPath, string $exportDir, string $exportMode, array $probe, string $sourcePath): array {
+        // Create hidden log file next to the (first) output file
+        $outputFilename = $joinedOutputPath !== null ? basename($joinedOutputPath) : $ranges[0]['clipFilename'];
+        $logFile = $outputDir . '/.' . $outputFilename . '.log';
         
         // Get Nextcloud base path for occ command
         // __DIR__ is /lib/Controller, so we need to go up 4 levels to reach Nextcloud root
@@ -158,14 +495,50 @@ class ClipController extends Controller {
         // Scan path should be relative to user's files directory (no username prefix)
         $scanPath = $exportDir;
         
-        // Build FFmpeg command
-        $ffmpegCmd = sprintf(
-            '/usr/local/bin/ffmpeg -y -ss %f -i %s -t %f -c copy -avoid_negative_ts make_zero %s',
-            $startTime,
-            escapeshellarg($inputPath),
-            $duration,
-            escapeshellarg($outputPath)
-        );
+        // Build FFmpeg commands
+        $commands = [];
+        if ($joinedOutputPath === null) {
+            foreach ($ranges as $range) {
+                $commands = array_merge($commands, $this->buildRangeCommands(
+                    $inputPath, $outputDir . '/' . $range['clipFilename'], $range['startTime'], $range['endTime'], $exportMode, $probe
+                ));
+            }
+        } else {
+            // Cut each range to a hidden part file, then concatenate the parts without re-encoding
+            $extension = pathinfo($joinedOutputPath, PATHINFO_EXTENSION);
+            $partFiles = [];
+            $totalDuration = 0.0;
+            
+            foreach ($ranges as $index => $range) {
+                $partFile = sprintf('%s/.%s.part%02d.%s', $outputDir, $outputFilename, $index + 1, $extension);
+                $partFiles[] = $partFile;
+                $totalDuration += $range['endTime'] - $range['startTime'];
+                $commands = array_merge($commands, $this->buildRangeCommands(
+                    $inputPath, $partFile, $range['startTime'], $range['endTime'], $exportMode, $probe
+                ));
+            }
+            
+            $commands = array_merge($commands, $this->buildConcatCommands($partFiles, $joinedOutputPath, $totalDuration));
+        }
+        
+        // Give every FFmpeg run its own progress file, weighted by the media it writes
+        $jobId = $this->clipExportService->newJobId();
+        $stageDurations = [];
+        $shellCmds = [];
+        foreach ($commands as $command) {
+            if (isset($command['shell'])) {
+                $shellCmds[] = $command['shell'];
+                continue;
+            }
+            
+            $shellCmds[] = sprintf(
+                '/usr/local/bin/ffmpeg -y -nostats -progress %s %s',
+                escapeshellarg($this->clipExportService->getProgressFile($jobId, count($stageDurations))),
+                $command['args']
+            );
+            $stageDurations[] = $command['duration'];
+        }
+        $ffmpegCmd = implode(' && ', $shellCmds);
         
         // Build scan command (use full PHP path for FreeBSD)
         // occ files:scan expects path in format: username/files/relative/path
@@ -175,16 +548,34 @@ class ClipController extends Controller {
             escapeshellarg($userId . '/files' . $scanPath)
         );
         
+        // Marks the job finished and sends the notification; the exit status is appended by the script
+        $finishCmd = sprintf(
+            '/usr/local/bin/php %s hyper_viewer:clip-export:finish %s %s',
+            escapeshellarg($occPath),
+            escapeshellarg($userId),
+            escapeshellarg($jobId)
+        );
+        
+        $job = $this->clipExportService->createJob($userId, $jobId, [
+            'sourcePath' => $sourcePath,
+            'exportDir' => $exportDir,
+            'outputs' => $joinedOutputPath !== null ? [basename($joinedOutputPath)] : array_column($ranges, 'clipFilename'),
+            'exportMode' => $exportMode,
+            'stageDurations' => $stageDurations,
+            'logFile' => $logFile
+        ]);
+        
         // Chain commands in background (use sh for FreeBSD compatibility)
+        $script = $ffmpegCmd . '; status=$?; if [ $status -eq 0 ]; then ' . $scanCmd . '; fi; ' . $finishCmd . ' "$status"';
         $fullCmd = sprintf(
             'nohup sh -c %s > %s 2>&1 &',
-            escapeshellarg($ffmpegCmd . ' && ' . $scanCmd),
+            escapeshellarg($script),
             escapeshellarg($logFile)
         );
 
         // Execute the command
         exec($fullCmd, $output, $returnCode);
         
-        return $logFile;
+        return $job;
     }
 }
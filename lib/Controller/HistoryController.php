@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Controller;
+
+use OCA\HyperViewer\Service\JobHistoryService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Db\DoesNotExistException;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\IRequest;
+use OCP\IUserSession;
+
+class HistoryController extends Controller {
+
+	private const STATUSES = ['completed', 'failed', 'cancelled'];
+	private const JOB_TYPES = ['hls', 'clip'];
+	private const MAX_PAGE_SIZE = 200;
+
+	private IUserSession $userSession;
+	private JobHistoryService $jobHistoryService;
+
+	public function __construct(
+		string $appName,
+		IRequest $request,
+		IUserSession $userSession,
+		JobHistoryService $jobHistoryService
+	) {
+		parent::__construct($appName, $request);
+		$this->userSession = $userSession;
+		$this->jobHistoryService = $jobHistoryService;
+	}
+
+	/**
+	 * List finished jobs, newest first
+	 *
+	 * @NoAdminRequired
+	 */
+	public function index(string $status = '', string $type = '', string $search = '', int $limit = 50, int $offset = 0): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not authenticated'], 401);
+		}
+
+		$limit = max(1, min($limit, self::MAX_PAGE_SIZE));
+
+		// Fetch one extra entry to tell whether there is another page
+		$entries = $this->jobHistoryService->search(
+			$user->getUID(),
+			in_array($status, self::STATUSES, true) ? $status : null,
+			in_array($type, self::JOB_TYPES, true) ? $type : null,
+			trim($search),
+			$limit + 1,
+			max(0, $offset)
+		);
+
+		return new JSONResponse([
+			'entries' => array_slice($entries, 0, $limit),
+			'hasMore' => count($entries) > $limit
+		]);
+	}
+
+	/**
+	 * Get the FFmpeg log of a finished job
+	 *
+	 * @NoAdminRequired
+	 */
+	public function log(int $id): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not authenticated'], 401);
+		}
+
+		try {
+			$entry = $this->jobHistoryService->get($user->getUID(), $id);
+		} catch (DoesNotExistException $e) {
+			return new JSONResponse(['error' => 'History entry not found'], 404);
+		}
+
+		return new JSONResponse([
+			'entry' => $entry,
+			'log' => $entry->getLog() ?? ''
+		]);
+	}
+}
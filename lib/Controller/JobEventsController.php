@@ -0,0 +1,58 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Controller;
+
+use OCA\HyperViewer\Http\JobEventStreamResponse;
+use OCA\HyperViewer\Service\JobStatusService;
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\AppFramework\Http\Response;
+use OCP\IRequest;
+use OCP\ISession;
+use OCP\IUserSession;
+
+class JobEventsController extends Controller {
+
+	private IUserSession $userSession;
+	private ISession $session;
+	private JobStatusService $jobStatusService;
+
+	public function __construct(
+		string $appName,
+		IRequest $request,
+		IUserSession $userSession,
+		ISession $session,
+		JobStatusService $jobStatusService
+	) {
+		parent::__construct($appName, $request);
+		$this->userSession = $userSession;
+		$this->session = $session;
+		$this->jobStatusService = $jobStatusService;
+	}
+
+	/**
+	 * Stream HLS generation and clip export job changes as server-sent events
+	 *
+	 * Pass `directory` to also watch the .cached_hls folder of a Files directory.
+	 *
+	 * @NoAdminRequired
+	 * @NoCSRFRequired
+	 */
+	public function stream(string $directory = ''): Response {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'Unauthorized'], 401);
+		}
+
+		$userId = $user->getUID();
+
+		// Don't hold the session lock for as long as the stream is open
+		$this->session->close();
+
+		return new JobEventStreamResponse(function (array $finished) use ($userId, $directory) {
+			return $this->jobStatusService->getSnapshot($userId, $directory !== '' ? $directory : null, $finished);
+		});
+	}
+}
@@ -0,0 +1,181 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Controller;
+
+use OCP\AppFramework\Controller;
+use OCP\AppFramework\Http\JSONResponse;
+use OCP\Files\IRootFolder;
+use OCP\IConfig;
+use OCP\IRequest;
+use OCP\IUserSession;
+use Psr\Log\LoggerInterface;
+
+class PlaybackController extends Controller {
+
+	private const POSITION_KEY_PREFIX = 'playback_position_';
+	private const CONTINUE_WATCHING_LIMIT = 20;
+
+	/** Positions closer than this to the start or end are not worth resuming */
+	private const RESUME_THRESHOLD_SECONDS = 5;
+
+	private IRootFolder $rootFolder;
+	private IUserSession $userSession;
+	private IConfig $config;
+	private LoggerInterface $logger;
+
+	public function __construct(
+		string $appName,
+		IRequest $request,
+		IRootFolder $rootFolder,
+		IUserSession $userSession,
+		IConfig $config,
+		LoggerInterface $logger
+	) {
+		parent::__construct($appName, $request);
+		$this->rootFolder = $rootFolder;
+		$this->userSession = $userSession;
+		$this->config = $config;
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Get the last watched position of a video
+	 *
+	 * @NoAdminRequired
+	 */
+	public function getPosition(int $fileId): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not authenticated'], 401);
+		}
+
+		$entry = $this->readPosition($user->getUID(), $fileId);
+
+		return new JSONResponse([
+			'fileId' => $fileId,
+			'position' => $entry['position'] ?? 0,
+			'duration' => $entry['duration'] ?? 0,
+			'updatedAt' => $entry['updatedAt'] ?? null
+		]);
+	}
+
+	/**
+	 * Save the current playback position of a video
+	 *
+	 * Positions at the very start or end clear the entry, so finished videos
+	 * drop out of the "Continue watching" list.
+	 *
+	 * @NoAdminRequired
+	 */
+	public function savePosition(int $fileId): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not authenticated'], 401);
+		}
+
+		$position = (float)$this->request->getParam('position', 0);
+		$duration = (float)$this->request->getParam('duration', 0);
+
+		try {
+			$userFolder = $this->rootFolder->getUserFolder($user->getUID());
+			if (empty($userFolder->getById($fileId))) {
+				return new JSONResponse(['error' => 'File not found'], 404);
+			}
+
+			$key = self::POSITION_KEY_PREFIX . $fileId;
+			$isFinished = $duration > 0 && $position >= $duration - self::RESUME_THRESHOLD_SECONDS;
+
+			if ($position < self::RESUME_THRESHOLD_SECONDS || $isFinished) {
+				$this->config->deleteUserValue($user->getUID(), $this->appName, $key);
+				return new JSONResponse(['success' => true, 'cleared' => true]);
+			}
+
+			$this->config->setUserValue($user->getUID(), $this->appName, $key, json_encode([
+				'position' => round($position, 3),
+				'duration' => round($duration, 3),
+				'updatedAt' => time()
+			]));
+
+			return new JSONResponse(['success' => true, 'cleared' => false]);
+
+		} catch (\Exception $e) {
+			$this->logger->error('Failed to save playback position', [
+				'fileId' => $fileId,
+				'error' => $e->getMessage()
+			]);
+			return new JSONResponse(['error' => 'Failed to save playback position'], 500);
+		}
+	}
+
+	/**
+	 * List partially watched videos, most recently watched first
+	 *
+	 * @NoAdminRequired
+	 */
+	public function getContinueWatching(): JSONResponse {
+		$user = $this->userSession->getUser();
+		if (!$user) {
+			return new JSONResponse(['error' => 'User not authenticated'], 401);
+		}
+
+		try {
+			$userId = $user->getUID();
+			$userFolder = $this->rootFolder->getUserFolder($userId);
+			$videos = [];
+
+			foreach ($this->config->getUserKeys($userId, $this->appName) as $key) {
+				if (strpos($key, self::POSITION_KEY_PREFIX) !== 0) {
+					continue;
+				}
+
+				$fileId = (int)substr($key, strlen(self::POSITION_KEY_PREFIX));
+				$entry = $this->readPosition($userId, $fileId);
+				$nodes = $userFolder->getById($fileId);
+
+				// Forget positions of videos that were deleted in the meantime
+				if ($entry === null || empty($nodes)) {
+					$this->config->deleteUserValue($userId, $this->appName, $key);
+					continue;
+				}
+
+				$path = $userFolder->getRelativePath($nodes[0]->getPath());
+				$videos[] = [
+					'fileId' => $fileId,
+					'filename' => basename($path),
+					'directory' => dirname($path),
+					'position' => $entry['position'],
+					'duration' => $entry['duration'],
+					'updatedAt' => $entry['updatedAt']
+				];
+			}
+
+			usort($videos, function ($a, $b) {
+				return $b['updatedAt'] <=> $a['updatedAt'];
+			});
+
+			return new JSONResponse([
+				'videos' => array_slice($videos, 0, self::CONTINUE_WATCHING_LIMIT)
+			]);
+
+		} catch (\Exception $e) {
+			$this->logger->error('Failed to get continue watching list', ['error' => $e->getMessage()]);
+			return new JSONResponse(['error' => 'Failed to get continue watching list'], 500);
+		}
+	}
+
+	/**
+	 * Read a stored position entry, or null if there is none
+	 */
+	private function readPosition(string $userId, int $fileId): ?array {
+		$json = $this->config->getUserValue($userId, $this->appName, self::POSITION_KEY_PREFIX . $fileId, '');
+		$entry = json_decode($json, true);
+
+		if (!is_array($entry) || !isset($entry['position'])) {
+			return null;
+		}
+
+		return $entry;
+	}
+}
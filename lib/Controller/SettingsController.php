@@ -4,6 +4,9 @@ declare(strict_types=1);
 
 namespace OCA\HyperViewer\Controller;
 
+use OCA\HyperViewer\Service\EncodingLadderService;
+use OCA\HyperViewer\Service\VideoCodecService;
+use OCA\HyperViewer\Service\VideoTypeService;
 use OCP\AppFramework\Controller;
 use OCP\AppFramework\Http\JSONResponse;
 use OCP\IConfig;
@@ -11,10 +14,16 @@ use OCP\IRequest;
 
 class SettingsController extends Controller {
 	private IConfig $config;
+	private EncodingLadderService $encodingLadderService;
+	private VideoCodecService $videoCodecService;
+	private VideoTypeService $videoTypeService;
 
-	public function __construct(string $appName, IRequest $request, IConfig $config) {
+	public function __construct(string $appName, IRequest $request, IConfig $config, EncodingLadderService $encodingLadderService, VideoCodecService $videoCodecService, VideoTypeService $videoTypeService) {
 		parent::__construct($appName, $request);
 		$this->config = $config;
+		$this->encodingLadderService = $encodingLadderService;
+		$this->videoCodecService = $videoCodecService;
+		$this->videoTypeService = $videoTypeService;
 	}
 
 	/**
@@ -49,4 +58,67 @@ class SettingsController extends Controller {
 
 		return new JSONResponse(['locations' => $locations]);
 	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function getEncodingPresets(): JSONResponse {
+		$userId = \OC_User::getUser();
+
+		return new JSONResponse([
+			'presets' => $this->encodingLadderService->getPresets($userId),
+			'defaultResolutions' => EncodingLadderService::DEFAULT_RESOLUTIONS,
+			'x264Presets' => EncodingLadderService::X264_PRESETS,
+			// HEVC and AV1 renditions need their encoder in the installed FFmpeg
+			'availableCodecs' => $this->videoCodecService->getAvailableCodecs()
+		]);
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function setEncodingPresets(array $presets = []): JSONResponse {
+		$userId = \OC_User::getUser();
+
+		try {
+			$saved = $this->encodingLadderService->savePresets($userId, $presets);
+		} catch (\InvalidArgumentException $e) {
+			return new JSONResponse(['error' => $e->getMessage()], 400);
+		}
+
+		return new JSONResponse(['status' => 'success', 'presets' => $saved]);
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function getVideoTypes(): JSONResponse {
+		$userId = \OC_User::getUser();
+
+		return new JSONResponse([
+			'types' => $this->videoTypeService->getTypes($userId),
+			'supportedMimes' => $this->videoTypeService->getSupportedMimes($userId),
+			'mimeExtensions' => $this->videoTypeService->getMimeExtensions()
+		]);
+	}
+
+	/**
+	 * @NoAdminRequired
+	 */
+	public function setVideoTypes(array $types = []): JSONResponse {
+		$userId = \OC_User::getUser();
+
+		try {
+			$this->videoTypeService->setEnabledTypes($userId, $types);
+		} catch (\InvalidArgumentException $e) {
+			return new JSONResponse(['error' => $e->getMessage()], 400);
+		}
+
+		return new JSONResponse([
+			'status' => 'success',
+			'types' => $this->videoTypeService->getTypes($userId),
+			'supportedMimes' => $this->videoTypeService->getSupportedMimes($userId),
+			'mimeExtensions' => $this->videoTypeService->getMimeExtensions()
+		]);
+	}
 }
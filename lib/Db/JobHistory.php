@@ -0,0 +1,75 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Db;
+
+use JsonSerializable;
+use OCP\AppFramework\Db\Entity;
+
+/**
+ * A finished HLS generation or clip export
+ *
+ * @method string getUserId()
+ * @method void setUserId(string $userId)
+ * @method string getJobType()
+ * @method void setJobType(string $jobType)
+ * @method string getSourcePath()
+ * @method void setSourcePath(string $sourcePath)
+ * @method string|null getOutputPath()
+ * @method void setOutputPath(?string $outputPath)
+ * @method string getStatus()
+ * @method void setStatus(string $status)
+ * @method string|null getResolutions()
+ * @method void setResolutions(?string $resolutions)
+ * @method int getStartedAt()
+ * @method void setStartedAt(int $startedAt)
+ * @method int getFinishedAt()
+ * @method void setFinishedAt(int $finishedAt)
+ * @method int getOutputSize()
+ * @method void setOutputSize(int $outputSize)
+ * @method string|null getError()
+ * @method void setError(?string $error)
+ * @method string|null getLog()
+ * @method void setLog(?string $log)
+ */
+class JobHistory extends Entity implements JsonSerializable {
+
+	protected $userId;
+	protected $jobType;
+	protected $sourcePath;
+	protected $outputPath;
+	protected $status;
+	protected $resolutions;
+	protected $startedAt;
+	protected $finishedAt;
+	protected $outputSize;
+	protected $error;
+	protected $log;
+
+	public function __construct() {
+		$this->addType('startedAt', 'integer');
+		$this->addType('finishedAt', 'integer');
+		$this->addType('outputSize', 'integer');
+	}
+
+	/**
+	 * The log is only sent on request, it can be large
+	 */
+	public function jsonSerialize(): array {
+		return [
+			'id' => $this->id,
+			'type' => $this->jobType,
+			'sourcePath' => $this->sourcePath,
+			'outputPath' => $this->outputPath,
+			'status' => $this->status,
+			'resolutions' => $this->resolutions ? explode(',', $this->resolutions) : [],
+			'startedAt' => $this->startedAt,
+			'finishedAt' => $this->finishedAt,
+			'duration' => max(0, $this->finishedAt - $this->startedAt),
+			'outputSize' => $this->outputSize,
+			'error' => $this->error,
+			'hasLog' => !empty($this->log)
+		];
+	}
+}
@@ -0,0 +1,73 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Db;
+
+use OCP\AppFramework\Db\QBMapper;
+use OCP\DB\QueryBuilder\IQueryBuilder;
+use OCP\IDBConnection;
+
+/**
+ * @extends QBMapper<JobHistory>
+ */
+class JobHistoryMapper extends QBMapper {
+
+	public function __construct(IDBConnection $db) {
+		parent::__construct($db, 'hyper_viewer_job_history', JobHistory::class);
+	}
+
+	/**
+	 * @throws \OCP\AppFramework\Db\DoesNotExistException
+	 */
+	public function findForUser(int $id, string $userId): JobHistory {
+		$qb = $this->db->getQueryBuilder();
+		$qb->select('*')
+			->from($this->getTableName())
+			->where($qb->expr()->eq('id', $qb->createNamedParameter($id, IQueryBuilder::PARAM_INT)))
+			->andWhere($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)));
+
+		return $this->findEntity($qb);
+	}
+
+	/**
+	 * Newest first, optionally filtered by status, job type and a source path search
+	 *
+	 * @return JobHistory[]
+	 */
+	public function search(string $userId, ?string $status, ?string $jobType, string $search, int $limit, int $offset): array {
+		$qb = $this->db->getQueryBuilder();
+		$qb->select('*')
+			->from($this->getTableName())
+			->where($qb->expr()->eq('user_id', $qb->createNamedParameter($userId)))
+			->orderBy('started_at', 'DESC')
+			->addOrderBy('id', 'DESC')
+			->setMaxResults($limit)
+			->setFirstResult($offset);
+
+		if ($status !== null) {
+			$qb->andWhere($qb->expr()->eq('status', $qb->createNamedParameter($status)));
+		}
+		if ($jobType !== null) {
+			$qb->andWhere($qb->expr()->eq('job_type', $qb->createNamedParameter($jobType)));
+		}
+		if ($search !== '') {
+			$qb->andWhere($qb->expr()->iLike(
+				'source_path',
+				$qb->createNamedParameter('%' . $this->db->escapeLikeParameter($search) . '%')
+			));
+		}
+
+		return $this->findEntities($qb);
+	}
+
+	/**
+	 * Remove entries that finished before $timestamp
+	 */
+	public function deleteFinishedBefore(int $timestamp): void {
+		$qb = $this->db->getQueryBuilder();
+		$qb->delete($this->getTableName())
+			->where($qb->expr()->lt('finished_at', $qb->createNamedParameter($timestamp, IQueryBuilder::PARAM_INT)));
+		$qb->executeStatement();
+	}
+}
@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Http;
+
+use OCP\AppFramework\Http\ICallbackResponse;
+use OCP\AppFramework\Http\IOutput;
+use OCP\AppFramework\Http\Response;
+
+/**
+ * Server-sent events stream of job changes
+ *
+ * Sends a "snapshot" event with the unfinished jobs first, then a "job" event whenever a job
+ * changes and a "removed" event when one disappears. The stream ends after a while and the
+ * browser's EventSource reconnects by itself, receiving a fresh snapshot.
+ *
+ * Completed HLS caches are handed back to the snapshot provider so only running jobs are
+ * read every second; all caches are re-read every RESCAN_INTERVAL seconds to notice
+ * regenerated ones.
+ *
+ * A stream holds a PHP worker, so it ends after IDLE_TIMEOUT seconds without a queued or
+ * running job and asks the browser to come back after IDLE_RECONNECT_DELAY_MS instead.
+ */
+class JobEventStreamResponse extends Response implements ICallbackResponse {
+
+	private const STREAM_DURATION = 50;
+	private const HEARTBEAT_INTERVAL = 15;
+	private const RECONNECT_DELAY_MS = 3000;
+	private const RESCAN_INTERVAL = 15;
+	private const IDLE_TIMEOUT = 10;
+	private const IDLE_RECONNECT_DELAY_MS = 30000;
+	private const ACTIVE_STATUSES = ['queued', 'processing', 'paused', 'running'];
+
+	/** @var callable Receives the completed HLS jobs to reuse and returns the current jobs keyed by job key */
+	private $snapshotProvider;
+
+	public function __construct(callable $snapshotProvider) {
+		parent::__construct();
+		$this->snapshotProvider = $snapshotProvider;
+
+		$this->addHeader('Content-Type', 'text/event-stream');
+		$this->addHeader('Cache-Control', 'no-cache');
+		// Stop nginx from buffering the stream
+		$this->addHeader('X-Accel-Buffering', 'no');
+	}
+
+	public function callback(IOutput $output) {
+		while (ob_get_level() > 0) {
+			ob_end_flush();
+		}
+		set_time_limit(self::STREAM_DURATION + 30);
+
+		$this->send($output, 'retry: ' . self::RECONNECT_DELAY_MS . "\n\n");
+
+		$endTime = time() + self::STREAM_DURATION;
+		$lastSent = time();
+		$previous = null;
+		$finished = [];
+		$lastRescan = 0;
+		$idleSince = null;
+
+		while (time() < $endTime && !connection_aborted()) {
+			if (time() - $lastRescan >= self::RESCAN_INTERVAL) {
+				$finished = [];
+				$lastRescan = time();
+			}
+
+			$jobs = ($this->snapshotProvider)($finished);
+			$finished = array_filter($jobs, function (array $job) {
+				return $job['type'] === 'hls' && $job['status'] === 'completed';
+			});
+			$snapshot = array_map('json_encode', $jobs);
+
+			if ($previous === null) {
+				// Finished HLS caches are not jobs any more; finished clip exports stay listed for a while
+				$initialJobs = [];
+				foreach ($snapshot as $key => $json) {
+					$job = json_decode($json, true);
+					if ($job['type'] === 'clip' || $job['status'] !== 'completed') {
+						$initialJobs[] = array_merge($job, ['key' => $key]);
+					}
+				}
+				$this->sendEvent($output, 'snapshot', $initialJobs);
+				$lastSent = time();
+			} else {
+				foreach ($snapshot as $key => $json) {
+					if (($previous[$key] ?? null) !== $json) {
+						$this->sendEvent($output, 'job', array_merge(json_decode($json, true), ['key' => $key]));
+						$lastSent = time();
+					}
+				}
+				foreach (array_diff_key($previous, $snapshot) as $key => $json) {
+					$this->sendEvent($output, 'removed', ['key' => $key]);
+					$lastSent = time();
+				}
+			}
+			$previous = $snapshot;
+
+			if ($this->hasActiveJobs($jobs)) {
+				$idleSince = null;
+			} elseif ($idleSince === null) {
+				$idleSince = time();
+			} elseif (time() - $idleSince >= self::IDLE_TIMEOUT) {
+				$this->send($output, 'retry: ' . self::IDLE_RECONNECT_DELAY_MS . "\n\n");
+				return;
+			}
+
+			// Comments keep proxies from closing an idle connection
+			if (time() - $lastSent >= self::HEARTBEAT_INTERVAL) {
+				$this->send($output, ": heartbeat\n\n");
+				$lastSent = time();
+			}
+
+			sleep(1);
+		}
+	}
+
+	private function hasActiveJobs(array $jobs): bool {
+		foreach ($jobs as $job) {
+			if (in_array($job['status'] ?? null, self::ACTIVE_STATUSES, true)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	private function sendEvent(IOutput $output, string $event, array $data): void {
+		$this->send($output, 'event: ' . $event . "\ndata: " . json_encode($data) . "\n\n");
+	}
+
+	private function send(IOutput $output, string $chunk): void {
+		$output->setOutput($chunk);
+		flush();
+	}
+}
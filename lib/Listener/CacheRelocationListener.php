@@ -0,0 +1,56 @@
+<?php
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Listener;
+
+use OCA\HyperViewer\Service\HlsCacheService;
+use OCA\HyperViewer\Service\VideoTypeService;
+use OCP\EventDispatcher\Event;
+use OCP\EventDispatcher\IEventListener;
+use OCP\Files\Events\Node\NodeRenamedEvent;
+use OCP\Files\File;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Move or re-link a video's HLS cache after the video is renamed or moved
+ */
+class CacheRelocationListener implements IEventListener {
+
+	private HlsCacheService $hlsCacheService;
+	private VideoTypeService $videoTypeService;
+	private LoggerInterface $logger;
+
+	public function __construct(HlsCacheService $hlsCacheService, VideoTypeService $videoTypeService, LoggerInterface $logger) {
+		$this->hlsCacheService = $hlsCacheService;
+		$this->videoTypeService = $videoTypeService;
+		$this->logger = $logger;
+	}
+
+	public function handle(Event $event): void {
+		if (!($event instanceof NodeRenamedEvent)) {
+			return;
+		}
+
+		$target = $event->getTarget();
+		if (!($target instanceof File) || !$this->videoTypeService->isVideoFile($target->getMimeType(), $target->getName())) {
+			return;
+		}
+
+		// Paths look like /<user>/files/<path>
+		$oldParts = explode('/', $event->getSource()->getPath(), 4);
+		$newParts = explode('/', $target->getPath(), 4);
+		if (($oldParts[2] ?? '') !== 'files' || ($newParts[2] ?? '') !== 'files' || $oldParts[1] !== $newParts[1]) {
+			return;
+		}
+
+		try {
+			$this->hlsCacheService->followMovedSource($newParts[1], '/' . ($oldParts[3] ?? ''), $target);
+		} catch (\Exception $e) {
+			// Never break the user's rename; the cache can still be found through its link
+			$this->logger->warning('Failed to move HLS cache with its video', [
+				'source' => $target->getPath(),
+				'error' => $e->getMessage()
+			]);
+		}
+	}
+}
@@ -0,0 +1,49 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Migration;
+
+use Closure;
+use OCP\DB\ISchemaWrapper;
+use OCP\DB\Types;
+use OCP\Migration\IOutput;
+use OCP\Migration\SimpleMigrationStep;
+
+/**
+ * Create the job history table
+ */
+class Version6100Date20261019000000 extends SimpleMigrationStep {
+
+	public function changeSchema(IOutput $output, Closure $schemaClosure, array $options): ?ISchemaWrapper {
+		/** @var ISchemaWrapper $schema */
+		$schema = $schemaClosure();
+
+		if ($schema->hasTable('hyper_viewer_job_history')) {
+			return null;
+		}
+
+		$table = $schema->createTable('hyper_viewer_job_history');
+		$table->addColumn('id', Types::BIGINT, [
+			'autoincrement' => true,
+			'notnull' => true,
+			'unsigned' => true
+		]);
+		$table->addColumn('user_id', Types::STRING, ['notnull' => true, 'length' => 64]);
+		$table->addColumn('job_type', Types::STRING, ['notnull' => true, 'length' => 16]);
+		$table->addColumn('source_path', Types::STRING, ['notnull' => true, 'length' => 4000]);
+		$table->addColumn('output_path', Types::STRING, ['notnull' => false, 'length' => 4000]);
+		$table->addColumn('status', Types::STRING, ['notnull' => true, 'length' => 16]);
+		$table->addColumn('resolutions', Types::STRING, ['notnull' => false, 'length' => 255]);
+		$table->addColumn('started_at', Types::BIGINT, ['notnull' => true, 'unsigned' => true]);
+		$table->addColumn('finished_at', Types::BIGINT, ['notnull' => true, 'unsigned' => true]);
+		$table->addColumn('output_size', Types::BIGINT, ['notnull' => true, 'unsigned' => true, 'default' => 0]);
+		$table->addColumn('error', Types::TEXT, ['notnull' => false]);
+		$table->addColumn('log', Types::TEXT, ['notnull' => false]);
+
+		$table->setPrimaryKey(['id']);
+		$table->addIndex(['user_id', 'started_at'], 'hv_history_user_started');
+
+		return $schema;
+	}
+}
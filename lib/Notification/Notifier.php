@@ -0,0 +1,83 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Notification;
+
+use OCA\HyperViewer\AppInfo\Application;
+use OCP\IURLGenerator;
+use OCP\L10N\IFactory;
+use OCP\Notification\INotification;
+use OCP\Notification\INotifier;
+
+/**
+ * Renders the HLS cache and clip export notifications
+ */
+class Notifier implements INotifier {
+
+	private IFactory $l10nFactory;
+	private IURLGenerator $urlGenerator;
+
+	public function __construct(IFactory $l10nFactory, IURLGenerator $urlGenerator) {
+		$this->l10nFactory = $l10nFactory;
+		$this->urlGenerator = $urlGenerator;
+	}
+
+	public function getID(): string {
+		return Application::APP_ID;
+	}
+
+	public function getName(): string {
+		return $this->l10nFactory->get(Application::APP_ID)->t('Hyper Viewer');
+	}
+
+	public function prepare(INotification $notification, string $languageCode): INotification {
+		if ($notification->getApp() !== Application::APP_ID) {
+			throw new \InvalidArgumentException('Unknown app');
+		}
+
+		$l = $this->l10nFactory->get(Application::APP_ID, $languageCode);
+		$params = $notification->getSubjectParameters();
+		$filename = $params['filename'] ?? '';
+
+		switch ($notification->getSubject()) {
+			case 'cache_generated':
+				$notification->setParsedSubject($l->t('HLS cache ready for %s', [$filename]));
+				break;
+
+			case 'cache_failed':
+				$notification->setParsedSubject($l->t('HLS cache generation failed for %s', [$filename]));
+				if (!empty($params['error'])) {
+					$notification->setParsedMessage($params['error']);
+				}
+				break;
+
+			case 'clip_exported':
+				$count = (int)($params['count'] ?? 1);
+				$notification->setParsedSubject($count > 1
+					? $l->t('%1$s clips exported to %2$s', [$count, $params['directory'] ?? '/'])
+					: $l->t('Clip exported: %s', [$filename]));
+				$notification->setLink($this->urlGenerator->linkToRouteAbsolute('files.view.index', [
+					'dir' => $params['directory'] ?? '/',
+					'scrollto' => $filename
+				]));
+				break;
+
+			case 'clip_export_failed':
+				$notification->setParsedSubject($l->t('Clip export failed: %s', [$filename]));
+				if (!empty($params['error'])) {
+					$notification->setParsedMessage($params['error']);
+				}
+				break;
+
+			default:
+				throw new \InvalidArgumentException('Unknown subject');
+		}
+
+		$notification->setIcon($this->urlGenerator->getAbsoluteURL(
+			$this->urlGenerator->imagePath(Application::APP_ID, 'app.svg')
+		));
+
+		return $notification;
+	}
+}
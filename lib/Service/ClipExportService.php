@@ -0,0 +1,322 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Service;
+
+use OCP\Notification\IManager as INotificationManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Tracks clip export jobs run by ClipController in the background
+ *
+ * Jobs are stored as JSON files rather than user config values, so the job event stream
+ * sees jobs created and finished by other processes (the occ finish command) while it runs.
+ * Each FFmpeg step writes its own `-progress` file so progress can be weighted by the
+ * duration it processes.
+ */
+class ClipExportService {
+
+	private const APP_ID = 'hyper_viewer';
+	private const PROGRESS_DIR = '/tmp/hyper_clip_jobs';
+	private const STATE_DIR = '/tmp/hyper_clip_jobs/state';
+
+	/** Finished jobs stay listed this long so the dashboard and player can show the outcome */
+	private const FINISHED_JOB_TTL = 86400;
+
+	/** Running jobs whose progress files stop changing for this long are considered dead */
+	private const STALLED_JOB_TIMEOUT = 3600;
+
+	private INotificationManager $notificationManager;
+	private JobHistoryService $jobHistoryService;
+	private LoggerInterface $logger;
+
+	public function __construct(
+		INotificationManager $notificationManager,
+		JobHistoryService $jobHistoryService,
+		LoggerInterface $logger
+	) {
+		$this->notificationManager = $notificationManager;
+		$this->jobHistoryService = $jobHistoryService;
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Generate an ID for a new export job
+	 */
+	public function newJobId(): string {
+		return 'clip_' . bin2hex(random_bytes(8));
+	}
+
+	/**
+	 * Local path of the FFmpeg progress file for one step of a job
+	 */
+	public function getProgressFile(string $jobId, int $stage): string {
+		return sprintf('%s/%s/progress_%02d.txt', self::PROGRESS_DIR, $jobId, $stage);
+	}
+
+	/**
+	 * Register a job before its FFmpeg commands start
+	 *
+	 * @param array $job sourcePath, exportDir, outputs, exportMode, stageDurations, logFile
+	 */
+	public function createJob(string $userId, string $jobId, array $job): array {
+		$progressDir = self::PROGRESS_DIR . '/' . $jobId;
+		if (!is_dir($progressDir)) {
+			mkdir($progressDir, 0755, true);
+		}
+
+		$job = array_merge($job, [
+			'jobId' => $jobId,
+			'status' => 'running',
+			'startedAt' => time(),
+			'finishedAt' => null,
+			'error' => null
+		]);
+		$this->saveJob($userId, $job);
+
+		return $job;
+	}
+
+	/**
+	 * All jobs of a user with their current progress, newest first
+	 */
+	public function getJobs(string $userId): array {
+		$jobs = [];
+
+		foreach (glob($this->getStateDir($userId) . '/clip_*.json') ?: [] as $stateFile) {
+			$job = $this->getJob($userId, basename($stateFile, '.json'));
+			if ($job === null) {
+				continue;
+			}
+
+			// Forget finished jobs after a while
+			if ($job['finishedAt'] !== null && time() - $job['finishedAt'] > self::FINISHED_JOB_TTL) {
+				$this->deleteJob($userId, $job['jobId']);
+				continue;
+			}
+
+			$jobs[] = $job;
+		}
+
+		usort($jobs, function ($a, $b) {
+			return $b['startedAt'] <=> $a['startedAt'];
+		});
+
+		return $jobs;
+	}
+
+	/**
+	 * A single job with its current progress, or null if unknown
+	 */
+	public function getJob(string $userId, string $jobId): ?array {
+		$job = $this->loadJob($userId, $jobId);
+		if ($job === null) {
+			return null;
+		}
+
+		return $this->withProgress($userId, $job);
+	}
+
+	/**
+	 * Mark a job finished (called by the occ command at the end of the export script) and notify the user
+	 */
+	public function finishJob(string $userId, string $jobId, int $exitCode): ?array {
+		$job = $this->loadJob($userId, $jobId);
+		if ($job === null) {
+			return null;
+		}
+
+		$job['status'] = $exitCode === 0 ? 'completed' : 'failed';
+		$job['finishedAt'] = time();
+		$job['error'] = $exitCode === 0 ? null : $this->readError($job['logFile'] ?? '', $exitCode);
+		$this->saveJob($userId, $job);
+
+		$this->removeProgressFiles($jobId);
+		$this->recordHistory($userId, $job);
+		$this->sendNotification($userId, $job);
+
+		return $this->withProgress($userId, $job);
+	}
+
+	/**
+	 * Add progress percentage and speed to a job
+	 */
+	private function withProgress(string $userId, array $job): array {
+		if ($job['status'] !== 'running') {
+			$job['progress'] = $job['status'] === 'completed' ? 100 : 0;
+			$job['speed'] = null;
+			return $job;
+		}
+
+		$stageDurations = $job['stageDurations'] ?? [];
+		$totalDuration = array_sum($stageDurations);
+		$processed = 0.0;
+		$speed = null;
+		$lastUpdate = $job['startedAt'];
+
+		foreach ($stageDurations as $stage => $duration) {
+			$progressFile = $this->getProgressFile($job['jobId'], $stage);
+			if (!file_exists($progressFile)) {
+				break;
+			}
+
+			$lastUpdate = max($lastUpdate, filemtime($progressFile));
+			$content = file_get_contents($progressFile);
+
+			if (preg_match_all('/^speed=\s*([\d.]+x)/m', $content, $speedMatches)) {
+				$speed = end($speedMatches[1]);
+			}
+
+			if (strpos($content, 'progress=end') !== false) {
+				$processed += $duration;
+				continue;
+			}
+
+			if (preg_match_all('/^out_time_us=(\d+)/m', $content, $timeMatches)) {
+				$processed += min($duration, (int)end($timeMatches[1]) / 1000000);
+			}
+			break;
+		}
+
+		if (time() - $lastUpdate > self::STALLED_JOB_TIMEOUT) {
+			$job['status'] = 'failed';
+			$job['finishedAt'] = time();
+			$job['error'] = 'Export stopped responding';
+			$this->saveJob($userId, $job);
+			$this->removeProgressFiles($job['jobId']);
+			return $this->withProgress($userId, $job);
+		}
+
+		// Hold 100% back until the finish command confirms the files were written
+		$job['progress'] = $totalDuration > 0 ? min(99, (int)round($processed / $totalDuration * 100)) : 0;
+		$job['speed'] = $speed;
+
+		return $job;
+	}
+
+	/**
+	 * Pull a short error message from the end of the export log
+	 */
+	private function readError(string $logFile, int $exitCode): string {
+		$message = 'FFmpeg exited with code ' . $exitCode;
+
+		if ($logFile !== '' && file_exists($logFile)) {
+			$lines = array_values(array_filter(array_map('trim', file($logFile) ?: [])));
+			$lastLine = end($lines);
+			if ($lastLine) {
+				// Don't leak server paths into notifications
+				$message = preg_replace('#(/[^\s:\'"]+/)+#', '', $lastLine);
+			}
+		}
+
+		return mb_substr($message, 0, 300);
+	}
+
+	private function recordHistory(string $userId, array $job): void {
+		$logFile = $job['logFile'] ?? '';
+		$outputs = $job['outputs'] ?? [];
+		$exportDir = rtrim($job['exportDir'] ?? '', '/');
+
+		$outputSize = 0;
+		if ($logFile !== '') {
+			foreach ($outputs as $output) {
+				$outputFile = dirname($logFile) . '/' . $output;
+				if (is_file($outputFile)) {
+					$outputSize += (int)filesize($outputFile);
+				}
+			}
+		}
+
+		$this->jobHistoryService->record($userId, [
+			'type' => 'clip',
+			'sourcePath' => $job['sourcePath'] ?? '',
+			'outputPath' => count($outputs) === 1 ? $exportDir . '/' . $outputs[0] : $exportDir,
+			'status' => $job['status'],
+			'startedAt' => $job['startedAt'],
+			'finishedAt' => $job['finishedAt'],
+			'outputSize' => $outputSize,
+			'error' => $job['error'],
+			'logFile' => $logFile
+		]);
+	}
+
+	private function sendNotification(string $userId, array $job): void {
+		try {
+			$outputs = $job['outputs'] ?? [];
+			$notification = $this->notificationManager->createNotification();
+			$notification->setApp(self::APP_ID)
+				->setUser($userId)
+				->setDateTime(new \DateTime())
+				->setObject('clip_export', $job['jobId'])
+				->setSubject($job['status'] === 'completed' ? 'clip_exported' : 'clip_export_failed', [
+					'filename' => $outputs[0] ?? '',
+					'count' => count($outputs),
+					'directory' => $job['exportDir'] ?? '/',
+					'error' => $job['error'] ?? ''
+				]);
+
+			$this->notificationManager->notify($notification);
+		} catch (\Exception $e) {
+			$this->logger->error('Failed to send clip export notification', [
+				'jobId' => $job['jobId'],
+				'error' => $e->getMessage()
+			]);
+		}
+	}
+
+	private function getStateDir(string $userId): string {
+		return self::STATE_DIR . '/' . rawurlencode($userId);
+	}
+
+	private function getStateFile(string $userId, string $jobId): ?string {
+		// Job IDs come from requests, never let them leave the state directory
+		if (!preg_match('/^clip_[0-9a-f]{16}$/', $jobId)) {
+			return null;
+		}
+		return $this->getStateDir($userId) . '/' . $jobId . '.json';
+	}
+
+	private function loadJob(string $userId, string $jobId): ?array {
+		$stateFile = $this->getStateFile($userId, $jobId);
+		if ($stateFile === null || !is_file($stateFile)) {
+			return null;
+		}
+
+		$job = json_decode((string)file_get_contents($stateFile), true);
+		return is_array($job) ? $job : null;
+	}
+
+	private function saveJob(string $userId, array $job): void {
+		unset($job['progress'], $job['speed']);
+
+		$stateFile = $this->getStateFile($userId, $job['jobId']);
+		if ($stateFile === null) {
+			return;
+		}
+		if (!is_dir(dirname($stateFile))) {
+			mkdir(dirname($stateFile), 0750, true);
+		}
+
+		// Write and rename so readers never see a half-written job
+		$tmpFile = $stateFile . '.' . getmypid() . '.tmp';
+		file_put_contents($tmpFile, json_encode($job));
+		rename($tmpFile, $stateFile);
+	}
+
+	private function deleteJob(string $userId, string $jobId): void {
+		$stateFile = $this->getStateFile($userId, $jobId);
+		if ($stateFile !== null) {
+			@unlink($stateFile);
+		}
+		$this->removeProgressFiles($jobId);
+	}
+
+	private function removeProgressFiles(string $jobId): void {
+		$progressDir = self::PROGRESS_DIR . '/' . $jobId;
+		foreach (glob($progressDir . '/*') ?: [] as $file) {
+			@unlink($file);
+		}
+		@rmdir($progressDir);
+	}
+}
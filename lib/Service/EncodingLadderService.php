@@ -0,0 +1,323 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Service;
+
+use OCP\IConfig;
+
+/**
+ * Turns the requested HLS renditions into the rungs that are actually encoded for a source
+ *
+ * Rungs are named after their short side, so a portrait 720p rendition is 720x1280.
+ * Rungs above the source are skipped; the others keep the source aspect ratio.
+ * Besides the built-in ladder, users can define named ladders (presets) in their settings.
+ */
+class EncodingLadderService {
+
+	/**
+	 * Encoder settings per rung of the built-in ladder, from the highest to the lowest
+	 *
+	 * Rungs are encoded at a constant quality (crf) capped by maxrate/bufsize, so there is no target bitrate.
+	 */
+	public const RUNGS = [
+		'1080p' => ['height' => 1080, 'maxrate' => '12000k', 'bufsize' => '16000k', 'crf' => '18', 'preset' => 'medium', 'audioBitrate' => '128k', 'profile' => 'high', 'level' => '4.1', 'tune' => 'film', 'highQuality' => true],
+		'720p' => ['height' => 720, 'maxrate' => '3600k', 'bufsize' => '6000k', 'crf' => '23', 'preset' => 'superfast', 'audioBitrate' => '128k'],
+		'480p' => ['height' => 480, 'maxrate' => '1000k', 'bufsize' => '1600k', 'crf' => '26', 'preset' => 'superfast', 'audioBitrate' => '128k'],
+		'360p' => ['height' => 360, 'maxrate' => '600k', 'bufsize' => '1000k', 'crf' => '28', 'preset' => 'superfast', 'audioBitrate' => '128k'],
+		'240p' => ['height' => 240, 'maxrate' => '400k', 'bufsize' => '600k', 'crf' => '30', 'preset' => 'superfast', 'audioBitrate' => '128k']
+	];
+
+	/** Id of the built-in ladder, which cannot be edited or removed */
+	public const DEFAULT_PRESET = 'default';
+
+	/** Renditions of the built-in ladder selected when nothing else is chosen */
+	public const DEFAULT_RESOLUTIONS = ['720p', '480p', '240p'];
+
+	public const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+	/** User value holding the custom presets as JSON */
+	private const PRESETS_KEY = 'encoding_presets';
+
+	private const MAX_PRESETS = 20;
+	private const MAX_RUNGS = 8;
+	private const MIN_HEIGHT = 144;
+	private const MAX_HEIGHT = 2160;
+
+	/** A source a few lines short of a rung (e.g. 1280x718) still gets it, at its own size */
+	private const RUNG_TOLERANCE = 0.05;
+
+	/** Aspect ratio assumed when the source could not be probed */
+	private const DEFAULT_ASPECT_RATIO = 16 / 9;
+
+	private FFprobeService $ffprobeService;
+	private IConfig $config;
+
+	public function __construct(FFprobeService $ffprobeService, IConfig $config) {
+		$this->ffprobeService = $ffprobeService;
+		$this->config = $config;
+	}
+
+	/**
+	 * List the built-in ladder followed by the user's presets
+	 *
+	 * @return array List of ['id', 'name', 'builtin', 'rungs' => [['name', 'height', 'maxrate', 'crf', 'preset', 'audioBitrate']]]
+	 */
+	public function getPresets(string $userId): array {
+		$presets = [[
+			'id' => self::DEFAULT_PRESET,
+			'name' => 'Default',
+			'builtin' => true,
+			'rungs' => $this->describeRungs(self::RUNGS)
+		]];
+
+		foreach ($this->loadCustomPresets($userId) as $preset) {
+			$presets[] = [
+				'id' => $preset['id'],
+				'name' => $preset['name'],
+				'builtin' => false,
+				'rungs' => $this->describeRungs($preset['rungs'])
+			];
+		}
+
+		return $presets;
+	}
+
+	/**
+	 * Encoder settings per rung of a preset, falling back to the built-in ladder when it no longer exists
+	 */
+	public function getLadder(string $userId, ?string $presetId): array {
+		if ($presetId !== null && $presetId !== self::DEFAULT_PRESET) {
+			foreach ($this->loadCustomPresets($userId) as $preset) {
+				if ($preset['id'] === $presetId) {
+					return $preset['rungs'];
+				}
+			}
+		}
+
+		return self::RUNGS;
+	}
+
+	/**
+	 * Replace the user's presets (the built-in ladder is never stored)
+	 *
+	 * @param array $presets List of ['id' (optional), 'name', 'rungs' => [['height', 'maxrate', 'crf', 'preset', 'audioBitrate']]]
+	 * @return array The stored presets, as returned by getPresets()
+	 * @throws \InvalidArgumentException with a message for the user when a preset is invalid
+	 */
+	public function savePresets(string $userId, array $presets): array {
+		$presets = array_values(array_filter($presets, function ($preset) {
+			return is_array($preset) && ($preset['id'] ?? '') !== self::DEFAULT_PRESET;
+		}));
+		if (count($presets) > self::MAX_PRESETS) {
+			throw new \InvalidArgumentException('At most ' . self::MAX_PRESETS . ' presets can be defined');
+		}
+
+		$stored = [];
+		$usedIds = [self::DEFAULT_PRESET];
+		foreach ($presets as $preset) {
+			$normalized = $this->normalizePreset($preset);
+			if (in_array($normalized['id'], $usedIds, true)) {
+				$normalized['id'] = $this->generatePresetId();
+			}
+			$usedIds[] = $normalized['id'];
+			$stored[] = $normalized;
+		}
+
+		$this->config->setUserValue($userId, 'hyper_viewer', self::PRESETS_KEY, json_encode($stored));
+
+		return $this->getPresets($userId);
+	}
+
+	/**
+	 * Plan the rungs to encode for a probed source
+	 *
+	 * If every requested rung is above the source, a single rung at the source size is
+	 * produced with the settings of the lowest requested one.
+	 *
+	 * @param string[] $resolutions Requested rung names, e.g. ['720p', '480p']; the whole ladder if none of them exist
+	 * @param array|null $ladder Rungs from getLadder(), the built-in ladder by default
+	 * @return array ['source' => display dimensions or null, 'rungs' => [name => settings with width, height and resolution], 'skipped' => names]
+	 */
+	public function plan(array $resolutions, array $probe, ?array $ladder = null): array {
+		return $this->planForSource($resolutions, $this->ffprobeService->getDisplayDimensions($probe), $ladder);
+	}
+
+	/**
+	 * Plan the rungs to encode for a source of known display dimensions
+	 *
+	 * @param array|null $source ['width' => int, 'height' => int], or null if unknown
+	 * @see plan()
+	 */
+	public function planForSource(array $resolutions, ?array $source, ?array $ladder = null): array {
+		$ladder = $ladder ?? self::RUNGS;
+		$requested = array_intersect_key($ladder, array_flip($resolutions));
+		if (empty($requested)) {
+			$requested = $ladder;
+		}
+
+		if ($source === null) {
+			$rungs = [];
+			foreach ($requested as $name => $rung) {
+				$rungs[$name] = $this->withSize($rung, $this->toEven($rung['height'] * self::DEFAULT_ASPECT_RATIO), $rung['height']);
+			}
+			return ['source' => null, 'rungs' => $rungs, 'skipped' => []];
+		}
+
+		$shortSide = min($source['width'], $source['height']);
+		$longSide = max($source['width'], $source['height']);
+		$isPortrait = $source['height'] > $source['width'];
+
+		$rungs = [];
+		$skipped = [];
+		foreach ($requested as $name => $rung) {
+			if ($rung['height'] > $shortSide * (1 + self::RUNG_TOLERANCE)) {
+				$skipped[] = $name;
+				continue;
+			}
+			$rungs[$name] = $this->fitToSource($rung, min($rung['height'], $shortSide), $shortSide, $longSide, $isPortrait);
+		}
+
+		if (empty($rungs) && !empty($requested)) {
+			$lowest = end($requested);
+			$rung = $this->fitToSource($lowest, $shortSide, $shortSide, $longSide, $isPortrait);
+			$rungs[min($rung['width'], $rung['height']) . 'p'] = $rung;
+		}
+
+		return ['source' => $source, 'rungs' => $rungs, 'skipped' => $skipped];
+	}
+
+	/**
+	 * Scale a rung to the given short side, keeping the source aspect ratio
+	 */
+	private function fitToSource(array $rung, int $targetShortSide, int $shortSide, int $longSide, bool $isPortrait): array {
+		// Encoders need even dimensions; round down so the source is never exceeded
+		$short = max(2, $targetShortSide - $targetShortSide % 2);
+		$long = min($this->toEven($short * $longSide / $shortSide), max(2, $longSide - $longSide % 2));
+
+		return $isPortrait ? $this->withSize($rung, $short, $long) : $this->withSize($rung, $long, $short);
+	}
+
+	private function withSize(array $rung, int $width, int $height): array {
+		$rung['width'] = $width;
+		$rung['height'] = $height;
+		$rung['resolution'] = $width . 'x' . $height;
+
+		return $rung;
+	}
+
+	private function toEven(float $value): int {
+		return max(2, (int)round($value / 2) * 2);
+	}
+
+	private function loadCustomPresets(string $userId): array {
+		$presets = json_decode($this->config->getUserValue($userId, 'hyper_viewer', self::PRESETS_KEY, '[]'), true);
+
+		return is_array($presets) ? $presets : [];
+	}
+
+	/**
+	 * Rung settings as shown in the preset editor
+	 */
+	private function describeRungs(array $rungs): array {
+		$described = [];
+		foreach ($rungs as $name => $rung) {
+			$described[] = [
+				'name' => $name,
+				'height' => $rung['height'],
+				'maxrate' => $rung['maxrate'],
+				'crf' => (int)$rung['crf'],
+				'preset' => $rung['preset'],
+				'audioBitrate' => $rung['audioBitrate'] ?? '128k'
+			];
+		}
+
+		return $described;
+	}
+
+	/**
+	 * Validate a preset from the editor and turn it into encoder settings keyed by rung name
+	 */
+	private function normalizePreset(array $preset): array {
+		$name = trim((string)($preset['name'] ?? ''));
+		if ($name === '' || mb_strlen($name) > 64) {
+			throw new \InvalidArgumentException('Every preset needs a name of at most 64 characters');
+		}
+
+		$rungs = $preset['rungs'] ?? [];
+		if (!is_array($rungs) || empty($rungs) || count($rungs) > self::MAX_RUNGS) {
+			throw new \InvalidArgumentException("Preset \"$name\" needs between 1 and " . self::MAX_RUNGS . ' renditions');
+		}
+
+		$normalizedRungs = [];
+		foreach ($rungs as $rung) {
+			$height = (int)($rung['height'] ?? 0);
+			if ($height < self::MIN_HEIGHT || $height > self::MAX_HEIGHT) {
+				throw new \InvalidArgumentException("Preset \"$name\": resolutions must be between " . self::MIN_HEIGHT . 'p and ' . self::MAX_HEIGHT . 'p');
+			}
+			$rungName = $height . 'p';
+			if (isset($normalizedRungs[$rungName])) {
+				throw new \InvalidArgumentException("Preset \"$name\" contains $rungName twice");
+			}
+
+			$maxrate = $this->parseKilobits($rung['maxrate'] ?? '');
+			$audioBitrate = $this->parseKilobits($rung['audioBitrate'] ?? '');
+			if ($maxrate === null || $audioBitrate === null) {
+				throw new \InvalidArgumentException("Preset \"$name\" $rungName: bitrates must look like 3000k or 3M");
+			}
+			if ($audioBitrate < 32 || $audioBitrate > 512) {
+				throw new \InvalidArgumentException("Preset \"$name\" $rungName: the audio bitrate must be between 32k and 512k");
+			}
+
+			$crf = $rung['crf'] ?? null;
+			if (!is_numeric($crf) || (int)$crf < 0 || (int)$crf > 51) {
+				throw new \InvalidArgumentException("Preset \"$name\" $rungName: CRF must be between 0 and 51");
+			}
+
+			$x264Preset = $rung['preset'] ?? '';
+			if (!in_array($x264Preset, self::X264_PRESETS, true)) {
+				throw new \InvalidArgumentException("Preset \"$name\" $rungName: unknown x264 preset");
+			}
+
+			$normalizedRungs[$rungName] = [
+				'height' => $height,
+				'maxrate' => $maxrate . 'k',
+				// Two seconds of the peak rate lets the encoder absorb short spikes
+				'bufsize' => ($maxrate * 2) . 'k',
+				'crf' => (string)(int)$crf,
+				'preset' => $x264Preset,
+				'audioBitrate' => $audioBitrate . 'k',
+				'profile' => $height > 720 ? 'high' : 'main'
+			];
+		}
+
+		// Highest rung first, like the built-in ladder
+		uasort($normalizedRungs, function ($a, $b) {
+			return $b['height'] <=> $a['height'];
+		});
+
+		$id = (string)($preset['id'] ?? '');
+
+		return [
+			'id' => preg_match('/^preset_[a-f0-9]{8,}$/', $id) ? $id : $this->generatePresetId(),
+			'name' => $name,
+			'rungs' => $normalizedRungs
+		];
+	}
+
+	/**
+	 * Parse "3000k", "3M" or a plain number of kilobits per second (null if invalid)
+	 */
+	private function parseKilobits($value): ?int {
+		if (!preg_match('/^\s*(\d+(?:\.\d+)?)\s*([kKmM]?)\s*$/', (string)$value, $matches)) {
+			return null;
+		}
+
+		$kilobits = (int)round((float)$matches[1] * (strtolower($matches[2]) === 'm' ? 1000 : 1));
+		return $kilobits > 0 ? $kilobits : null;
+	}
+
+	private function generatePresetId(): string {
+		return 'preset_' . bin2hex(random_bytes(4));
+	}
+}
@@ -0,0 +1,257 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Service;
+
+use Psr\Log\LoggerInterface;
+
+class FFprobeService {
+
+	private const FFPROBE_BINARY = '/usr/local/bin/ffprobe';
+
+	/** Subtitle codecs that can be converted to WebVTT (bitmap formats like PGS cannot) */
+	private const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+	private LoggerInterface $logger;
+
+	public function __construct(LoggerInterface $logger) {
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Run ffprobe on a local file and return its decoded format and stream information
+	 */
+	public function probe(string $inputPath): array {
+		$cmd = sprintf(
+			'%s -v error -print_format json -show_format -show_streams %s 2>/dev/null',
+			self::FFPROBE_BINARY,
+			escapeshellarg($inputPath)
+		);
+
+		$output = [];
+		$returnCode = 0;
+		exec($cmd, $output, $returnCode);
+
+		$probe = json_decode(implode("\n", $output), true);
+		if ($returnCode !== 0 || !is_array($probe)) {
+			$this->logger->warning('ffprobe failed', [
+				'input' => $inputPath,
+				'returnCode' => $returnCode
+			]);
+			return ['format' => [], 'streams' => []];
+		}
+
+		return [
+			'format' => $probe['format'] ?? [],
+			'streams' => $probe['streams'] ?? []
+		];
+	}
+
+	/**
+	 * Get the container duration in seconds (0 if unknown)
+	 */
+	public function getDuration(array $probe): float {
+		return (float)($probe['format']['duration'] ?? 0);
+	}
+
+	/**
+	 * Get the first video stream, skipping embedded cover art (null for audio-only files)
+	 */
+	public function getVideoStream(array $probe): ?array {
+		foreach ($probe['streams'] ?? [] as $stream) {
+			if (($stream['codec_type'] ?? '') === 'video' && empty($stream['disposition']['attached_pic'])) {
+				return $stream;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the size the video is displayed at, after rotation and non-square pixels
+	 *
+	 * Phones store portrait footage as landscape frames with a rotation flag, and
+	 * DV or broadcast sources use anamorphic pixels; FFmpeg applies both when decoding.
+	 *
+	 * @return array|null ['width' => int, 'height' => int, 'rotation' => 0|90|180|270], null if unknown
+	 */
+	public function getDisplayDimensions(array $probe): ?array {
+		$stream = $this->getVideoStream($probe);
+		$width = (int)($stream['width'] ?? 0);
+		$height = (int)($stream['height'] ?? 0);
+		if ($width <= 0 || $height <= 0) {
+			return null;
+		}
+
+		$sampleAspectRatio = $this->parseRational(str_replace(':', '/', $stream['sample_aspect_ratio'] ?? ''));
+		if ($sampleAspectRatio > 0 && abs($sampleAspectRatio - 1) > 0.001) {
+			$width = (int)round($width * $sampleAspectRatio);
+		}
+
+		$rotation = $this->getRotation($stream);
+		if ($rotation === 90 || $rotation === 270) {
+			[$width, $height] = [$height, $width];
+		}
+
+		return [
+			'width' => $width,
+			'height' => $height,
+			'rotation' => $rotation
+		];
+	}
+
+	/**
+	 * Read the rotation from the display matrix side data (newer FFmpeg) or the rotate tag (older FFmpeg)
+	 */
+	private function getRotation(array $stream): int {
+		$rotation = 0;
+		foreach ($stream['side_data_list'] ?? [] as $sideData) {
+			if (isset($sideData['rotation'])) {
+				$rotation = (int)round((float)$sideData['rotation']);
+				break;
+			}
+		}
+		if ($rotation === 0 && isset($stream['tags']['rotate'])) {
+			$rotation = (int)$stream['tags']['rotate'];
+		}
+
+		return (($rotation % 360) + 360) % 360;
+	}
+
+	/**
+	 * Get the frame rate and timebase of the video stream
+	 *
+	 * Phone footage is often variable frame rate, where r_frame_rate reports the
+	 * highest rate the timestamps allow; the average rate is closer to what plays.
+	 *
+	 * @return array ['frameRate' => fps or null, 'frameRateFraction' => 'num/den', 'timeBase' => 'num/den', 'isVariable' => bool]
+	 */
+	public function getFrameRate(array $probe): array {
+		$stream = $this->getVideoStream($probe) ?? [];
+		$realRate = $this->parseRational($stream['r_frame_rate'] ?? '');
+		$averageRate = $this->parseRational($stream['avg_frame_rate'] ?? '');
+
+		$isVariable = $realRate > 0 && $averageRate > 0 && abs($realRate - $averageRate) > 0.01;
+		$useAverage = $isVariable || $realRate <= 0;
+		$frameRate = $useAverage ? $averageRate : $realRate;
+
+		return [
+			'frameRate' => $frameRate > 0 ? round($frameRate, 3) : null,
+			'frameRateFraction' => $frameRate > 0 ? ($useAverage ? $stream['avg_frame_rate'] : $stream['r_frame_rate']) : null,
+			'timeBase' => $stream['time_base'] ?? null,
+			'isVariable' => $isVariable
+		];
+	}
+
+	/**
+	 * Get the SMPTE start timecode, e.g. "01:00:00:00" (";" before the frames marks drop-frame)
+	 *
+	 * Looks at the QuickTime tmcd track first, then the video stream and container tags.
+	 */
+	public function getStartTimecode(array $probe): ?string {
+		$candidates = [];
+		foreach ($probe['streams'] ?? [] as $stream) {
+			if (isset($stream['tags']['timecode'])) {
+				if (($stream['codec_tag_string'] ?? '') === 'tmcd') {
+					array_unshift($candidates, $stream['tags']['timecode']);
+				} else {
+					$candidates[] = $stream['tags']['timecode'];
+				}
+			}
+		}
+		if (isset($probe['format']['tags']['timecode'])) {
+			$candidates[] = $probe['format']['tags']['timecode'];
+		}
+
+		foreach ($candidates as $timecode) {
+			if (preg_match('/^\d{2}:\d{2}:\d{2}[:;.]\d{2}$/', $timecode)) {
+				return $timecode;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * List video keyframe times (seconds from the start of the file) between $from and $to
+	 *
+	 * Only reads packet headers inside the interval, so it stays fast on long recordings.
+	 */
+	public function getKeyframeTimes(string $inputPath, array $probe, float $from, float $to): array {
+		// Packet timestamps are absolute; clip times are relative to the container start
+		$startOffset = (float)($probe['format']['start_time'] ?? 0);
+
+		$cmd = sprintf(
+			'%s -v error -select_streams v:0 -read_intervals %s -show_entries packet=pts_time,flags -of csv=p=0 %s 2>/dev/null',
+			self::FFPROBE_BINARY,
+			escapeshellarg(sprintf('%.3f%%%.3f', max(0, $from) + $startOffset, $to + $startOffset)),
+			escapeshellarg($inputPath)
+		);
+
+		$output = [];
+		$returnCode = 0;
+		exec($cmd, $output, $returnCode);
+
+		if ($returnCode !== 0) {
+			$this->logger->warning('ffprobe keyframe scan failed', [
+				'input' => $inputPath,
+				'returnCode' => $returnCode
+			]);
+			return [];
+		}
+
+		$keyframes = [];
+		foreach ($output as $line) {
+			$fields = explode(',', trim($line));
+			if (count($fields) >= 2 && is_numeric($fields[0]) && strpos($fields[1], 'K') !== false) {
+				$keyframes[] = round((float)$fields[0] - $startOffset, 6);
+			}
+		}
+
+		$keyframes = array_values(array_unique($keyframes, SORT_REGULAR));
+		sort($keyframes);
+
+		return $keyframes;
+	}
+
+	/**
+	 * Parse an ffprobe rational such as "30000/1001" (0 if invalid)
+	 */
+	private function parseRational(string $value): float {
+		$parts = explode('/', $value);
+		$numerator = (float)$parts[0];
+		$denominator = isset($parts[1]) ? (float)$parts[1] : 1.0;
+
+		return $denominator > 0 ? $numerator / $denominator : 0.0;
+	}
+
+	/**
+	 * Get text-based subtitle streams that can be extracted to WebVTT
+	 *
+	 * @return array List of ['index' => relative subtitle index, 'codec' => ..., 'language' => ..., 'title' => ...]
+	 */
+	public function getSubtitleStreams(array $probe): array {
+		$subtitles = [];
+		$subtitleIndex = 0;
+
+		foreach ($probe['streams'] ?? [] as $stream) {
+			if (($stream['codec_type'] ?? '') !== 'subtitle') {
+				continue;
+			}
+
+			$codec = $stream['codec_name'] ?? '';
+			if (in_array($codec, self::TEXT_SUBTITLE_CODECS, true)) {
+				$subtitles[] = [
+					'index' => $subtitleIndex,
+					'codec' => $codec,
+					'language' => $stream['tags']['language'] ?? 'und',
+					'title' => $stream['tags']['title'] ?? ''
+				];
+			}
+			$subtitleIndex++;
+		}
+
+		return $subtitles;
+	}
+}
@@ -0,0 +1,847 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Service;
+
+use OCA\HyperViewer\BackgroundJob\HlsCacheGenerationJob;
+use OCP\Files\Config\IUserMountCache;
+use OCP\Files\File;
+use OCP\Files\Folder;
+use OCP\Files\IRootFolder;
+use OCP\IConfig;
+use OCP\IUserManager;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Finds and describes the HLS caches a user owns
+ *
+ * A cache is a folder inside a ".cached_hls" (or legacy "cached_hls") directory, named after
+ * the video it was generated from. A cache's manifest links it to the video's file ID, so it is
+ * still found after the video is renamed or moved.
+ */
+class HlsCacheService {
+
+	/** Records which version of the source video a cache was generated from */
+	public const MANIFEST_FILE = 'manifest.json';
+
+	/** MPEG-TS segments referenced by HLS playlists only */
+	public const SEGMENT_FORMAT_TS = 'ts';
+	/** Fragmented MP4 segments shared by master.m3u8 and the DASH manifest.mpd */
+	public const SEGMENT_FORMAT_CMAF = 'cmaf';
+
+	private const CACHE_DIRECTORY_NAMES = ['.cached_hls', 'cached_hls'];
+
+	private IRootFolder $rootFolder;
+	private IConfig $config;
+	private LoggerInterface $logger;
+	private VideoTypeService $videoTypeService;
+	private IUserManager $userManager;
+	private IUserMountCache $userMountCache;
+
+	public function __construct(
+		IRootFolder $rootFolder,
+		IConfig $config,
+		LoggerInterface $logger,
+		VideoTypeService $videoTypeService,
+		IUserManager $userManager,
+		IUserMountCache $userMountCache
+	) {
+		$this->rootFolder = $rootFolder;
+		$this->config = $config;
+		$this->logger = $logger;
+		$this->videoTypeService = $videoTypeService;
+		$this->userManager = $userManager;
+		$this->userMountCache = $userMountCache;
+	}
+
+	/**
+	 * Describe every cache of a user, largest first
+	 *
+	 * @return array[] cachePath, name, sourcePath, sourceExists, outdated, orphaned, renditions, size, createdAt, status
+	 */
+	public function listCaches(string $userId): array {
+		$caches = [];
+
+		foreach ($this->findCacheDirectories($userId) as $cacheDirectory) {
+			foreach ($cacheDirectory->getDirectoryListing() as $node) {
+				if ($node instanceof Folder) {
+					$caches[] = $this->describeCache($userId, $node);
+				}
+			}
+		}
+
+		usort($caches, function ($a, $b) {
+			return $b['size'] <=> $a['size'];
+		});
+
+		return $caches;
+	}
+
+	/**
+	 * Caches whose source video no longer exists, largest first
+	 *
+	 * Caches in the home or configured locations that never recorded their source are
+	 * left out, there is no telling which video they belong to. So are caches whose source
+	 * lived on a storage that can't be reached right now.
+	 */
+	public function findOrphans(string $userId): array {
+		return array_values(array_filter($this->listCaches($userId), function ($cache) {
+			return $cache['orphaned'];
+		}));
+	}
+
+	/**
+	 * Delete the given caches if they are (still) orphaned
+	 *
+	 * @return array[] The removed caches
+	 */
+	public function removeOrphans(string $userId, array $cachePaths): array {
+		$removed = [];
+
+		foreach ($cachePaths as $cachePath) {
+			$cacheFolder = $this->getCacheFolder($userId, (string)$cachePath);
+			if ($cacheFolder === null) {
+				continue;
+			}
+
+			$cache = $this->describeCache($userId, $cacheFolder);
+			if (!$cache['orphaned']) {
+				continue;
+			}
+
+			try {
+				$cacheFolder->delete();
+				$removed[] = $cache;
+			} catch (\Exception $e) {
+				$this->logger->warning('Failed to remove orphaned HLS cache', [
+					'cachePath' => $cachePath,
+					'error' => $e->getMessage()
+				]);
+			}
+		}
+
+		return $removed;
+	}
+
+	/**
+	 * Resolve a cache folder from its path relative to the user folder (null if it is not a cache)
+	 */
+	public function getCacheFolder(string $userId, string $cachePath): ?Folder {
+		$userFolder = $this->rootFolder->getUserFolder($userId);
+
+		try {
+			$node = $userFolder->get($cachePath);
+		} catch (\OCP\Files\NotFoundException $e) {
+			return null;
+		}
+
+		if (!($node instanceof Folder) || !in_array($node->getParent()->getName(), self::CACHE_DIRECTORY_NAMES, true)) {
+			return null;
+		}
+
+		return $node;
+	}
+
+	/**
+	 * Describe a single cache folder
+	 */
+	public function describeCache(string $userId, Folder $cacheFolder): array {
+		$userFolder = $this->rootFolder->getUserFolder($userId);
+		$progressData = $this->readProgress($cacheFolder);
+		$sourcePath = $this->findSourcePath($userFolder, $cacheFolder, $progressData);
+		$cachePath = $userFolder->getRelativePath($cacheFolder->getPath());
+
+		$localPath = $cacheFolder->getStorage()->getLocalFile($cacheFolder->getInternalPath());
+		$files = $localPath && is_dir($localPath) ? (glob($localPath . '/*') ?: []) : [];
+
+		$size = 0;
+		$renditions = [];
+		$codecs = [];
+		$hasPlaylist = false;
+		$hasDash = false;
+		foreach ($files as $file) {
+			if (!is_file($file)) {
+				continue;
+			}
+			$size += (int)filesize($file);
+
+			$name = basename($file);
+			// HEVC and AV1 variants are named like playlist_720p_hevc.m3u8
+			if (preg_match('/^playlist_(\d+p)(?:_(hevc|av1))?\.m3u8$/', $name, $matches)) {
+				$renditions[$matches[1]] = $matches[1];
+				$codecs[$matches[2] ?? 'h264'] = true;
+			}
+			if ($name === 'master.m3u8' || $name === 'playlist.m3u8') {
+				$hasPlaylist = true;
+			}
+			if ($name === 'manifest.mpd') {
+				$hasDash = true;
+			}
+		}
+
+		// CMAF caches name their playlists after the stream index, so the manifest lists their renditions
+		$manifest = $this->readManifest($cacheFolder) ?? [];
+		if (empty($renditions) && !empty($manifest['renditions'])) {
+			$renditions = $manifest['renditions'];
+			$codecs = array_fill_keys($manifest['codecs'] ?? [VideoCodecService::H264], true);
+		}
+		$renditions = array_values($renditions);
+		usort($renditions, function ($a, $b) {
+			return (int)$b <=> (int)$a;
+		});
+		if (empty($renditions) && in_array($localPath . '/playlist.m3u8', $files, true)) {
+			$renditions[] = 'single';
+		}
+
+		$source = null;
+		if ($sourcePath !== null && $userFolder->nodeExists($sourcePath)) {
+			$source = $userFolder->get($sourcePath);
+		}
+		$outdated = $source instanceof File && $this->isOutdated($cacheFolder, $source);
+
+		// A cache being regenerated still has the previous playlists
+		$status = $progressData['status'] ?? 'incomplete';
+		$isBusy = in_array($status, ['processing', 'paused', 'queued'], true);
+		if ($hasPlaylist && !$isBusy) {
+			$status = $outdated ? 'outdated' : 'ready';
+		}
+
+		$isSharedLocation = in_array(dirname($cachePath), $this->getSharedLocations($userId), true);
+		$isOrphaned = $source === null && !$isBusy && ($sourcePath !== null || !$isSharedLocation)
+			&& ($sourcePath === null || $this->isSourceStorageAvailable($userId, $sourcePath));
+
+		return [
+			'cachePath' => $cachePath,
+			'name' => $cacheFolder->getName(),
+			'sourcePath' => $sourcePath,
+			'sourceExists' => $source !== null,
+			'outdated' => $outdated,
+			'orphaned' => $isOrphaned,
+			'renditions' => $renditions,
+			'codecs' => array_keys($codecs),
+			'segmentFormat' => $hasDash ? self::SEGMENT_FORMAT_CMAF : self::SEGMENT_FORMAT_TS,
+			'size' => $size,
+			'createdAt' => $progressData['startTime'] ?? $cacheFolder->getMTime(),
+			'status' => $status
+		];
+	}
+
+	/**
+	 * Describe a cache folder with what it contains: the variants of its master playlist,
+	 * how many media segments it holds and when it was generated
+	 *
+	 * @return array describeCache() plus location, variants (name, codec, width, height, bandwidth),
+	 *               segmentCount and generatedAt
+	 */
+	public function getCacheDetails(string $userId, Folder $cacheFolder): array {
+		$details = $this->describeCache($userId, $cacheFolder);
+		$manifest = $this->readManifest($cacheFolder) ?? [];
+
+		$localPath = $cacheFolder->getStorage()->getLocalFile($cacheFolder->getInternalPath());
+		$segmentCount = 0;
+		foreach (($localPath ? glob($localPath . '/*') : []) ?: [] as $file) {
+			$name = basename($file);
+			// Init segments hold no media
+			if (preg_match('/\.(ts|m4s)$/', $name) && strpos($name, 'init_') !== 0) {
+				$segmentCount++;
+			}
+		}
+
+		return array_merge($details, [
+			'location' => dirname($details['cachePath']),
+			'variants' => $localPath ? $this->readVariants($localPath . '/master.m3u8') : [],
+			'segmentCount' => $segmentCount,
+			'generatedAt' => $manifest['generatedAt'] ?? $details['createdAt']
+		]);
+	}
+
+	/**
+	 * The variant streams of a master playlist, highest bandwidth first
+	 *
+	 * @return array[] name, codec, width, height and bandwidth (bits per second) of each variant
+	 */
+	private function readVariants(string $masterPath): array {
+		if (!is_file($masterPath)) {
+			return [];
+		}
+
+		$lines = file($masterPath, FILE_IGNORE_NEW_LINES) ?: [];
+		$variants = [];
+		foreach ($lines as $index => $line) {
+			if (strpos($line, '#EXT-X-STREAM-INF:') !== 0) {
+				continue;
+			}
+
+			preg_match('/[:,]BANDWIDTH=(\d+)/', $line, $bandwidth);
+			preg_match('/RESOLUTION=(\d+)x(\d+)/', $line, $resolution);
+			preg_match('/CODECS="([^"]*)"/', $line, $codecString);
+			$uri = trim($lines[$index + 1] ?? '');
+
+			// TS playlists are named after their rung; CMAF playlists after the stream index
+			if (preg_match('/^playlist_(\d+p)(?:_(hevc|av1))?\.m3u8$/', $uri, $matches)) {
+				$name = $matches[1];
+				$codec = $matches[2] ?? VideoCodecService::H264;
+			} else {
+				$name = isset($resolution[2]) ? $resolution[2] . 'p' : $uri;
+				$codec = $this->codecFromString($codecString[1] ?? '');
+			}
+
+			$variants[] = [
+				'name' => $name,
+				'codec' => $codec,
+				'width' => isset($resolution[1]) ? (int)$resolution[1] : null,
+				'height' => isset($resolution[2]) ? (int)$resolution[2] : null,
+				'bandwidth' => isset($bandwidth[1]) ? (int)$bandwidth[1] : null
+			];
+		}
+
+		usort($variants, function ($a, $b) {
+			return (int)$b['bandwidth'] <=> (int)$a['bandwidth'];
+		});
+
+		return $variants;
+	}
+
+	/**
+	 * Our codec name for the video entry of an RFC 6381 CODECS attribute
+	 */
+	private function codecFromString(string $codecString): string {
+		foreach (explode(',', $codecString) as $codec) {
+			$prefix = substr(trim($codec), 0, 4);
+			if ($prefix === 'hvc1' || $prefix === 'hev1') {
+				return VideoCodecService::HEVC;
+			}
+			if ($prefix === 'av01') {
+				return VideoCodecService::AV1;
+			}
+		}
+
+		return VideoCodecService::H264;
+	}
+
+	/**
+	 * Write the manifest of a freshly generated cache, which links the cache to its video
+	 *
+	 * @param array $encoding ['renditions' => string[], 'codecs' => string[], 'segmentFormat' => 'ts'|'cmaf']
+	 */
+	public function linkCache(string $userId, Folder $cacheFolder, File $source, array $encoding = []): void {
+		$userFolder = $this->rootFolder->getUserFolder($userId);
+		$cacheLocalPath = $cacheFolder->getStorage()->getLocalFile($cacheFolder->getInternalPath());
+
+		file_put_contents($cacheLocalPath . '/' . self::MANIFEST_FILE, json_encode([
+			'sourceFileId' => $source->getId(),
+			'sourcePath' => $userFolder->getRelativePath($source->getPath()),
+			'sourceMtime' => $source->getMTime(),
+			'sourceSize' => $source->getSize(),
+			'generatedAt' => time()
+		] + $encoding, JSON_PRETTY_PRINT));
+	}
+
+	/**
+	 * The cache whose manifest links it to a video
+	 *
+	 * Looks where getCacheOutputPath() puts caches: next to the video and in the home and
+	 * configured locations, under the video's name with or without its file ID. Pass the
+	 * video's previous path to find the cache of a video that was just renamed or moved.
+	 */
+	public function findLinkedCache(string $userId, File $source, ?string $previousPath = null): ?Folder {
+		$userFolder = $this->rootFolder->getUserFolder($userId);
+		$sourcePaths = [$userFolder->getRelativePath($source->getPath())];
+		if ($previousPath !== null) {
+			$sourcePaths[] = $previousPath;
+		}
+
+		foreach ($sourcePaths as $sourcePath) {
+			$cacheRoots = $this->getSharedLocations($userId);
+			foreach (self::CACHE_DIRECTORY_NAMES as $directoryName) {
+				$cacheRoots[] = rtrim(dirname($sourcePath), '/') . '/' . $directoryName;
+			}
+
+			$baseName = pathinfo($sourcePath, PATHINFO_FILENAME);
+			foreach (array_unique($cacheRoots) as $cacheRoot) {
+				foreach ([$baseName, $baseName . '-' . $source->getId()] as $cacheName) {
+					try {
+						$cacheFolder = $userFolder->get($cacheRoot . '/' . $cacheName);
+					} catch (\OCP\Files\NotFoundException $e) {
+						continue;
+					}
+
+					$manifest = $cacheFolder instanceof Folder ? $this->readManifest($cacheFolder) : null;
+					if ($manifest !== null && (int)($manifest['sourceFileId'] ?? 0) === $source->getId()) {
+						return $cacheFolder;
+					}
+				}
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Whether a cache folder was generated from $source
+	 *
+	 * Caches from before manifests were written are matched by the filename they were
+	 * generated for, or assumed to belong to the video they are named after.
+	 */
+	public function belongsTo(Folder $cacheFolder, File $source): bool {
+		$manifest = $this->readManifest($cacheFolder);
+		if ($manifest !== null) {
+			return (int)($manifest['sourceFileId'] ?? 0) === $source->getId();
+		}
+
+		$filename = $this->readProgress($cacheFolder)['jobArguments']['filename'] ?? null;
+		if ($filename !== null) {
+			return $filename === $source->getName();
+		}
+
+		return $cacheFolder->getName() === pathinfo($source->getName(), PATHINFO_FILENAME);
+	}
+
+	/**
+	 * The cache directory a video's cache folder goes into for a cache location from the generation dialog
+	 *
+	 * @param string $cacheLocation 'relative', 'home' or 'custom'
+	 * @throws \Exception when the location is unknown or a custom one has no path
+	 */
+	public function getCacheRoot(string $directory, string $cacheLocation, string $customPath): string {
+		switch ($cacheLocation) {
+			case 'relative':
+				return rtrim($directory, '/') . '/.cached_hls';
+			
+			case 'home':
+				return '/.cached_hls';
+			
+			case 'custom':
+				if (empty($customPath)) {
+					throw new \Exception('Custom cache path is required but not provided');
+				}
+				// Ensure custom path ends with .cached_hls
+				$customPath = rtrim($customPath, '/');
+				if (substr($customPath, -11) !== '.cached_hls') {
+					$customPath .= '/.cached_hls';
+				}
+				return $customPath;
+			
+			default:
+				throw new \Exception("Unknown cache location: $cacheLocation");
+		}
+	}
+
+	/**
+	 * Path (relative to the user folder) of the cache for $source inside $cacheRoot
+	 *
+	 * Reuses the video's linked cache if it lives there. Otherwise the cache is named after the
+	 * video, with the file ID appended when another video's cache already has that name
+	 * (e.g. "clip.mov" and "clip.mp4" in one folder).
+	 */
+	public function getCacheOutputPath(string $userId, File $source, string $cacheRoot): string {
+		$userFolder = $this->rootFolder->getUserFolder($userId);
+		$cacheRoot = rtrim($cacheRoot, '/');
+
+		$linkedCache = $this->findLinkedCache($userId, $source);
+		if ($linkedCache !== null) {
+			$linkedPath = $userFolder->getRelativePath($linkedCache->getPath());
+			if (dirname($linkedPath) === $cacheRoot) {
+				return $linkedPath;
+			}
+		}
+
+		$cachePath = $cacheRoot . '/' . pathinfo($source->getName(), PATHINFO_FILENAME);
+		try {
+			$existing = $userFolder->get($cachePath);
+			if ($existing instanceof Folder && !$this->belongsTo($existing, $source)) {
+				return $cachePath . '-' . $source->getId();
+			}
+		} catch (\OCP\Files\NotFoundException $e) {
+			// Free to use
+		}
+
+		return $cachePath;
+	}
+
+	/**
+	 * Keep a cache with its video after the video was renamed or moved
+	 *
+	 * A cache next to the video moves into the ".cached_hls" of its new folder; caches in the home
+	 * or configured locations stay there. Either way the cache is renamed after the video and its
+	 * records point at the new path. The manifest keeps the source's version, so a cache that was
+	 * already outdated stays outdated.
+	 */
+	public function followMovedSource(string $userId, string $oldPath, File $source): void {
+		$userFolder = $this->rootFolder->getUserFolder($userId);
+		$oldDirectory = rtrim(dirname($oldPath), '/');
+		$newPath = $userFolder->getRelativePath($source->getPath());
+		$newDirectory = rtrim(dirname($newPath), '/');
+
+		$cacheFolder = $this->findLinkedCache($userId, $source, $oldPath) ?? $this->findUnlinkedCache($userFolder, $oldPath, $source);
+		if ($cacheFolder === null) {
+			return;
+		}
+
+		$cachePath = $userFolder->getRelativePath($cacheFolder->getPath());
+		$cacheRoot = dirname($cachePath);
+
+		// For videos at the top level the relative and home locations are the same, leave those be
+		$isRelative = $oldDirectory !== '' && $cacheRoot === $oldDirectory . '/.cached_hls';
+		if ($isRelative && $newDirectory !== $oldDirectory) {
+			$cacheRoot = $newDirectory . '/.cached_hls';
+			if (!$userFolder->nodeExists($cacheRoot)) {
+				$userFolder->newFolder($cacheRoot);
+			}
+		}
+
+		// Link first so the name check recognises the cache as the video's own
+		$this->updateSourceRecords($cacheFolder, $source, $newPath);
+		$targetPath = $this->getCacheOutputPath($userId, $source, $cacheRoot);
+		if ($targetPath !== $cachePath) {
+			$cacheFolder = $cacheFolder->move($userFolder->getFullPath($targetPath));
+		}
+
+		$this->logger->info('HLS cache followed its video', [
+			'source' => $newPath,
+			'from' => $cachePath,
+			'to' => $targetPath
+		]);
+	}
+
+	/**
+	 * The manifest of a cache, or null for caches generated before manifests were written
+	 */
+	public function readManifest(Folder $cacheFolder): ?array {
+		try {
+			$manifestFile = $cacheFolder->get(self::MANIFEST_FILE);
+			if ($manifestFile instanceof File) {
+				$manifest = json_decode($manifestFile->getContent(), true);
+				return is_array($manifest) ? $manifest : null;
+			}
+		} catch (\OCP\Files\NotFoundException $e) {
+			// Generated before manifests existed
+		}
+
+		return null;
+	}
+
+	/**
+	 * The highest rendition recorded in the manifest, or null for caches without one
+	 */
+	public function getTopRendition(Folder $cacheFolder): ?string {
+		$renditions = $this->readManifest($cacheFolder)['renditions'] ?? [];
+		usort($renditions, function ($a, $b) {
+			return (int)$b <=> (int)$a;
+		});
+
+		return $renditions[0] ?? null;
+	}
+
+	/**
+	 * Whether the source video was replaced or modified after the cache was generated
+	 *
+	 * Caches without a manifest can't tell and count as current.
+	 */
+	public function isOutdated(Folder $cacheFolder, File $source): bool {
+		$manifest = $this->readManifest($cacheFolder);
+		if ($manifest === null) {
+			return false;
+		}
+
+		return (int)($manifest['sourceFileId'] ?? 0) !== $source->getId()
+			|| (int)($manifest['sourceMtime'] ?? 0) !== $source->getMTime()
+			|| (int)($manifest['sourceSize'] ?? -1) !== (int)$source->getSize();
+	}
+
+	/**
+	 * Background job arguments that regenerate a cache in place (null if its source is gone)
+	 */
+	public function buildRegenerationJob(string $userId, Folder $cacheFolder): ?array {
+		$cache = $this->describeCache($userId, $cacheFolder);
+		if (!$cache['sourceExists']) {
+			return null;
+		}
+
+		$progressData = $this->readProgress($cacheFolder);
+		$jobArguments = $progressData['jobArguments'] ?? [];
+
+		if (empty($jobArguments['filename'])) {
+			$sourceDirectory = dirname($cache['sourcePath']);
+			$cacheRoot = dirname($cache['cachePath']);
+
+			if ($cacheRoot === rtrim($sourceDirectory, '/') . '/.cached_hls') {
+				$cacheLocation = 'relative';
+			} elseif ($cacheRoot === '/.cached_hls') {
+				$cacheLocation = 'home';
+			} else {
+				$cacheLocation = 'custom';
+			}
+
+			$renditions = array_values(array_diff($cache['renditions'], ['single']));
+			$jobArguments = [
+				'filename' => basename($cache['sourcePath']),
+				'directory' => $sourceDirectory,
+				'cacheLocation' => $cacheLocation,
+				'customPath' => $cacheLocation === 'custom' ? $cacheRoot : '',
+				'resolutions' => !empty($renditions) ? $renditions : EncodingLadderService::DEFAULT_RESOLUTIONS,
+				'codecs' => array_values(array_diff($cache['codecs'], [VideoCodecService::H264])),
+				'segmentFormat' => $cache['segmentFormat']
+			];
+		}
+
+		return array_merge($jobArguments, [
+			'jobId' => uniqid('hls_cache_', true),
+			'userId' => $userId,
+			'overwriteExisting' => true
+		]);
+	}
+
+	/**
+	 * Record a job that was just added to the job list in the progress.json of its cache
+	 *
+	 * New caches get a folder holding only that file, so the job is listed and can be cancelled
+	 * before the background job starts it; existing caches stop reporting the outcome of an
+	 * earlier run. Nothing is written when the job will leave a current cache alone.
+	 *
+	 * @param array $jobData Arguments of the HlsCacheGenerationJob
+	 */
+	public function markQueued(string $userId, array $jobData): void {
+		try {
+			$userFolder = $this->rootFolder->getUserFolder($userId);
+			$source = $userFolder->get(rtrim($jobData['directory'], '/') . '/' . $jobData['filename']);
+			if (!($source instanceof File)) {
+				return;
+			}
+
+			$cacheRoot = $this->getCacheRoot($jobData['directory'], $jobData['cacheLocation'], $jobData['customPath'] ?? '');
+			$cachePath = $this->getCacheOutputPath($userId, $source, $cacheRoot);
+			if ($userFolder->nodeExists($cachePath)) {
+				$cacheFolder = $userFolder->get($cachePath);
+				if (!($cacheFolder instanceof Folder)) {
+					return;
+				}
+
+				$hasPlaylist = $cacheFolder->nodeExists('master.m3u8') || $cacheFolder->nodeExists('playlist.m3u8');
+				if (empty($jobData['overwriteExisting']) && $hasPlaylist && !$this->isOutdated($cacheFolder, $source)) {
+					return;
+				}
+			} else {
+				$cacheFolder = $userFolder->newFolder($cachePath);
+			}
+
+			if ($cacheFolder->nodeExists(HlsCacheGenerationJob::CONTROL_FILE)) {
+				$cacheFolder->get(HlsCacheGenerationJob::CONTROL_FILE)->delete();
+			}
+
+			$progressData = array_merge($this->readProgress($cacheFolder), [
+				'status' => 'queued',
+				'filename' => $source->getName(),
+				'progress' => 0,
+				'completed' => false,
+				'error' => null,
+				'lastUpdate' => time(),
+				// Lets cancel remove the job from the job list before it runs
+				'jobArguments' => $jobData
+			]);
+			if ($cacheFolder->nodeExists('progress.json')) {
+				$cacheFolder->get('progress.json')->putContent(json_encode($progressData, JSON_PRETTY_PRINT));
+			} else {
+				$cacheFolder->newFile('progress.json', json_encode($progressData, JSON_PRETTY_PRINT));
+			}
+		} catch (\Exception $e) {
+			$this->logger->warning('Failed to mark HLS cache as queued', [
+				'filename' => $jobData['filename'] ?? null,
+				'error' => $e->getMessage()
+			]);
+		}
+	}
+
+	/**
+	 * All cache directories of a user: the home locations, configured absolute locations
+	 * and every ".cached_hls" next to videos
+	 *
+	 * @return Folder[]
+	 */
+	private function findCacheDirectories(string $userId): array {
+		$userFolder = $this->rootFolder->getUserFolder($userId);
+		$directories = [];
+
+		foreach ($this->getSharedLocations($userId) as $path) {
+			try {
+				$node = $userFolder->get($path);
+				if ($node instanceof Folder) {
+					$directories[$node->getPath()] = $node;
+				}
+			} catch (\OCP\Files\NotFoundException $e) {
+				continue;
+			}
+		}
+
+		try {
+			foreach ($userFolder->search('cached_hls') as $node) {
+				if ($node instanceof Folder && in_array($node->getName(), self::CACHE_DIRECTORY_NAMES, true)) {
+					$directories[$node->getPath()] = $node;
+				}
+			}
+		} catch (\Exception $e) {
+			$this->logger->warning('Searching for cache directories failed', ['error' => $e->getMessage()]);
+		}
+
+		return array_values($directories);
+	}
+
+	/**
+	 * Cache directories that hold caches of videos from anywhere: the home locations and the
+	 * absolute ones from the user's settings ("./" entries are found by the search)
+	 */
+	private function getSharedLocations(string $userId): array {
+		$sharedLocations = ['/.cached_hls', '/cached_hls'];
+
+		$locations = json_decode($this->config->getUserValue($userId, 'hyper_viewer', 'cache_locations', '[]'), true);
+		foreach (is_array($locations) ? $locations : [] as $location) {
+			if (is_string($location) && strpos($location, '/') === 0) {
+				$sharedLocations[] = rtrim($location, '/');
+			}
+		}
+
+		return array_values(array_unique($sharedLocations));
+	}
+
+	/**
+	 * Find the video a cache was generated from
+	 *
+	 * The manifest's file ID still finds a video that was moved; caches without one fall back to
+	 * their job arguments, and older ones are matched by name against the videos next to a
+	 * relative cache directory.
+	 */
+	private function findSourcePath(Folder $userFolder, Folder $cacheFolder, array $progressData): ?string {
+		$manifest = $this->readManifest($cacheFolder);
+		if (!empty($manifest['sourceFileId'])) {
+			$nodes = $userFolder->getById((int)$manifest['sourceFileId']);
+			if (!empty($nodes)) {
+				return $userFolder->getRelativePath($nodes[0]->getPath());
+			}
+			return $manifest['sourcePath'] ?? null;
+		}
+
+		$jobArguments = $progressData['jobArguments'] ?? [];
+		if (!empty($jobArguments['filename'])) {
+			return rtrim($jobArguments['directory'] ?? '', '/') . '/' . $jobArguments['filename'];
+		}
+
+		try {
+			$videoDirectory = $cacheFolder->getParent()->getParent();
+			foreach ($videoDirectory->getDirectoryListing() as $node) {
+				if ($node instanceof File
+					&& $this->videoTypeService->isVideoFile($node->getMimeType(), $node->getName())
+					&& pathinfo($node->getName(), PATHINFO_FILENAME) === $cacheFolder->getName()) {
+					return $userFolder->getRelativePath($node->getPath());
+				}
+			}
+		} catch (\Exception $e) {
+			// The cache directory sits at the top of the storage
+		}
+
+		return null;
+	}
+
+	/**
+	 * Whether the storage a missing source lived on can be read right now
+	 *
+	 * External storages that need the user's session credentials are not available to
+	 * background jobs, and their videos would look deleted. The user's mounts are read from
+	 * the mount cache, which still lists such storages.
+	 */
+	private function isSourceStorageAvailable(string $userId, string $sourcePath): bool {
+		$user = $this->userManager->get($userId);
+		if ($user === null) {
+			return true;
+		}
+
+		// The deepest mount the source lies under
+		$sourceFullPath = $this->rootFolder->getUserFolder($userId)->getFullPath($sourcePath);
+		$mountPoint = null;
+		foreach ($this->userMountCache->getMountsForUser($user) as $mount) {
+			$candidate = $mount->getMountPoint();
+			if (strpos($sourceFullPath, $candidate) === 0 && ($mountPoint === null || strlen($candidate) > strlen($mountPoint))) {
+				$mountPoint = $candidate;
+			}
+		}
+		if ($mountPoint === null) {
+			return true;
+		}
+
+		try {
+			$storage = $this->rootFolder->get(rtrim($mountPoint, '/'))->getStorage();
+			$availability = $storage->getAvailability();
+			return ($availability['available'] ?? true) && $storage->test();
+		} catch (\Exception $e) {
+			$this->logger->debug('Storage of a missing HLS source is not available', [
+				'sourcePath' => $sourcePath,
+				'error' => $e->getMessage()
+			]);
+			return false;
+		}
+	}
+
+	/**
+	 * A cache from before linking, next to the video under its old name
+	 */
+	private function findUnlinkedCache(Folder $userFolder, string $oldPath, File $source): ?Folder {
+		try {
+			$cacheFolder = $userFolder->get(rtrim(dirname($oldPath), '/') . '/.cached_hls/' . pathinfo($oldPath, PATHINFO_FILENAME));
+		} catch (\OCP\Files\NotFoundException $e) {
+			return null;
+		}
+		if (!($cacheFolder instanceof Folder)) {
+			return null;
+		}
+
+		$manifest = $this->readManifest($cacheFolder);
+		if ($manifest !== null) {
+			return (int)($manifest['sourceFileId'] ?? 0) === $source->getId() ? $cacheFolder : null;
+		}
+
+		$filename = $this->readProgress($cacheFolder)['jobArguments']['filename'] ?? null;
+		return $filename === null || $filename === basename($oldPath) ? $cacheFolder : null;
+	}
+
+	/**
+	 * Point a cache's manifest and progress at the new location of its video
+	 *
+	 * Caches without a manifest get one; they counted as current before, so they still do.
+	 */
+	private function updateSourceRecords(Folder $cacheFolder, File $source, string $sourcePath): void {
+		$cacheLocalPath = $cacheFolder->getStorage()->getLocalFile($cacheFolder->getInternalPath());
+		if (!$cacheLocalPath) {
+			return;
+		}
+
+		$manifest = $this->readManifest($cacheFolder) ?? [
+			'sourceFileId' => $source->getId(),
+			'sourceMtime' => $source->getMTime(),
+			'sourceSize' => $source->getSize(),
+			'generatedAt' => $cacheFolder->getMTime()
+		];
+		$manifest['sourcePath'] = $sourcePath;
+		file_put_contents($cacheLocalPath . '/' . self::MANIFEST_FILE, json_encode($manifest, JSON_PRETTY_PRINT));
+
+		$progressData = $this->readProgress($cacheFolder);
+		if (!empty($progressData['jobArguments'])) {
+			$progressData['filename'] = $source->getName();
+			$progressData['jobArguments']['filename'] = $source->getName();
+			$progressData['jobArguments']['directory'] = dirname($sourcePath);
+			file_put_contents($cacheLocalPath . '/progress.json', json_encode($progressData, JSON_PRETTY_PRINT));
+		}
+	}
+
+	private function readProgress(Folder $cacheFolder): array {
+		try {
+			$progressFile = $cacheFolder->get('progress.json');
+			if ($progressFile instanceof File) {
+				return json_decode($progressFile->getContent(), true) ?: [];
+			}
+		} catch (\OCP\Files\NotFoundException $e) {
+			// Caches from before progress tracking
+		}
+
+		return [];
+	}
+}
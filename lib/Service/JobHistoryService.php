@@ -0,0 +1,125 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Service;
+
+use OCA\HyperViewer\Db\JobHistory;
+use OCA\HyperViewer\Db\JobHistoryMapper;
+use OCP\IConfig;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Records finished HLS generations and clip exports, including the tail of their FFmpeg log
+ */
+class JobHistoryService {
+
+	/** Entries older than this are pruned when a new one is recorded */
+	private const RETENTION = 90 * 86400;
+
+	/** Only the end of a log is kept, that is where FFmpeg reports what went wrong */
+	private const MAX_LOG_BYTES = 65536;
+
+	private const MAX_ERROR_LENGTH = 1000;
+
+	private JobHistoryMapper $mapper;
+	private IConfig $config;
+	private LoggerInterface $logger;
+
+	public function __construct(JobHistoryMapper $mapper, IConfig $config, LoggerInterface $logger) {
+		$this->mapper = $mapper;
+		$this->config = $config;
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Store a finished job; failures are logged and never break the job itself
+	 *
+	 * @param array $entry type, sourcePath, outputPath, status, resolutions, startedAt, finishedAt, outputSize, error, logFile (local path)
+	 */
+	public function record(string $userId, array $entry): void {
+		try {
+			$history = new JobHistory();
+			$history->setUserId($userId);
+			$history->setJobType($entry['type']);
+			$history->setSourcePath(mb_substr($entry['sourcePath'], 0, 4000));
+			$history->setOutputPath(isset($entry['outputPath']) ? mb_substr($entry['outputPath'], 0, 4000) : null);
+			$history->setStatus($entry['status']);
+			$history->setResolutions(!empty($entry['resolutions']) ? implode(',', $entry['resolutions']) : null);
+			$history->setStartedAt((int)$entry['startedAt']);
+			$history->setFinishedAt((int)($entry['finishedAt'] ?? time()));
+			$history->setOutputSize((int)($entry['outputSize'] ?? 0));
+			$history->setError(!empty($entry['error'])
+				? mb_substr($this->sanitize($userId, $entry['error']), 0, self::MAX_ERROR_LENGTH)
+				: null);
+			$history->setLog($this->readLog($userId, $entry['logFile'] ?? ''));
+			$this->mapper->insert($history);
+
+			$this->mapper->deleteFinishedBefore(time() - self::RETENTION);
+		} catch (\Exception $e) {
+			$this->logger->error('Failed to record job history', [
+				'userId' => $userId,
+				'sourcePath' => $entry['sourcePath'] ?? null,
+				'error' => $e->getMessage()
+			]);
+		}
+	}
+
+	/**
+	 * @return JobHistory[]
+	 */
+	public function search(string $userId, ?string $status, ?string $type, string $search, int $limit, int $offset): array {
+		return $this->mapper->search($userId, $status, $type, $search, $limit, $offset);
+	}
+
+	/**
+	 * @throws \OCP\AppFramework\Db\DoesNotExistException
+	 */
+	public function get(string $userId, int $id): JobHistory {
+		return $this->mapper->findForUser($id, $userId);
+	}
+
+	/**
+	 * Tail of a local log file with server paths stripped
+	 */
+	private function readLog(string $userId, string $logFile): ?string {
+		if ($logFile === '' || !is_file($logFile)) {
+			return null;
+		}
+
+		$size = (int)filesize($logFile);
+		$handle = fopen($logFile, 'rb');
+		if ($handle === false) {
+			return null;
+		}
+		if ($size > self::MAX_LOG_BYTES) {
+			fseek($handle, -self::MAX_LOG_BYTES, SEEK_END);
+			// Drop the partial first line
+			fgets($handle);
+		}
+		$log = stream_get_contents($handle);
+		fclose($handle);
+
+		if ($log === false || trim($log) === '') {
+			return null;
+		}
+
+		// FFmpeg rewrites its status line with \r, keep only the last state of each line
+		$log = preg_replace('/^.*\r(?!\n)/m', '', $log);
+
+		return $this->sanitize($userId, mb_convert_encoding($log, 'UTF-8', 'UTF-8'));
+	}
+
+	/**
+	 * Replace local storage locations with paths the user recognises
+	 */
+	private function sanitize(string $userId, string $text): string {
+		$dataDirectory = rtrim((string)$this->config->getSystemValue('datadirectory', ''), '/');
+		if ($dataDirectory !== '') {
+			$text = str_replace($dataDirectory . '/' . $userId . '/files', '', $text);
+			$text = str_replace($dataDirectory, '[data]', $text);
+		}
+
+		return preg_replace('#/tmp/[^\s\'":]+#', '[tmp]', $text);
+	}
+}
@@ -0,0 +1,198 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Service;
+
+use OCP\Files\Folder;
+use OCP\Files\IRootFolder;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Collects the state of a user's HLS generation and clip export jobs
+ *
+ * Used by the job event stream, which diffs consecutive snapshots and pushes the changes.
+ */
+class JobStatusService {
+
+	/** Cache locations in the user's home that the dashboard watches */
+	private const HOME_CACHE_DIRECTORIES = ['/.cached_hls', '/cached_hls'];
+
+	private IRootFolder $rootFolder;
+	private ClipExportService $clipExportService;
+	private LoggerInterface $logger;
+
+	public function __construct(
+		IRootFolder $rootFolder,
+		ClipExportService $clipExportService,
+		LoggerInterface $logger
+	) {
+		$this->rootFolder = $rootFolder;
+		$this->clipExportService = $clipExportService;
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Snapshot of all jobs visible to a subscriber, keyed by "hls:<cachePath>" or "clip:<jobId>"
+	 *
+	 * HLS jobs are read from the progress.json of each cache in the home cache locations
+	 * and, when $directory is given, the .cached_hls folder next to its videos. Completed HLS
+	 * jobs passed in $finished (keyed like the snapshot) are reused as long as their cache
+	 * folder exists, so a stream polling every second only reads caches that are still running.
+	 */
+	public function getSnapshot(string $userId, ?string $directory = null, array $finished = []): array {
+		$snapshot = $this->collectHlsJobs($userId, $directory, $finished);
+
+		foreach ($this->clipExportService->getJobs($userId) as $job) {
+			$snapshot['clip:' . $job['jobId']] = array_merge($job, ['type' => 'clip']);
+		}
+
+		return $snapshot;
+	}
+
+	/**
+	 * HLS jobs of the videos in one directory, without the clip exports of a full snapshot
+	 */
+	public function getDirectoryJobs(string $userId, string $directory): array {
+		return array_filter($this->collectHlsJobs($userId, $directory, []), function ($job) use ($directory) {
+			return $job['directory'] === $directory;
+		});
+	}
+
+	/**
+	 * Derive percentage and ETA (seconds, null if unknown) from the probed source duration
+	 *
+	 * Progress files from before the duration was recorded keep their estimated percentage.
+	 */
+	public function estimateProgress(array $progressData): array {
+		$progressData['eta'] = null;
+		$duration = (float)($progressData['duration'] ?? 0);
+		$status = $progressData['status'] ?? '';
+
+		if ($status === 'completed') {
+			$progressData['progress'] = 100;
+			$progressData['eta'] = 0;
+			return $progressData;
+		}
+
+		if ($duration <= 0 || !in_array($status, ['processing', 'paused'], true)) {
+			return $progressData;
+		}
+
+		$processed = isset($progressData['processedSeconds'])
+			? (float)$progressData['processedSeconds']
+			: $this->timeToSeconds($progressData['time'] ?? '00:00:00');
+		$processed = min($processed, $duration);
+		$progressData['progress'] = (int)min(floor($processed / $duration * 100), 99);
+
+		// FFmpeg's speed is media seconds per wall-clock second
+		$speed = (float)($progressData['speed'] ?? 0);
+		if ($status === 'processing' && $speed > 0) {
+			$progressData['eta'] = (int)ceil(($duration - $processed) / $speed);
+		}
+
+		return $progressData;
+	}
+
+	/**
+	 * HLS jobs of the home cache locations and the .cached_hls folder of $directory, keyed like the snapshot
+	 */
+	private function collectHlsJobs(string $userId, ?string $directory, array $finished): array {
+		$snapshot = [];
+		$userFolder = $this->rootFolder->getUserFolder($userId);
+
+		$cacheDirectories = self::HOME_CACHE_DIRECTORIES;
+		if ($directory !== null && $directory !== '' && $directory !== '/') {
+			$cacheDirectories[] = rtrim($directory, '/') . '/.cached_hls';
+		}
+
+		foreach ($cacheDirectories as $cacheDirectory) {
+			try {
+				if (!$userFolder->nodeExists($cacheDirectory)) {
+					continue;
+				}
+				$cacheFolder = $userFolder->get($cacheDirectory);
+				if ($cacheFolder instanceof Folder) {
+					foreach ($this->getHlsJobs($cacheFolder, $cacheDirectory, $finished) as $job) {
+						$snapshot['hls:' . $job['cachePath']] = $job;
+					}
+				}
+			} catch (\Exception $e) {
+				$this->logger->debug('Skipping unreadable cache directory', [
+					'directory' => $cacheDirectory,
+					'error' => $e->getMessage()
+				]);
+			}
+		}
+
+		return $snapshot;
+	}
+
+	/**
+	 * Read the jobs of one cache location straight from disk (a cache without progress.json is not a job)
+	 */
+	private function getHlsJobs(Folder $cacheFolder, string $cacheDirectory, array $finished): array {
+		$localPath = $cacheFolder->getStorage()->getLocalFile($cacheFolder->getInternalPath());
+		if (!$localPath || !is_dir($localPath)) {
+			return [];
+		}
+
+		$jobs = [];
+		foreach (scandir($localPath) ?: [] as $entry) {
+			if ($entry === '.' || $entry === '..') {
+				continue;
+			}
+
+			$cachePath = $cacheFolder->getPath() . '/' . $entry;
+			if (isset($finished['hls:' . $cachePath])) {
+				$jobs[] = $finished['hls:' . $cachePath];
+				continue;
+			}
+
+			$progressFile = $localPath . '/' . $entry . '/progress.json';
+			if (!is_file($progressFile)) {
+				continue;
+			}
+			$progressData = json_decode((string)file_get_contents($progressFile), true);
+			if (!is_array($progressData)) {
+				continue;
+			}
+
+			$progressData = $this->estimateProgress($progressData);
+
+			$jobs[] = [
+				'type' => 'hls',
+				'cachePath' => $cachePath,
+				'path' => $cacheDirectory . '/' . $entry,
+				'filename' => $progressData['filename'] ?? $entry,
+				'directory' => $progressData['jobArguments']['directory'] ?? null,
+				'status' => $progressData['status'] ?? 'unknown',
+				'progress' => $progressData['progress'] ?? 0,
+				'duration' => $progressData['duration'] ?? 0,
+				'eta' => $progressData['eta'],
+				'frame' => $progressData['frame'] ?? 0,
+				'fps' => $progressData['fps'] ?? 0,
+				'speed' => $progressData['speed'] ?? '0x',
+				'time' => $progressData['time'] ?? '00:00:00',
+				'resolutions' => $progressData['resolutions'] ?? [],
+				'error' => $progressData['error'] ?? null,
+				'startTime' => $progressData['startTime'] ?? null,
+				'lastUpdate' => $progressData['lastUpdate'] ?? null
+			];
+		}
+
+		return $jobs;
+	}
+
+	/**
+	 * Convert an HH:MM:SS(.ms) time to seconds
+	 */
+	private function timeToSeconds(string $time): float {
+		$parts = array_reverse(explode(':', $time));
+		$seconds = 0.0;
+		foreach ($parts as $index => $part) {
+			$seconds += (float)$part * (60 ** $index);
+		}
+		return $seconds;
+	}
+}
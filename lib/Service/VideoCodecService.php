@@ -0,0 +1,206 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Service;
+
+use Psr\Log\LoggerInterface;
+
+/**
+ * Encoder settings and playlist codec strings for the H.264, HEVC and AV1 renditions
+ *
+ * H.264 is always encoded so every browser has something to play; HEVC and AV1
+ * renditions are added next to it and declared in the master playlist, so the
+ * player can pick the most efficient codec the browser decodes.
+ */
+class VideoCodecService {
+
+	public const H264 = 'h264';
+	public const HEVC = 'hevc';
+	public const AV1 = 'av1';
+
+	/** Extra codecs that can be requested, with their encoders in order of preference */
+	private const ENCODERS = [
+		self::HEVC => ['libx265'],
+		self::AV1 => ['libsvtav1', 'libaom-av1']
+	];
+
+	/** Bitrate of a rendition relative to H.264 at the same visual quality */
+	private const BITRATE_FACTORS = [
+		self::HEVC => 0.6,
+		self::AV1 => 0.5
+	];
+
+	/** SVT-AV1 speed per x264 preset; 8 is the fastest level every SVT-AV1 release accepts */
+	private const SVT_AV1_PRESETS = [
+		'ultrafast' => 8, 'superfast' => 8, 'veryfast' => 8, 'faster' => 8, 'fast' => 7,
+		'medium' => 6, 'slow' => 5, 'slower' => 4, 'veryslow' => 4
+	];
+
+	/** libaom cpu-used per x264 preset */
+	private const AOM_CPU_USED = [
+		'ultrafast' => 8, 'superfast' => 8, 'veryfast' => 7, 'faster' => 6, 'fast' => 5,
+		'medium' => 4, 'slow' => 3, 'slower' => 2, 'veryslow' => 1
+	];
+
+	private const FFMPEG_BINARY = '/usr/local/bin/ffmpeg';
+
+	/** Encoders compiled into FFmpeg, read once per process */
+	private static ?array $ffmpegEncoders = null;
+
+	private LoggerInterface $logger;
+
+	public function __construct(LoggerInterface $logger) {
+		$this->logger = $logger;
+	}
+
+	/**
+	 * Extra codecs whose encoder is available in the installed FFmpeg
+	 *
+	 * @return string[] e.g. ['hevc', 'av1']
+	 */
+	public function getAvailableCodecs(): array {
+		$available = [];
+		foreach (array_keys(self::ENCODERS) as $codec) {
+			if ($this->getEncoder($codec) !== null) {
+				$available[] = $codec;
+			}
+		}
+
+		return $available;
+	}
+
+	/**
+	 * The codecs to encode: H.264 first, then the requested extra codecs that are available
+	 *
+	 * @param string[] $requested Extra codecs, e.g. ['hevc']
+	 * @return string[]
+	 */
+	public function resolveCodecs(array $requested): array {
+		$codecs = [self::H264];
+		foreach (array_keys(self::ENCODERS) as $codec) {
+			if (!in_array($codec, $requested, true)) {
+				continue;
+			}
+			if ($this->getEncoder($codec) === null) {
+				$this->logger->warning('No encoder available for requested codec, skipping its renditions', ['codec' => $codec]);
+				continue;
+			}
+			$codecs[] = $codec;
+		}
+
+		return $codecs;
+	}
+
+	/**
+	 * Variant name used in the playlist file names, e.g. "720p" for H.264 and "720p_hevc" for HEVC
+	 */
+	public function getVariantName(string $rungName, string $codec): string {
+		return $codec === self::H264 ? $rungName : $rungName . '_' . $codec;
+	}
+
+	/**
+	 * FFmpeg output options encoding one HEVC or AV1 rendition as output stream $streamIndex
+	 *
+	 * @param array $variant Planned rung from EncodingLadderService::plan()
+	 */
+	public function buildEncoderOptions(string $codec, int $streamIndex, array $variant): string {
+		$encoder = $this->getEncoder($codec);
+		if ($encoder === null) {
+			throw new \Exception("No encoder available for $codec");
+		}
+
+		$factor = self::BITRATE_FACTORS[$codec];
+		$maxrate = $this->scaleRate($variant['maxrate'], $factor);
+		$crf = (int)$variant['crf'];
+
+		$options = sprintf(
+			' -map 0:v:0 -c:v:%1$d %2$s -s:v:%1$d %3$s -pix_fmt:v:%1$d yuv420p -maxrate:v:%1$d %4$s',
+			$streamIndex, $encoder, $variant['resolution'], $maxrate
+		);
+
+		if ($encoder === 'libx265') {
+			// x265 reaches the quality of x264 at roughly 5 CRF steps higher
+			$options .= sprintf(
+				' -preset:v:%1$d %2$s -crf:v:%1$d %3$d -bufsize:v:%1$d %4$s -tag:v:%1$d hvc1',
+				$streamIndex, $variant['preset'], min(51, $crf + 5), $this->scaleRate($variant['bufsize'], $factor)
+			);
+		} elseif ($encoder === 'libsvtav1') {
+			$options .= sprintf(
+				' -preset:v:%1$d %2$d -crf:v:%1$d %3$d',
+				$streamIndex, self::SVT_AV1_PRESETS[$variant['preset']] ?? 8, $this->toAv1Crf($crf)
+			);
+		} else {
+			// Constrained quality: CRF with the maxrate as the bitrate ceiling
+			$options .= sprintf(
+				' -crf:v:%1$d %2$d -b:v:%1$d %3$s -cpu-used:v:%1$d %4$d -row-mt:v:%1$d 1',
+				$streamIndex, $this->toAv1Crf($crf), $maxrate, self::AOM_CPU_USED[$variant['preset']] ?? 6
+			);
+		}
+
+		return $options;
+	}
+
+	/**
+	 * RFC 6381 codec string of a probed stream, e.g. "avc1.64001F", "hvc1.1.6.L93.B0" or "mp4a.40.2" (null if unknown)
+	 */
+	public function getCodecString(array $stream): ?string {
+		$profile = strtolower($stream['profile'] ?? '');
+		if (($stream['codec_name'] ?? '') === 'aac') {
+			return $profile === 'he-aac' ? 'mp4a.40.5' : 'mp4a.40.2';
+		}
+
+		$level = (int)($stream['level'] ?? 0);
+		if ($level <= 0) {
+			return null;
+		}
+
+		switch ($stream['codec_name'] ?? '') {
+			case 'h264':
+				$profiles = ['constrained baseline' => [0x42, 0xE0], 'baseline' => [0x42, 0x00], 'main' => [0x4D, 0x00], 'high' => [0x64, 0x00]];
+				if (!isset($profiles[$profile])) {
+					return null;
+				}
+				return sprintf('avc1.%02X%02X%02X', $profiles[$profile][0], $profiles[$profile][1], $level);
+			case 'hevc':
+				// Main and Main 10 with their usual compatibility flags, main tier
+				return $profile === 'main 10' ? sprintf('hvc1.2.4.L%d.B0', $level) : sprintf('hvc1.1.6.L%d.B0', $level);
+			case 'av1':
+				return sprintf('av01.0.%02dM.08', $level);
+		}
+
+		return null;
+	}
+
+	private function getEncoder(string $codec): ?string {
+		if (self::$ffmpegEncoders === null) {
+			$output = [];
+			exec(self::FFMPEG_BINARY . ' -hide_banner -encoders 2>/dev/null', $output);
+			self::$ffmpegEncoders = [];
+			foreach ($output as $line) {
+				if (preg_match('/^\s*V\S*\s+(\S+)/', $line, $matches)) {
+					self::$ffmpegEncoders[] = $matches[1];
+				}
+			}
+		}
+
+		foreach (self::ENCODERS[$codec] ?? [] as $encoder) {
+			if (in_array($encoder, self::$ffmpegEncoders, true)) {
+				return $encoder;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Map an x264 CRF (0-51) to the AV1 scale (0-63)
+	 */
+	private function toAv1Crf(int $crf): int {
+		return min(63, (int)round($crf * 1.4 + 3));
+	}
+
+	private function scaleRate(string $rate, float $factor): string {
+		return max(1, (int)round((int)$rate * $factor)) . 'k';
+	}
+}
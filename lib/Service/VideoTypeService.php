@@ -0,0 +1,165 @@
+<?php
+
+declare(strict_types=1);
+
+namespace OCA\HyperViewer\Service;
+
+use OCP\IConfig;
+
+/**
+ * The source video formats a user plays and generates HLS caches for
+ *
+ * Formats are grouped by what users recognise (MKV, MTS, ...); each covers the MIME
+ * types Nextcloud assigns to its file extensions. A format whose MIME types are shared
+ * with non-video files (Nextcloud gives .ts sources and HLS segments video/MP2T) also
+ * lists the extensions a file needs to count as a video. The selection is a user setting.
+ */
+class VideoTypeService {
+
+	/** Selectable formats in the order they are listed in the settings */
+	public const TYPES = [
+		'mov' => ['label' => 'QuickTime (MOV)', 'mimes' => ['video/quicktime']],
+		'mp4' => ['label' => 'MP4 (MP4, M4V)', 'mimes' => ['video/mp4', 'video/x-m4v']],
+		'mkv' => ['label' => 'Matroska (MKV)', 'mimes' => ['video/x-matroska']],
+		'webm' => ['label' => 'WebM', 'mimes' => ['video/webm']],
+		'avi' => ['label' => 'AVI', 'mimes' => ['video/x-msvideo']],
+		'mts' => ['label' => 'AVCHD / MPEG-TS (MTS, M2TS)', 'mimes' => ['video/MP2T', 'video/mp2t'], 'extensions' => ['mts', 'm2ts']],
+		'mxf' => ['label' => 'MXF', 'mimes' => ['application/mxf']],
+		'mpeg' => ['label' => 'MPEG (MPG, MPEG)', 'mimes' => ['video/mpeg']],
+		'3gp' => ['label' => '3GP', 'mimes' => ['video/3gpp']],
+		'wmv' => ['label' => 'Windows Media (WMV)', 'mimes' => ['video/x-ms-wmv', 'video/x-ms-asf']],
+		'flv' => ['label' => 'Flash Video (FLV)', 'mimes' => ['video/x-flv']],
+		'ogv' => ['label' => 'Ogg Video (OGV)', 'mimes' => ['video/ogg']]
+	];
+
+	/** Enabled until the user picks their own formats */
+	public const DEFAULT_TYPES = ['mov', 'mp4', 'mkv', 'webm', 'avi', 'mts', 'mxf'];
+
+	/** User config key holding the enabled format ids as JSON */
+	private const SETTINGS_KEY = 'video_types';
+
+	private IConfig $config;
+
+	public function __construct(IConfig $config) {
+		$this->config = $config;
+	}
+
+	/**
+	 * Every format with whether the user has it enabled
+	 *
+	 * @return array List of ['id' => ..., 'label' => ..., 'mimes' => string[], 'enabled' => bool]
+	 */
+	public function getTypes(string $userId): array {
+		$enabled = $this->getEnabledTypes($userId);
+
+		$types = [];
+		foreach (self::TYPES as $id => $type) {
+			$types[] = [
+				'id' => $id,
+				'label' => $type['label'],
+				'mimes' => $type['mimes'],
+				'enabled' => in_array($id, $enabled, true)
+			];
+		}
+
+		return $types;
+	}
+
+	/**
+	 * @return string[] Enabled format ids, e.g. ['mov', 'mp4', 'mkv']
+	 */
+	public function getEnabledTypes(string $userId): array {
+		$stored = json_decode($this->config->getUserValue($userId, 'hyper_viewer', self::SETTINGS_KEY, ''), true);
+		if (!is_array($stored)) {
+			return self::DEFAULT_TYPES;
+		}
+
+		// Formats dropped from TYPES are ignored
+		return array_values(array_intersect(array_keys(self::TYPES), $stored));
+	}
+
+	/**
+	 * Save the enabled formats
+	 *
+	 * @param string[] $typeIds
+	 * @return string[] The saved format ids
+	 * @throws \InvalidArgumentException With a message that can be shown to the user
+	 */
+	public function setEnabledTypes(string $userId, array $typeIds): array {
+		$enabled = array_values(array_intersect(array_keys(self::TYPES), $typeIds));
+		if (empty($enabled)) {
+			throw new \InvalidArgumentException('Select at least one video format');
+		}
+
+		$this->config->setUserValue($userId, 'hyper_viewer', self::SETTINGS_KEY, json_encode($enabled));
+
+		return $enabled;
+	}
+
+	/**
+	 * MIME types of the user's enabled formats
+	 *
+	 * @return string[]
+	 */
+	public function getSupportedMimes(string $userId): array {
+		$mimes = [];
+		foreach ($this->getEnabledTypes($userId) as $id) {
+			array_push($mimes, ...self::TYPES[$id]['mimes']);
+		}
+
+		return $mimes;
+	}
+
+	/**
+	 * Extensions required for MIME types that non-video files share
+	 *
+	 * @return array MIME type => lowercase extensions
+	 */
+	public function getMimeExtensions(): array {
+		$mimeExtensions = [];
+		foreach (self::TYPES as $type) {
+			foreach ($type['mimes'] as $mime) {
+				if (isset($type['extensions'])) {
+					$mimeExtensions[$mime] = $type['extensions'];
+				}
+			}
+		}
+
+		return $mimeExtensions;
+	}
+
+	/**
+	 * Whether a file is a video in one of the given MIME types (see getSupportedMimes())
+	 */
+	public function isSupportedFile(string $mimeType, string $filename, array $supportedMimes): bool {
+		return in_array($mimeType, $supportedMimes, true) && $this->hasVideoExtension($mimeType, $filename);
+	}
+
+	/**
+	 * Whether a file is a video, whichever formats the user has enabled
+	 */
+	public function isVideoFile(string $mimeType, string $filename): bool {
+		if (!$this->hasVideoExtension($mimeType, $filename)) {
+			return false;
+		}
+
+		if (strpos($mimeType, 'video/') === 0) {
+			return true;
+		}
+
+		foreach (self::TYPES as $type) {
+			if (in_array($mimeType, $type['mimes'], true)) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	private function hasVideoExtension(string $mimeType, string $filename): bool {
+		$extensions = $this->getMimeExtensions()[$mimeType] ?? null;
+
+		return $extensions === null
+			|| in_array(strtolower(pathinfo($filename, PATHINFO_EXTENSION)), $extensions, true);
+	}
+}
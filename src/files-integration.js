@@ -1,80 +1,500 @@
 /**
  * Files app integration for Hyper Viewer (Nextcloud 25 compatible)
- * Adds "Generate HLS Cache" action to MOV and MP4 files
+ * Adds "Generate HLS Cache" and playback actions to the video formats enabled in the settings
+ *
+ * Nextcloud 28+ gets its actions through @nextcloud/files; older servers use the legacy
+ * OCA.Files.fileActions registry.
  */
 
 import shaka from "shaka-player/dist/shaka-player.ui.js";
 import "shaka-player/dist/controls.css";
+import {
+	DefaultType,
+	FileAction,
+	FileType,
+	Permission,
+	formatFileSize,
+	registerFileAction
+} from "@nextcloud/files";
 
 console.log("🎬 Hyper Viewer Files integration loading...");
 
-// Wait for Files app to be ready
-document.addEventListener("DOMContentLoaded", function() {
-	// Wait a bit more for Files app to fully initialize
-	setTimeout(initializeFilesIntegration, 1000);
-});
+const PLAY_ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M8,5.14V19.14L19,12.14L8,5.14Z" /></svg>';
+const PROGRESSIVE_ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M10,16.5L16,12L10,7.5V16.5M12,2A10,10 0 0,0 2,12A10,10 0 0,0 12,22A10,10 0 0,0 22,12A10,10 0 0,0 12,2M12,20C7.59,20 4,16.41 4,12C4,7.59 7.59,4 12,4C16.41,4 20,7.59 20,12C20,16.41 16.41,20 12,20Z" /></svg>';
+const HLS_ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M18,4L20,8H17L15,4H13L15,8H12L10,4H8L10,8H7L5,4H4A2,2 0 0,0 2,6V18A2,2 0 0,0 4,20H20A2,2 0 0,0 22,18V4H18Z" /></svg>';
+
+// Circumference of the r=8 progress ring in file list badges
+const HLS_RING_CIRCUMFERENCE = 2 * Math.PI * 8;
+
+// Used until the user's video formats are loaded, or if loading them fails
+const DEFAULT_VIDEO_MIMES = [
+	"video/quicktime",
+	"video/mp4",
+	"video/x-m4v",
+	"video/x-matroska",
+	"video/webm",
+	"video/x-msvideo",
+	"video/MP2T",
+	"video/mp2t",
+	"application/mxf"
+];
+
+// Extensions a file needs when its MIME type is shared with non-video files
+// (Nextcloud gives .ts sources and HLS segments the MPEG-TS type)
+const DEFAULT_MIME_EXTENSIONS = {
+	"video/MP2T": ["mts", "m2ts"],
+	"video/mp2t": ["mts", "m2ts"]
+};
+
+// MIME types of the video formats enabled in the personal settings
+let supportedVideoMimes = DEFAULT_VIDEO_MIMES;
+let videoMimeExtensions = DEFAULT_MIME_EXTENSIONS;
+
+if (isModernFilesApp()) {
+	// The Files app reads the registered actions when it starts, so register right away
+	registerModernFileActions();
+	registerHlsBadgeAction();
+	loadSupportedVideoMimes();
+	document.addEventListener("DOMContentLoaded", registerHlsSidebarTab);
+} else {
+	// Wait for Files app to be ready
+	document.addEventListener("DOMContentLoaded", function() {
+		// Wait a bit more for Files app to fully initialize
+		setTimeout(initializeFilesIntegration, 1000);
+	});
+}
 
 /**
- * Initialize files integration
+ * Whether the server runs the Vue-based Files app of Nextcloud 28 and newer
+ *
+ * @return {boolean}
  */
-function initializeFilesIntegration() {
-	console.log("🔧 Initializing Files integration...");
+function isModernFilesApp() {
+	return parseInt(window.OC?.config?.version || "0", 10) >= 28;
+}
 
-	// Check if we're in the Files app
-	if (!window.OCA || !window.OCA.Files || !window.OCA.Files.fileActions) {
-		console.log("⚠️ Files app not available, retrying in 2 seconds...");
-		setTimeout(initializeFilesIntegration, 2000);
-		return;
+/**
+ * The legacy action context our dialogs and players expect, for a @nextcloud/files node
+ *
+ * @param {object} node - File or folder node
+ * @return {object} Context with dir and fileId
+ */
+function nodeContext(node) {
+	return { dir: node.dirname, fileId: node.fileid };
+}
+
+/**
+ * Whether every node is a file in one of the enabled video formats, with the given permission
+ *
+ * @param {Array} nodes - Selected nodes
+ * @param {number} permission - Permission from @nextcloud/files
+ * @return {boolean}
+ */
+function areSupportedVideos(nodes, permission) {
+	return (
+		nodes.length > 0 &&
+		nodes.every(
+			node =>
+				node.type === FileType.File &&
+				isSupportedVideo(node.mime, node.basename) &&
+				(node.permissions & permission) !== 0
+		)
+	);
+}
+
+/**
+ * Register the file actions with the Files app of Nextcloud 28+
+ */
+function registerModernFileActions() {
+	// Smart play is the default action - auto-detect HLS cache
+	registerFileAction(
+		new FileAction({
+			id: "hyper-viewer-play",
+			displayName: () => t("hyper_viewer", "Play"),
+			iconSvgInline: () => PLAY_ICON,
+			enabled: (nodes, view) =>
+				view.id !== "trashbin" &&
+				nodes.length === 1 &&
+				areSupportedVideos(nodes, Permission.READ),
+			async exec(node) {
+				console.log("🎬 Smart play triggered for:", node.basename);
+				await playVideoSmart(node.basename, node.dirname, nodeContext(node));
+				return null;
+			},
+			default: DefaultType.DEFAULT,
+			order: -1
+		})
+	);
+
+	registerFileAction(
+		new FileAction({
+			id: "hyper-viewer-play-progressive",
+			displayName: () => t("hyper_viewer", "Play Progressive (480p)"),
+			iconSvgInline: () => PROGRESSIVE_ICON,
+			enabled: (nodes, view) =>
+				view.id !== "trashbin" &&
+				nodes.length === 1 &&
+				areSupportedVideos(nodes, Permission.READ),
+			async exec(node) {
+				console.log("🎬 Play Progressive (480p) triggered for:", node.basename);
+				await playProgressive(node.basename, node.dirname, nodeContext(node));
+				return null;
+			},
+			order: 100
+		})
+	);
+
+	// Also offered as a batch action whenever the selection contains a video; the rest is skipped
+	registerFileAction(
+		new FileAction({
+			id: "hyper-viewer-generate-hls",
+			displayName: () => t("hyper_viewer", "Generate HLS Cache"),
+			iconSvgInline: () => HLS_ICON,
+			enabled: (nodes, view) =>
+				view.id !== "trashbin" &&
+				(nodes.length === 1
+					? areSupportedVideos(nodes, Permission.UPDATE)
+					: nodes.some(node => areSupportedVideos([node], Permission.UPDATE))),
+			async exec(node) {
+				console.log("🚀 Generate HLS Cache action triggered for:", node.basename);
+				openCacheGenerationDialog([
+					{ filename: node.basename, context: nodeContext(node) }
+				]);
+				return null;
+			},
+			async execBatch(nodes) {
+				console.log("🚀 Bulk HLS Cache generation triggered");
+				handleBulkCacheGeneration(
+					nodes.map(node => ({
+						filename: node.basename,
+						// Folders and read-only videos are skipped like other non-videos
+						mimetype: areSupportedVideos([node], Permission.UPDATE) ? node.mime : null,
+						context: nodeContext(node)
+					}))
+				);
+				return nodes.map(() => null);
+			}
+		})
+	);
+
+	registerFileAction(
+		new FileAction({
+			id: "hyper-viewer-generate-hls-directory",
+			displayName: () => t("hyper_viewer", "Generate HLS Cache (Directory)"),
+			iconSvgInline: () => HLS_ICON,
+			enabled: (nodes, view) =>
+				view.id !== "trashbin" &&
+				nodes.length === 1 &&
+				nodes[0].type === FileType.Folder &&
+				(nodes[0].permissions & Permission.UPDATE) !== 0,
+			async exec(node) {
+				console.log("🚀 Generate HLS Cache action triggered for directory:", node.basename);
+				openDirectoryCacheGenerationDialog(node.basename, nodeContext(node));
+				return null;
+			}
+		})
+	);
+
+	console.log("✅ Hyper Viewer file actions registered with the Files app");
+}
+
+// Inline badges of the Vue Files app keyed by hlsBadgeKey(), updated by job events
+const inlineHlsBadges = new Map();
+// batch-check lookups collected while the Files app renders its rows, per directory
+const pendingHlsStateChecks = new Map();
+let hlsStateCheckTimeout = null;
+let inlineHlsBadgesSubscribed = false;
+// Videos of the listed directory with a queued or running job, by hlsBadgeKey()
+const busyHlsVideos = new Set();
+let stopBadgeJobEvents = null;
+
+/**
+ * Register the inline action that shows the HLS badge of each video in the Files app of Nextcloud 28+
+ *
+ * The Files app renders it in the row of every node it lists, so badges follow its node
+ * list instead of the legacy file list DOM. Clicking a badge opens the HLS sidebar tab.
+ */
+function registerHlsBadgeAction() {
+	injectHlsBadgeStyles();
+
+	registerFileAction(
+		new FileAction({
+			id: "hyper-viewer-hls-badge",
+			displayName: () => t("hyper_viewer", "HLS cache"),
+			iconSvgInline: () => HLS_ICON,
+			enabled: (nodes, view) =>
+				view.id !== "trashbin" &&
+				nodes.length === 1 &&
+				areSupportedVideos(nodes, Permission.READ),
+			inline: () => true,
+			async renderInline(node) {
+				const container = document.createElement("span");
+				container.className = "hls-badge-inline";
+				container.hidden = true;
+				container.appendChild(document.createElement("div"));
+
+				inlineHlsBadges.set(hlsBadgeKey(node.dirname, node.basename), container);
+				setJobEventDirectory(node.dirname);
+				subscribeInlineHlsBadges();
+
+				applyInlineHlsBadge(container, await checkHlsState(node.dirname, node.basename));
+				return container;
+			},
+			async exec(node) {
+				window.OCA?.Files?.Sidebar?.open(node.path);
+				window.OCA?.Files?.Sidebar?.setActiveTab("hyper-viewer-hls");
+				return null;
+			},
+			order: -50
+		})
+	);
+}
+
+/**
+ * Key of a video in inlineHlsBadges
+ *
+ * @param {string} directory - Directory of the video
+ * @param {string} filename - File name
+ * @return {string}
+ */
+function hlsBadgeKey(directory, filename) {
+	return `${(directory || "/").replace(/\/+$/, "")}/${filename}`;
+}
+
+/**
+ * Show a batch-check state in an inline badge, hiding it when the video has no cache or job
+ *
+ * @param {HTMLElement} container - Element returned by renderInline
+ * @param {object|null} fileState - State from batch-check
+ */
+function applyInlineHlsBadge(container, fileState) {
+	container.hidden = !fileState;
+	if (fileState) {
+		renderHlsBadge(container.firstChild, fileState);
 	}
+}
 
-	console.log("✅ Files app detected, registering actions...");
+/**
+ * Look up the HLS state of a video, batching the lookups of one directory into a single request
+ *
+ * @param {string} directory - Directory of the video
+ * @param {string} filename - File name
+ * @return {Promise<object|null>} State from batch-check, null without cache or job
+ */
+function checkHlsState(directory, filename) {
+	return new Promise(resolve => {
+		if (!pendingHlsStateChecks.has(directory)) {
+			pendingHlsStateChecks.set(directory, new Map());
+		}
+		const waiting = pendingHlsStateChecks.get(directory);
+		waiting.set(filename, [...(waiting.get(filename) || []), resolve]);
 
-	// Register "Generate HLS Cache" action for MOV files
-	OCA.Files.fileActions.registerAction({
-		name: "generateHlsCacheMov",
-		displayName: t("hyper_viewer", "Generate HLS Cache"),
-		mime: "video/quicktime",
-		permissions: OC.PERMISSION_UPDATE,
-		iconClass: "icon-category-multimedia",
-		actionHandler(filename, context) {
-			console.log(
-				"🚀 Generate HLS Cache action triggered for MOV:",
-				filename
+		clearTimeout(hlsStateCheckTimeout);
+		hlsStateCheckTimeout = setTimeout(flushHlsStateChecks, 100);
+	});
+}
+
+/**
+ * Send the collected lookups, one batch-check request per directory
+ */
+async function flushHlsStateChecks() {
+	const checks = [...pendingHlsStateChecks];
+	pendingHlsStateChecks.clear();
+
+	for (const [directory, waiting] of checks) {
+		let states = {};
+		try {
+			const response = await fetch(
+				OC.generateUrl("/apps/hyper_viewer/cache/batch-check"),
+				{
+					method: "POST",
+					headers: {
+						"Content-Type": "application/json",
+						requesttoken: OC.requestToken
+					},
+					body: JSON.stringify({ directory, filenames: [...waiting.keys()] })
+				}
 			);
-			console.log("📁 Context:", context);
-			openCacheGenerationDialog([{ filename, context }]);
+			if (response.ok) {
+				states = (await response.json()).states || {};
+			} else {
+				console.error("Batch check failed:", response.status);
+			}
+		} catch (error) {
+			console.error("Failed to batch check HLS cache:", error);
+		}
+
+		waiting.forEach((resolvers, filename) => {
+			trackBusyHlsVideo(directory, filename, states[filename] || null);
+			resolvers.forEach(resolve => resolve(states[filename] || null));
+		});
+	}
+}
+
+/**
+ * Keep the job event stream open for the badges while the listed directory has a queued or running job
+ *
+ * The stream holds a server worker, so badges only listen passively otherwise.
+ *
+ * @param {string} directory - Directory of the video
+ * @param {string} filename - File name
+ * @param {object|null} fileState - State from batch-check or a job event
+ */
+function trackBusyHlsVideo(directory, filename, fileState) {
+	const key = hlsBadgeKey(directory, filename);
+	if (fileState && ["queued", "generating"].includes(fileState.state)) {
+		busyHlsVideos.add(key);
+	} else {
+		busyHlsVideos.delete(key);
+	}
+	updateBadgeJobEvents();
+}
+
+/**
+ * Open or close the badges' job event stream for the busy videos of the listed directory
+ */
+function updateBadgeJobEvents() {
+	// Videos of directories that are no longer listed don't count
+	const prefix = hlsBadgeKey(jobEventDirectory, "");
+	busyHlsVideos.forEach(busyKey => {
+		if (!busyKey.startsWith(prefix) || busyKey.slice(prefix.length).includes("/")) {
+			busyHlsVideos.delete(busyKey);
 		}
 	});
 
-	// Override default video player for MOV files - auto-detect HLS cache
-	OCA.Files.fileActions.registerAction({
-		name: "playVideoSmart",
-		displayName: t("hyper_viewer", "Play"),
-		mime: "video/quicktime",
-		permissions: OC.PERMISSION_READ,
-		iconClass: "icon-play",
-		order: -1, // Higher priority than default
-		async actionHandler(filename, context) {
-			console.log("🎬 Smart play triggered for MOV:", filename);
-			const directory =
-				context?.dir || context?.fileList?.getCurrentDirectory() || "/";
-			await playVideoSmart(filename, directory, context);
+	if (busyHlsVideos.size > 0 && !stopBadgeJobEvents) {
+		stopBadgeJobEvents = subscribeToJobEvents(() => {});
+	} else if (busyHlsVideos.size === 0 && stopBadgeJobEvents) {
+		stopBadgeJobEvents();
+		stopBadgeJobEvents = null;
+	}
+}
+
+/**
+ * Look up the state of inline badges still in the file list again
+ *
+ * @param {string[]} [keys] - Badges to refresh, all by default
+ */
+function refreshInlineHlsBadges(keys = [...inlineHlsBadges.keys()]) {
+	keys.forEach(key => {
+		const container = inlineHlsBadges.get(key);
+		if (!container) {
+			return;
 		}
+		// Rows the Files app dropped or recycled
+		if (!container.isConnected) {
+			inlineHlsBadges.delete(key);
+			const separator = key.lastIndexOf("/");
+			trackBusyHlsVideo(key.slice(0, separator) || "/", key.slice(separator + 1), null);
+			return;
+		}
+
+		const separator = key.lastIndexOf("/");
+		checkHlsState(key.slice(0, separator) || "/", key.slice(separator + 1)).then(fileState =>
+			applyInlineHlsBadge(container, fileState)
+		);
 	});
+}
+
+/**
+ * Move progress rings with the job stream and re-check badges when a job starts, finishes or goes away
+ *
+ * Listens passively: the stream is opened by trackBusyHlsVideo() or another view that needs it.
+ */
+function subscribeInlineHlsBadges() {
+	if (inlineHlsBadgesSubscribed) {
+		return;
+	}
+	inlineHlsBadgesSubscribed = true;
+
+	subscribeToJobEvents((type, data) => {
+		// A (re)connect may bring jobs queued since the badges were checked
+		if (type === "snapshot" || type === "removed") {
+			refreshInlineHlsBadges();
+			return;
+		}
+		if (type !== "job" || data.type !== "hls") {
+			return;
+		}
+
+		const key = hlsBadgeKey(data.directory, data.filename);
+		const container = inlineHlsBadges.get(key);
+		if (!container) {
+			return;
+		}
+		if (container.isConnected && ["processing", "paused"].includes(data.status)) {
+			const fileState = {
+				state: "generating",
+				progress: data.progress || 0,
+				paused: data.status === "paused"
+			};
+			trackBusyHlsVideo(data.directory, data.filename, fileState);
+			applyInlineHlsBadge(container, fileState);
+		} else {
+			refreshInlineHlsBadges([key]);
+		}
+	}, { passive: true });
+}
+
+/**
+ * Load the MIME types of the video formats the user has enabled
+ *
+ * @return {Promise<string[]>} Supported MIME types
+ */
+async function loadSupportedVideoMimes() {
+	try {
+		const response = await fetch(
+			OC.generateUrl("/apps/hyper_viewer/settings/video-types"),
+			{ headers: { requesttoken: OC.requestToken } }
+		);
+		if (response.ok) {
+			const data = await response.json();
+			supportedVideoMimes = data.supportedMimes || DEFAULT_VIDEO_MIMES;
+			videoMimeExtensions = data.mimeExtensions || DEFAULT_MIME_EXTENSIONS;
+		}
+	} catch (error) {
+		console.error("Failed to load supported video formats:", error);
+	}
+	return supportedVideoMimes;
+}
 
-	// Set as default action for MOV files
-	OCA.Files.fileActions.setDefault("video/quicktime", "playVideoSmart");
+/**
+ * Whether a file is a video in one of the enabled formats
+ *
+ * @param {string} mimetype - MIME type of the file
+ * @param {string} filename - Name of the file, checked for MIME types shared with non-videos
+ * @return {boolean}
+ */
+function isSupportedVideo(mimetype, filename) {
+	if (!supportedVideoMimes.includes(mimetype)) {
+		return false;
+	}
+	const extensions = videoMimeExtensions[mimetype];
+	return !extensions || extensions.includes(String(filename).split(".").pop().toLowerCase());
+}
 
-	// Register "Generate HLS Cache" action for MP4 files
+/**
+ * Register the Play, Generate HLS Cache and progressive actions for one video MIME type
+ *
+ * The legacy Files app can't hide actions per file, so for MIME types shared with non-video
+ * files the handlers check the extension and Play is not made the default.
+ *
+ * @param {string} mime - Video MIME type
+ */
+function registerVideoFileActions(mime) {
+	// Register "Generate HLS Cache" action
 	OCA.Files.fileActions.registerAction({
-		name: "generateHlsCacheMp4",
+		name: "generateHlsCache",
 		displayName: t("hyper_viewer", "Generate HLS Cache"),
-		mime: "video/mp4",
+		mime,
 		permissions: OC.PERMISSION_UPDATE,
 		iconClass: "icon-category-multimedia",
 		actionHandler(filename, context) {
+			if (!isLegacyVideoFile(mime, filename)) {
+				return;
+			}
 			console.log(
-				"🚀 Generate HLS Cache action triggered for MP4:",
+				`🚀 Generate HLS Cache action triggered for ${mime}:`,
 				filename
 			);
 			console.log("📁 Context:", context);
@@ -82,36 +502,44 @@ function initializeFilesIntegration() {
 		}
 	});
 
-	// Override default video player for MP4 files - auto-detect HLS cache
+	// Override default video player - auto-detect HLS cache
 	OCA.Files.fileActions.registerAction({
-		name: "playVideoSmartMp4",
+		name: "playVideoSmart",
 		displayName: t("hyper_viewer", "Play"),
-		mime: "video/mp4",
+		mime,
 		permissions: OC.PERMISSION_READ,
 		iconClass: "icon-play",
 		order: -1, // Higher priority than default
 		async actionHandler(filename, context) {
-			console.log("🎬 Smart play triggered for MP4:", filename);
+			if (!isLegacyVideoFile(mime, filename)) {
+				return;
+			}
+			console.log(`🎬 Smart play triggered for ${mime}:`, filename);
 			const directory =
 				context?.dir || context?.fileList?.getCurrentDirectory() || "/";
 			await playVideoSmart(filename, directory, context);
 		}
 	});
 
-	// Set as default action for MP4 files
-	OCA.Files.fileActions.setDefault("video/mp4", "playVideoSmartMp4");
+	// Set as default action
+	if (!videoMimeExtensions[mime]) {
+		OCA.Files.fileActions.setDefault(mime, "playVideoSmart");
+	}
 
-	// Register "Play Progressive (480p)" action for MOV files
+	// Register "Play Progressive (480p)" action
 	OCA.Files.fileActions.registerAction({
-		name: "playProgressiveMov",
+		name: "playProgressive",
 		displayName: t("hyper_viewer", "Play Progressive (480p)"),
-		mime: "video/quicktime",
+		mime,
 		permissions: OC.PERMISSION_READ,
 		iconClass: "icon-play",
 		priority: 100,
 		async actionHandler(filename, context) {
+			if (!isLegacyVideoFile(mime, filename)) {
+				return;
+			}
 			console.log(
-				"🎬 Play Progressive (480p) triggered for MOV:",
+				`🎬 Play Progressive (480p) triggered for ${mime}:`,
 				filename
 			);
 			const directory =
@@ -119,25 +547,40 @@ function initializeFilesIntegration() {
 			await playProgressive(filename, directory, context);
 		}
 	});
+}
 
-	// Register "Play Progressive (480p)" action for MP4 files
-	OCA.Files.fileActions.registerAction({
-		name: "playProgressiveMp4",
-		displayName: t("hyper_viewer", "Play Progressive (480p)"),
-		mime: "video/mp4",
-		permissions: OC.PERMISSION_READ,
-		iconClass: "icon-play",
-		priority: 100,
-		async actionHandler(filename, context) {
-			console.log(
-				"🎬 Play Progressive (480p) triggered for MP4:",
-				filename
-			);
-			const directory =
-				context?.dir || context?.fileList?.getCurrentDirectory() || "/";
-			await playProgressive(filename, directory, context);
-		}
-	});
+/**
+ * Whether a legacy file action was triggered on a video, telling the user when it was not
+ *
+ * @param {string} mime - MIME type the action was registered for
+ * @param {string} filename - Name of the file
+ * @return {boolean}
+ */
+function isLegacyVideoFile(mime, filename) {
+	if (isSupportedVideo(mime, filename)) {
+		return true;
+	}
+	OC.dialogs.alert(`${filename} is not a video file.`, "Hyper Viewer");
+	return false;
+}
+
+/**
+ * Initialize files integration on servers with the legacy Files app (Nextcloud 27 and older)
+ */
+async function initializeFilesIntegration() {
+	console.log("🔧 Initializing Files integration...");
+
+	// Check if we're in the Files app
+	if (!window.OCA || !window.OCA.Files || !window.OCA.Files.fileActions) {
+		console.log("⚠️ Files app not available, retrying in 2 seconds...");
+		setTimeout(initializeFilesIntegration, 2000);
+		return;
+	}
+
+	console.log("✅ Files app detected, registering actions...");
+
+	// Register the video actions for every enabled format
+	(await loadSupportedVideoMimes()).forEach(registerVideoFileActions);
 
 	// Register "Generate HLS Cache" action for directories
 	OCA.Files.fileActions.registerAction({
@@ -156,40 +599,23 @@ function initializeFilesIntegration() {
 		}
 	});
 
-	// Register bulk action for multiple file selection
-	if (
-		OCA.Files &&
-		OCA.Files.fileActions &&
-		OCA.Files.fileActions.registerAction
-	) {
-		// Add to bulk actions menu (appears when multiple files are selected)
-		document.addEventListener("DOMContentLoaded", function() {
-			// Wait for Files app to be fully loaded
-			setTimeout(function() {
-				if (window.FileActions && window.FileActions.register) {
-					// Register bulk action
-					window.FileActions.register(
-						"all",
-						"Generate HLS Cache (Bulk)",
-						OC.PERMISSION_UPDATE,
-						function() {
-							return OC.imagePath(
-								"core",
-								"actions/category-multimedia"
-							);
-						},
-						function(filename) {
-							console.log(
-								"🚀 Bulk HLS Cache generation triggered"
-							);
-							handleBulkCacheGeneration();
-						}
-					);
-				}
-			}, 2000);
+	// Add to the selection menu (appears when files are selected)
+	const fileList = OCA.Files.App?.fileList;
+	if (fileList && fileList.registerMultiSelectFileAction) {
+		fileList.registerMultiSelectFileAction({
+			name: "generateHlsCache",
+			displayName: t("hyper_viewer", "Generate HLS Cache"),
+			iconClass: "icon-category-multimedia",
+			order: 20,
+			action() {
+				console.log("🚀 Bulk HLS Cache generation triggered");
+				handleBulkCacheGeneration(getLegacySelection(fileList));
+			}
 		});
 	}
 
+	registerHlsSidebarTab();
+
 	console.log("✅ Hyper Viewer Files integration registered!");
 	
 	// Add HLS badges to file list
@@ -197,12 +623,9 @@ function initializeFilesIntegration() {
 }
 
 /**
- * Add HLS badges to videos in the file list
+ * Add the CSS of the file list badges to the page
  */
-function addHlsBadgesToFileList() {
-	console.log('🎨 Initializing HLS badges for file list...');
-	
-	// Inject CSS for HLS badges (works for both list and grid view)
+function injectHlsBadgeStyles() {
 	const style = document.createElement('style');
 	style.textContent = `
 		/* HLS Badge styling */
@@ -224,6 +647,54 @@ function addHlsBadgesToFileList() {
 			line-height: 1.2;
 		}
 		
+		/* The video changed after its cache was generated */
+		.hls-badge.outdated {
+			color: #bbb;
+			text-decoration: line-through;
+		}
+		
+		/* Waiting for the next background job run */
+		.hls-badge.queued {
+			color: #ccc;
+		}
+		
+		.hls-badge.failed {
+			color: #ff6b6b;
+		}
+		
+		/* Live progress ring while the cache is generated */
+		.hls-badge.generating {
+			display: flex;
+			align-items: center;
+			gap: 3px;
+			color: #4a9eff;
+		}
+		.hls-badge.generating.paused {
+			color: #bbb;
+		}
+		.hls-progress-ring {
+			width: 12px;
+			height: 12px;
+			transform: rotate(-90deg);
+		}
+		.hls-progress-ring circle {
+			fill: none;
+			stroke-width: 3;
+		}
+		.hls-progress-ring .track {
+			stroke: rgba(255, 255, 255, 0.2);
+		}
+		.hls-progress-ring .value {
+			stroke: currentColor;
+			transition: stroke-dashoffset 0.3s ease;
+		}
+		
+		/* Inline action of the Vue Files app, next to the file name */
+		.hls-badge-inline .hls-badge {
+			position: static;
+			display: inline-flex;
+		}
+		
 		/* List view - make thumbnail container relative */
 		.files-fileList tr[data-file] td.filename .thumbnail {
 			position: relative !important;
@@ -237,6 +708,17 @@ function addHlsBadgesToFileList() {
 		}
 	`;
 	document.head.appendChild(style);
+}
+
+/**
+ * Add HLS badges to videos in the legacy file list (Nextcloud 27 and older)
+ *
+ * The Files app of Nextcloud 28+ gets its badges from registerHlsBadgeAction().
+ */
+function addHlsBadgesToFileList() {
+	console.log('🎨 Initializing HLS badges for file list...');
+	
+	injectHlsBadgeStyles();
 	
 	// Function to check and add badges
 	async function updateHlsBadges() {
@@ -244,6 +726,7 @@ function addHlsBadgesToFileList() {
 		
 		const directory = window.OCA?.Files?.App?.fileList?.getCurrentDirectory() || '/';
 		const fileList = window.OCA?.Files?.App?.fileList;
+		setJobEventDirectory(directory);
 		
 		if (!fileList || !fileList.files) {
 			console.warn('⚠️ No fileList available');
@@ -251,14 +734,12 @@ function addHlsBadgesToFileList() {
 		}
 		
 		// Get video files from fileList (the source of truth)
-		const videoFiles = fileList.files.filter(file => 
-			file.mimetype === 'video/quicktime' || 
-			file.mimetype === 'video/mp4'
-		);
+		const videoFiles = fileList.files.filter(file => isSupportedVideo(file.mimetype, file.name));
 		
 		console.log(`📹 Found ${videoFiles.length} video files in fileList`);
 		
 		if (videoFiles.length === 0) {
+			updateBadgeJobEvents();
 			return;
 		}
 		
@@ -288,77 +769,87 @@ function addHlsBadgesToFileList() {
 			}
 			
 			const result = await response.json();
-			const cachedVideos = new Set(result.cachedVideos || []);
+			const states = result.states || {};
 			
-			console.log(`✅ Batch check complete: ${cachedVideos.size}/${filenames.length} videos have HLS cache`);
+			console.log(`✅ Batch check complete: ${Object.keys(states).length}/${filenames.length} videos have an HLS cache or job`);
 			
-			// Apply badges to videos with cache
+			// Badge every video with a cache or job, and clear badges of caches that are gone
 			for (const videoFile of videoFiles) {
-				const filename = videoFile.name;
-				
-				// Skip if video doesn't have cache
-				if (!cachedVideos.has(filename)) {
-					continue;
-				}
-				
-				// Escape filename for querySelector (handle special chars)
-				const escapedFilename = CSS.escape(filename);
-				
-				// Find the DOM element - try both list and grid view
-				let fileElement = document.querySelector(`tr[data-file="${escapedFilename}"]`); // List view
-				if (!fileElement) {
-					fileElement = document.querySelector(`[data-name="${escapedFilename}"]`); // Grid view
-				}
-				if (!fileElement) {
-					// Try without escaping for older Nextcloud versions
-					fileElement = document.querySelector(`tr[data-file="${filename}"]`);
-				}
-				
-				if (!fileElement) {
-					// Skip silently - file might not be visible in current view
-					continue;
-				}
-				
-				// Skip if badge already exists
-				if (fileElement.querySelector('.hls-badge')) {
-					continue;
-				}
-				
-				// Find thumbnail container in the element
-				const thumbnailContainer = 
-					fileElement.querySelector('td.filename .thumbnail') || // List view
-					fileElement.querySelector('.thumbnail') || // Grid view
-					fileElement.querySelector('.files-list__row-icon') || // New list view
-					fileElement.querySelector('.icon');
-				
-				if (thumbnailContainer) {
-					// Ensure container has relative positioning
-					thumbnailContainer.style.position = 'relative';
-					
-					const badge = document.createElement('div');
-					badge.className = 'hls-badge';
-					badge.textContent = 'HLS';
-					badge.title = 'HLS cache available';
-					thumbnailContainer.appendChild(badge);
-					
-					console.log(`✅ Added HLS badge to: ${filename}`);
-				}
+				trackBusyHlsVideo(directory, videoFile.name, states[videoFile.name] || null);
+				applyHlsBadge(videoFile.name, states[videoFile.name] || null);
 			}
 		} catch (error) {
 			console.error('Failed to batch check HLS cache:', error);
 		}
 	}
 	
+	/**
+	 * Find the thumbnail of a file in the list or grid view
+	 *
+	 * @param {string} filename - File name
+	 * @return {HTMLElement|null}
+	 */
+	function findThumbnailContainer(filename) {
+		// Escape filename for querySelector (handle special chars)
+		const escapedFilename = CSS.escape(filename);
+		
+		// Find the DOM element - try both list and grid view
+		let fileElement = document.querySelector(`tr[data-file="${escapedFilename}"]`); // List view
+		if (!fileElement) {
+			fileElement = document.querySelector(`[data-name="${escapedFilename}"]`); // Grid view
+		}
+		if (!fileElement) {
+			// Try without escaping for older Nextcloud versions
+			fileElement = document.querySelector(`tr[data-file="${filename}"]`);
+		}
+		
+		if (!fileElement) {
+			// File might not be visible in current view
+			return null;
+		}
+		
+		return fileElement.querySelector('td.filename .thumbnail') || // List view
+			fileElement.querySelector('.thumbnail') || // Grid view
+			fileElement.querySelector('.files-list__row-icon') || // New list view
+			fileElement.querySelector('.icon');
+	}
+	
+	/**
+	 * Show the state batch-check reported for a video
+	 *
+	 * @param {string} filename - File name
+	 * @param {object|null} fileState - State from batch-check, null removes the badge
+	 */
+	function applyHlsBadge(filename, fileState) {
+		const thumbnailContainer = findThumbnailContainer(filename);
+		if (!thumbnailContainer) {
+			return;
+		}
+		
+		let badge = thumbnailContainer.querySelector('.hls-badge');
+		if (!fileState) {
+			if (badge) {
+				badge.remove();
+			}
+			return;
+		}
+		
+		if (!badge) {
+			// Ensure container has relative positioning
+			thumbnailContainer.style.position = 'relative';
+			badge = document.createElement('div');
+			thumbnailContainer.appendChild(badge);
+		}
+		
+		renderHlsBadge(badge, fileState);
+	}
+	
 	// Update badges with delay for initial load
 	setTimeout(() => {
 		console.log('🚀 Running initial badge update...');
 		updateHlsBadges();
 	}, 3000);
 	
-	// Update badges periodically but less frequently (30 seconds instead of 5)
-	// MutationObserver will catch most changes, this is just a safety net
-	setInterval(updateHlsBadges, 30000);
-	
 	// Throttle mechanism for MutationObserver
 	let badgeUpdateTimeout = null;
 	const throttledBadgeUpdate = () => {
@@ -368,6 +859,32 @@ function addHlsBadgesToFileList() {
 		badgeUpdateTimeout = setTimeout(updateHlsBadges, 1000);
 	};
 	
+	// MutationObserver catches file list changes, the job stream moves the progress rings
+	// and re-checks when a job starts, finishes or goes away. It only listens while
+	// trackBusyHlsVideo() or another view keeps the stream open.
+	subscribeToJobEvents((type, data) => {
+		if (type === 'snapshot' || type === 'removed') {
+			throttledBadgeUpdate();
+			return;
+		}
+		if (type !== 'job' || data.type !== 'hls') {
+			return;
+		}
+		
+		const directory = window.OCA?.Files?.App?.fileList?.getCurrentDirectory() || '/';
+		if (['processing', 'paused'].includes(data.status) && data.directory === directory) {
+			const fileState = {
+				state: 'generating',
+				progress: data.progress || 0,
+				paused: data.status === 'paused'
+			};
+			trackBusyHlsVideo(directory, data.filename, fileState);
+			applyHlsBadge(data.filename, fileState);
+		} else {
+			throttledBadgeUpdate();
+		}
+	}, { passive: true });
+	
 	// Update badges when file list changes (MutationObserver)
 	const observer = new MutationObserver(throttledBadgeUpdate);
 	
@@ -418,34 +935,88 @@ function addHlsBadgesToFileList() {
 }
 
 /**
- * Handle bulk cache generation from Actions menu
+ * Render a file list badge for an HLS state from batch-check
+ *
+ * @param {HTMLElement} badge - Badge element
+ * @param {object} fileState - { state, resolution, progress, paused, error }
  */
-function handleBulkCacheGeneration() {
-	// Get selected files from Files app
-	const selectedFiles = [];
-
-	if (window.FileList && window.FileList.getSelectedFiles) {
-		const selected = window.FileList.getSelectedFiles();
-		selected.forEach(file => {
-			// Filter for video files only
-			if (
-				file.mimetype === "video/quicktime" ||
-				file.mimetype === "video/mp4"
-			) {
-				selectedFiles.push({
-					filename: file.name,
-					context: {
-						dir: window.FileList.getCurrentDirectory(),
-						fileInfoModel: file
-					}
-				});
-			}
-		});
+function renderHlsBadge(badge, fileState) {
+	const { state } = fileState;
+	const key = `${state}:${fileState.resolution || ''}:${fileState.paused ? 'paused' : ''}`;
+	
+	// Keep the ring element so its progress animates
+	if (badge.dataset.state !== key) {
+		badge.dataset.state = key;
+		badge.className = `hls-badge ${state}${fileState.paused ? ' paused' : ''}`;
+		
+		if (state === 'generating') {
+			badge.innerHTML = `
+				<svg class="hls-progress-ring" viewBox="0 0 20 20">
+					<circle class="track" cx="10" cy="10" r="8"></circle>
+					<circle class="value" cx="10" cy="10" r="8"
+						stroke-dasharray="${HLS_RING_CIRCUMFERENCE}" stroke-dashoffset="${HLS_RING_CIRCUMFERENCE}"></circle>
+				</svg>
+				<span class="hls-progress-label">0%</span>
+			`;
+		} else {
+			const resolution = fileState.resolution && fileState.resolution !== 'single'
+				? fileState.resolution
+				: 'HLS';
+			badge.textContent = {
+				ready: resolution,
+				outdated: resolution,
+				queued: 'Queued',
+				failed: 'Failed',
+			}[state] || 'HLS';
+		}
+	}
+	
+	switch (state) {
+	case 'generating': {
+		const progress = Math.max(0, Math.min(100, fileState.progress || 0));
+		badge.querySelector('.value').setAttribute(
+			'stroke-dashoffset',
+			(HLS_RING_CIRCUMFERENCE * (1 - progress / 100)).toFixed(2)
+		);
+		// Change the text node in place; replacing it would trip the file list's MutationObserver
+		badge.querySelector('.hls-progress-label').firstChild.nodeValue = `${progress}%`;
+		badge.title = fileState.paused
+			? `HLS generation paused at ${progress}%`
+			: `Generating HLS cache: ${progress}%`;
+		break;
+	}
+	case 'queued':
+		badge.title = 'HLS generation queued - waiting for the background job';
+		break;
+	case 'failed':
+		badge.title = fileState.error
+			? `HLS generation failed: ${fileState.error}`
+			: 'HLS generation failed';
+		break;
+	case 'outdated':
+		badge.title = 'HLS cache is outdated - the video changed since it was generated';
+		break;
+	default:
+		badge.title = fileState.resolution && fileState.resolution !== 'single'
+			? `HLS cache available up to ${fileState.resolution}`
+			: 'HLS cache available';
 	}
+}
 
-	if (selectedFiles.length === 0) {
+/**
+ * Generate HLS caches for a selection, skipping everything that is not an enabled video format
+ *
+ * @param {Array} items - Selected items as { filename, mimetype, context }
+ */
+function handleBulkCacheGeneration(items) {
+	const videos = items.filter(item => isSupportedVideo(item.mimetype, item.filename));
+	const skipped = items
+		.filter(item => !isSupportedVideo(item.mimetype, item.filename))
+		.map(item => item.filename);
+
+	if (videos.length === 0) {
 		OC.dialogs.alert(
-			"No video files selected. Please select MOV or MP4 files.",
+			"No video files selected. Enable more formats in the Hyper Viewer settings to include other files.",
 			"Generate HLS Cache"
 		);
 		return;
@@ -453,29 +1024,67 @@ function handleBulkCacheGeneration() {
 
 	console.log(
 		"🎬 Bulk processing files:",
-		selectedFiles.map(f => f.filename)
+		videos.map(f => f.filename),
+		"skipped:",
+		skipped
+	);
+	openCacheGenerationDialog(
+		videos.map(({ filename, context }) => ({ filename, context })),
+		skipped
 	);
-	openCacheGenerationDialog(selectedFiles);
+}
+
+/**
+ * Selected items of the legacy file list, for handleBulkCacheGeneration
+ *
+ * @param {object} fileList - Legacy OCA.Files.FileList
+ * @return {Array} Items as { filename, mimetype, context }
+ */
+function getLegacySelection(fileList) {
+	return fileList.getSelectedFiles().map(file => ({
+		filename: file.name,
+		mimetype: file.mimetype,
+		context: {
+			dir: file.path || fileList.getCurrentDirectory(),
+			fileId: file.id,
+			fileList
+		}
+	}));
+}
+
+/**
+ * Escape text for use inside HTML markup
+ *
+ * @param {string} text - Plain text
+ * @return {string}
+ */
+function escapeHtml(text) {
+	const element = document.createElement("div");
+	element.textContent = text;
+	return element.innerHTML;
 }
 
 /**
  * Open cache generation dialog with proper modal
  *
  * @param files Array of file objects with filename and context
+ * @param {string[]} skipped Names of selected items that are not videos
  */
-function openCacheGenerationDialog(files) {
+function openCacheGenerationDialog(files, skipped = []) {
 	console.log(
 		"🔧 Opening cache generation dialog for files:",
 		files.map(f => f.filename)
 	);
 
-	const fileList = files.map(f => f.filename).join(", ");
+	// File names are user content, never markup
+	const fileList = files.map(f => escapeHtml(f.filename)).join(", ");
 
 	// Create modal HTML content with cleaner UI
 	const modalContent = `
 		<div class="hyper-viewer-cache-dialog">
 			<h3>Generate HLS Cache</h3>
 			<p class="file-list"><strong>Files:</strong> ${fileList}</p>
+			${skipped.length > 0 ? `<p class="skipped-list"><strong>Skipped ${skipped.length} item${skipped.length > 1 ? "s" : ""} (not a supported video):</strong> ${skipped.map(escapeHtml).join(", ")}</p>` : ""}
 			
 			<div class="section">
 				<label class="section-title">Cache Location</label>
@@ -496,9 +1105,20 @@ function openCacheGenerationDialog(files) {
 				</div>
 			</div>
 			
+			<div class="section">
+				<label class="section-title">Encoding Preset</label>
+				<select name="encoding_preset" class="preset-select">
+					<option value="default">Default</option>
+				</select>
+			</div>
+			
 			<div class="section">
 				<label class="section-title">Resolution Renditions</label>
-				<div class="checkbox-group">
+				<div class="checkbox-group resolution-options">
+					<label class="checkbox-option">
+						<input type="checkbox" name="resolution" value="1080p">
+						<span>1080p - Full HD</span>
+					</label>
 					<label class="checkbox-option">
 						<input type="checkbox" name="resolution" value="720p" checked>
 						<span>720p - HD</span>
@@ -516,6 +1136,39 @@ function openCacheGenerationDialog(files) {
 						<span>240p - Mobile</span>
 					</label>
 				</div>
+				<div id="ladder_preview" class="ladder-preview">Checking source resolution...</div>
+			</div>
+			
+			<div class="section">
+				<label class="section-title">Codecs</label>
+				<div class="checkbox-group">
+					<label class="checkbox-option">
+						<input type="checkbox" checked disabled>
+						<span>H.264 - always included for compatibility</span>
+					</label>
+					<label class="checkbox-option">
+						<input type="checkbox" name="codec" value="hevc">
+						<span>HEVC (H.265) - about 40% smaller</span>
+					</label>
+					<label class="checkbox-option">
+						<input type="checkbox" name="codec" value="av1">
+						<span>AV1 - about 50% smaller, slow to encode</span>
+					</label>
+				</div>
+			</div>
+			
+			<div class="section">
+				<label class="section-title">Segment Format</label>
+				<div class="radio-group">
+					<label class="radio-option">
+						<input type="radio" name="segment_format" value="ts" checked>
+						<span>MPEG-TS - HLS only, plays everywhere</span>
+					</label>
+					<label class="radio-option">
+						<input type="radio" name="segment_format" value="cmaf">
+						<span>CMAF (fMP4) - HLS and DASH from the same segments</span>
+					</label>
+				</div>
 			</div>
 			
 			<div class="section">
@@ -545,6 +1198,14 @@ function openCacheGenerationDialog(files) {
 			font-size: 14px;
 			color: #666;
 		}
+		.skipped-list {
+			margin: -12px 0 20px 0;
+			padding: 8px 10px;
+			background: #fff8e1;
+			border-radius: 6px;
+			font-size: 13px;
+			color: #8a6d00;
+		}
 		.section {
 			margin-bottom: 20px;
 		}
@@ -591,6 +1252,23 @@ function openCacheGenerationDialog(files) {
 			background-color: #f5f5f5;
 			color: #999;
 		}
+		.preset-select {
+			width: 100%;
+		}
+		.ladder-preview {
+			margin-top: 10px;
+			padding: 8px 10px;
+			background: #f8f9fa;
+			border-radius: 6px;
+			font-size: 13px;
+			color: #666;
+		}
+		.ladder-preview .ladder-file {
+			margin-bottom: 4px;
+		}
+		.ladder-preview .ladder-skipped {
+			color: #999;
+		}
 		</style>
 	`;
 
@@ -626,9 +1304,260 @@ function openCacheGenerationDialog(files) {
 					});
 				});
 		}
+
+		// Show which renditions each video will really get
+		const dialog = document.querySelector(".hyper-viewer-cache-dialog");
+		if (!dialog) {
+			return;
+		}
+		dialog.addEventListener("change", event => {
+			if (event.target.name === "resolution") {
+				updateLadderPreview(files);
+			}
+		});
+		setupPresetPicker(
+			dialog,
+			(rung, checked) => `
+				<label class="checkbox-option">
+					<input type="checkbox" name="resolution" value="${rung.name}" ${checked ? "checked" : ""}>
+					<span>${rung.name} - up to ${rung.maxrate}</span>
+				</label>
+			`,
+			() => updateLadderPreview(files)
+		);
+		updateLadderPreview(files);
 	}, 100);
 }
 
+/**
+ * Load the user's encoding presets (the built-in ladder comes first)
+ *
+ * @return {Promise<object|null>} Presets and the default renditions, or null if loading failed
+ */
+async function fetchEncodingPresets() {
+	try {
+		const response = await fetch(
+			OC.generateUrl("/apps/hyper_viewer/settings/encoding-presets"),
+			{ headers: { requesttoken: OC.requestToken } }
+		);
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+		return await response.json();
+	} catch (error) {
+		console.error("Failed to load encoding presets:", error);
+		return null;
+	}
+}
+
+/**
+ * Fill a dialog's preset picker and render the renditions of the chosen preset
+ *
+ * Keeps the static renditions of the built-in ladder if the presets cannot be loaded.
+ * Codecs whose encoder is not installed on the server are disabled.
+ *
+ * @param {HTMLElement} root Dialog containing select[name="encoding_preset"] and .resolution-options
+ * @param {Function} renderOption Returns the markup of one rendition checkbox: (rung, checked) => html
+ * @param {Function} onChange Called after the renditions were rendered
+ * @param {string} selectedPreset Preset to select initially
+ */
+async function setupPresetPicker(root, renderOption, onChange, selectedPreset = "default") {
+	const select = root.querySelector('select[name="encoding_preset"]');
+	const options = root.querySelector(".resolution-options");
+	const data = await fetchEncodingPresets();
+	if (!select || !options || !data) {
+		return;
+	}
+
+	select.innerHTML = "";
+	data.presets.forEach(preset => {
+		const option = document.createElement("option");
+		option.value = preset.id;
+		option.textContent = preset.name;
+		select.appendChild(option);
+	});
+	select.value = data.presets.some(preset => preset.id === selectedPreset)
+		? selectedPreset
+		: "default";
+
+	const renderRenditions = () => {
+		const preset = data.presets.find(p => p.id === select.value);
+		// The built-in ladder keeps its usual selection, custom ladders are used in full
+		options.innerHTML = preset.rungs
+			.map(rung =>
+				renderOption(
+					rung,
+					!preset.builtin || data.defaultResolutions.includes(rung.name)
+				)
+			)
+			.join("");
+		onChange();
+	};
+
+	select.addEventListener("change", renderRenditions);
+	renderRenditions();
+
+	root.querySelectorAll('input[name="codec"]').forEach(checkbox => {
+		if (!(data.availableCodecs || []).includes(checkbox.value)) {
+			checkbox.checked = false;
+			checkbox.disabled = true;
+			checkbox.parentElement.title = "The encoder is not installed on the server";
+		}
+	});
+}
+
+/**
+ * Get the extra codecs (HEVC, AV1) chosen in the open dialog
+ *
+ * @return {string[]} Codec names; H.264 is always encoded
+ */
+function getSelectedCodecs() {
+	return Array.from(
+		document.querySelectorAll('input[name="codec"]:checked')
+	).map(checkbox => checkbox.value);
+}
+
+/**
+ * Get the segment format chosen in the open dialog
+ *
+ * @return {string} "ts" for MPEG-TS, "cmaf" for fragmented MP4 with a DASH manifest
+ */
+function getSelectedSegmentFormat() {
+	return (
+		document.querySelector('input[name="segment_format"]:checked')?.value ||
+		"ts"
+	);
+}
+
+/**
+ * Get the encoding preset chosen in the open dialog
+ *
+ * @return {string} Preset id
+ */
+function getSelectedPreset() {
+	return (
+		document.querySelector('select[name="encoding_preset"]')?.value ||
+		"default"
+	);
+}
+
+// Source dimensions probed for a dialog's files, so changing the selection doesn't probe them again
+const ladderPreviewSources = new WeakMap();
+
+/**
+ * Show the renditions that will be produced for the selected resolutions
+ *
+ * Rungs above a video's own resolution are skipped, and portrait videos keep their orientation.
+ *
+ * @param {Array} files Array of file objects with filename and context
+ */
+async function updateLadderPreview(files) {
+	const preview = document.getElementById("ladder_preview");
+	if (!preview) {
+		return;
+	}
+
+	const resolutions = Array.from(
+		document.querySelectorAll(
+			'.hyper-viewer-cache-dialog input[name="resolution"]:checked'
+		)
+	).map(checkbox => checkbox.value);
+	if (resolutions.length === 0) {
+		preview.textContent = "No renditions selected, defaults will be used.";
+		return;
+	}
+
+	const requestId = Number(preview.dataset.requestId || 0) + 1;
+	const preset = getSelectedPreset();
+	preview.dataset.requestId = requestId;
+
+	if (!ladderPreviewSources.has(files)) {
+		ladderPreviewSources.set(files, new Map());
+	}
+	const sources = ladderPreviewSources.get(files);
+
+	try {
+		const response = await fetch(
+			OC.generateUrl("/apps/hyper_viewer/cache/ladder-preview"),
+			{
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					requesttoken: OC.requestToken
+				},
+				body: JSON.stringify({
+					files: files.map(file => {
+						const fileData = {
+							filename: file.filename,
+							directory:
+								file.context?.dir ||
+								file.context?.fileList?.getCurrentDirectory() ||
+								"/"
+						};
+						if (sources.has(file.filename)) {
+							fileData.source = sources.get(file.filename);
+						}
+						return fileData;
+					}),
+					resolutions,
+					preset
+				})
+			}
+		);
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+		const result = await response.json();
+
+		// A newer selection may have been previewed in the meantime
+		if (preview.dataset.requestId !== String(requestId)) {
+			return;
+		}
+
+		preview.innerHTML = "";
+		result.files.forEach(file => {
+			if (!file.error) {
+				sources.set(file.filename, file.source);
+			}
+
+			const line = document.createElement("div");
+			line.className = "ladder-file";
+
+			if (file.error) {
+				line.textContent = `${file.filename}: ${file.error}`;
+			} else {
+				const source = file.source
+					? ` (${file.source.width}×${file.source.height})`
+					: "";
+				const rungs = file.rungs
+					.map(rung => `${rung.name} ${rung.width}×${rung.height}`)
+					.join(", ");
+				line.textContent = `${file.filename}${source}: ${rungs}`;
+
+				if (file.skipped.length > 0) {
+					const skipped = document.createElement("span");
+					skipped.className = "ladder-skipped";
+					skipped.textContent = ` - skipping ${file.skipped.join(", ")} (above source)`;
+					line.appendChild(skipped);
+				}
+			}
+			preview.appendChild(line);
+		});
+
+		if (files.length > result.files.length) {
+			const more = document.createElement("div");
+			more.className = "ladder-skipped";
+			more.textContent = `...and ${files.length - result.files.length} more`;
+			preview.appendChild(more);
+		}
+	} catch (error) {
+		console.error("Failed to preview encoding ladder:", error);
+		if (preview.dataset.requestId === String(requestId)) {
+			preview.textContent = "Could not check the source resolution.";
+		}
+	}
+}
+
 /**
  * Open directory cache generation dialog with recursive scanning and auto-generation options
  *
@@ -721,9 +1650,23 @@ async function openDirectoryCacheGenerationDialog(directoryName, context) {
 					</div>
 				</div>
 				
+				<div class="form-section">
+					<label class="section-title">Encoding Preset</label>
+					<select name="encoding_preset" class="custom-input preset-select">
+						<option value="default">Default</option>
+					</select>
+				</div>
+				
 				<div class="form-section">
 					<label class="section-title">Resolution Renditions</label>
-					<div class="resolution-grid">
+					<div class="resolution-grid resolution-options">
+						<label class="resolution-item">
+							<input type="checkbox" name="resolution" value="1080p">
+							<div class="resolution-content">
+								<span class="resolution-name">1080p</span>
+								<span class="resolution-desc">Full HD</span>
+							</div>
+						</label>
 						<label class="resolution-item">
 							<input type="checkbox" name="resolution" value="720p" checked>
 							<div class="resolution-content">
@@ -745,11 +1688,51 @@ async function openDirectoryCacheGenerationDialog(directoryName, context) {
 								<span class="resolution-desc">Low Quality</span>
 							</div>
 						</label>
-						<label class="resolution-item">
-							<input type="checkbox" name="resolution" value="240p" checked>
-							<div class="resolution-content">
-								<span class="resolution-name">240p</span>
-								<span class="resolution-desc">Mobile</span>
+						<label class="resolution-item">
+							<input type="checkbox" name="resolution" value="240p" checked>
+							<div class="resolution-content">
+								<span class="resolution-name">240p</span>
+								<span class="resolution-desc">Mobile</span>
+							</div>
+						</label>
+					</div>
+				</div>
+				
+				<div class="form-section">
+					<label class="section-title">Extra Codecs</label>
+					<div class="resolution-grid">
+						<label class="resolution-item">
+							<input type="checkbox" name="codec" value="hevc">
+							<div class="resolution-content">
+								<span class="resolution-name">HEVC</span>
+								<span class="resolution-desc">~40% smaller</span>
+							</div>
+						</label>
+						<label class="resolution-item">
+							<input type="checkbox" name="codec" value="av1">
+							<div class="resolution-content">
+								<span class="resolution-name">AV1</span>
+								<span class="resolution-desc">~50% smaller, slow</span>
+							</div>
+						</label>
+					</div>
+				</div>
+				
+				<div class="form-section">
+					<label class="section-title">Segment Format</label>
+					<div class="option-group">
+						<label class="option-item">
+							<input type="radio" name="segment_format" value="ts" checked>
+							<div class="option-content">
+								<span class="option-title">MPEG-TS</span>
+								<span class="option-desc">HLS only, plays everywhere</span>
+							</div>
+						</label>
+						<label class="option-item">
+							<input type="radio" name="segment_format" value="cmaf">
+							<div class="option-content">
+								<span class="option-title">CMAF (fMP4)</span>
+								<span class="option-desc">HLS and DASH from the same segments</span>
 							</div>
 						</label>
 					</div>
@@ -1128,6 +2111,20 @@ async function openDirectoryCacheGenerationDialog(directoryName, context) {
 			});
 	}
 
+	setupPresetPicker(
+		modal,
+		(rung, checked) => `
+			<label class="resolution-item">
+				<input type="checkbox" name="resolution" value="${rung.name}" ${checked ? "checked" : ""}>
+				<div class="resolution-content">
+					<span class="resolution-name">${rung.name}</span>
+					<span class="resolution-desc">up to ${rung.maxrate}</span>
+				</div>
+			</label>
+		`,
+		() => {}
+	);
+
 	document.addEventListener("keydown", handleKeydown);
 }
 
@@ -1205,6 +2202,9 @@ async function startDirectoryCacheGeneration(videoFiles, directoryPath) {
 		customPath,
 		overwriteExisting,
 		resolutions,
+		preset: getSelectedPreset(),
+		codecs: getSelectedCodecs(),
+		segmentFormat: getSelectedSegmentFormat(),
 		enableAutoGeneration,
 		directoryPath
 	};
@@ -1335,7 +2335,10 @@ async function startCacheGeneration(files) {
 		cacheLocation,
 		customPath,
 		overwriteExisting,
-		resolutions
+		resolutions,
+		preset: getSelectedPreset(),
+		codecs: getSelectedCodecs(),
+		segmentFormat: getSelectedSegmentFormat()
 	};
 
 	console.log("Cache generation options:", options);
@@ -1360,8 +2363,8 @@ async function startCacheGeneration(files) {
 				"/";
 			showProgressModal(file.filename, directory);
 		} else {
-			// Multiple files: show simple progress dialog
-			showProgressDialog(files.length);
+			// Multiple files: one progress row per file
+			showBatchProgressModal(filesData);
 		}
 
 		// Send to backend for processing
@@ -1378,7 +2381,10 @@ async function startCacheGeneration(files) {
 					cacheLocation: options.cacheLocation,
 					customPath: options.customPath,
 					overwriteExisting: options.overwriteExisting,
-					resolutions: options.resolutions
+					resolutions: options.resolutions,
+					preset: options.preset,
+					codecs: options.codecs,
+					segmentFormat: options.segmentFormat
 				})
 			}
 		);
@@ -1435,46 +2441,165 @@ function getCacheLocationDescription(options) {
 }
 
 /**
- * Show progress dialog
+ * Show per-file progress for a batch of HLS generations
  *
- * @param fileCount
+ * @param {Array} files - Files as { filename, directory }
  */
-function showProgressDialog(fileCount) {
-	console.log(`📊 Starting progress tracking for ${fileCount} files`);
+function showBatchProgressModal(files) {
+	console.log(`📊 Starting progress tracking for ${files.length} files`);
 
-	// Create progress modal
 	const modal = document.createElement("div");
-	modal.className = "hyper-viewer-progress-modal";
-	modal.style.cssText = `
-		position: fixed; top: 0; left: 0; right: 0; bottom: 0; z-index: 10000;
-		background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center;
-		padding: 20px; box-sizing: border-box;
-	`;
+	modal.className = "hyper-viewer-batch-progress-modal";
+	modal.setAttribute("role", "dialog");
+	modal.setAttribute("aria-modal", "true");
 
 	modal.innerHTML = `
-		<div style="background: #1a1a1a; border-radius: 12px; padding: 24px; max-width: 500px; width: 100%; color: white;">
-			<h3 style="margin: 0 0 16px 0; color: #fff;">HLS Generation Progress</h3>
-			<p style="margin: 0 0 20px 0; color: #ccc;">Processing ${fileCount} file${
-		fileCount > 1 ? "s" : ""
-	}...</p>
-			<div style="background: #333; border-radius: 8px; height: 8px; overflow: hidden; margin-bottom: 16px;">
-				<div class="progress-bar" style="background: linear-gradient(90deg, #4a9eff, #0066cc); height: 100%; width: 0%; transition: width 0.3s ease;"></div>
+		<div class="batch-progress-container">
+			<div class="batch-progress-header">
+				<h3>HLS Generation Progress</h3>
+				<span class="batch-progress-summary"></span>
 			</div>
-			<div class="progress-text" style="font-size: 14px; color: #999; text-align: center;">Starting...</div>
-			<button onclick="this.closest('.hyper-viewer-progress-modal').remove()" style="
-				margin-top: 20px; padding: 8px 16px; background: #333; border: none; color: white; 
-				border-radius: 6px; cursor: pointer; float: right;">Close</button>
+			<ul class="batch-progress-list"></ul>
+			<button class="batch-progress-close">Close</button>
 		</div>
+
+		<style>
+			.hyper-viewer-batch-progress-modal {
+				position: fixed; top: 0; left: 0; right: 0; bottom: 0; z-index: 10000;
+				background: rgba(0,0,0,0.8); display: flex; align-items: center; justify-content: center;
+				padding: 20px; box-sizing: border-box;
+			}
+			.batch-progress-container {
+				background: #1a1a1a; border-radius: 12px; padding: 24px;
+				max-width: 560px; width: 100%; max-height: 80vh;
+				display: flex; flex-direction: column; color: white;
+			}
+			.batch-progress-header {
+				display: flex; align-items: baseline; justify-content: space-between; margin-bottom: 16px;
+			}
+			.batch-progress-header h3 { margin: 0; color: #fff; }
+			.batch-progress-summary { font-size: 13px; color: #999; }
+			.batch-progress-list { margin: 0; padding: 0; list-style: none; overflow-y: auto; }
+			.batch-progress-item { padding: 8px 0; border-bottom: 1px solid #2a2a2a; }
+			.batch-progress-item .file-row {
+				display: flex; justify-content: space-between; gap: 12px; font-size: 14px; margin-bottom: 6px;
+			}
+			.batch-progress-item .file-name { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+			.batch-progress-item .file-status { color: #999; white-space: nowrap; }
+			.batch-progress-item.processing .file-status { color: #4a9eff; }
+			.batch-progress-item.completed .file-status { color: #46ba61; }
+			.batch-progress-item.failed .file-status { color: #ff6b6b; }
+			.batch-progress-item.cancelled .file-status { color: #ffb84d; }
+			.batch-progress-item .file-bar { background: #333; border-radius: 4px; height: 6px; overflow: hidden; }
+			.batch-progress-item .file-bar-fill {
+				background: linear-gradient(90deg, #4a9eff, #0066cc); height: 100%; width: 0%; transition: width 0.3s ease;
+			}
+			.batch-progress-item.completed .file-bar-fill { background: #46ba61; }
+			.batch-progress-item.failed .file-bar-fill { background: #ff6b6b; }
+			.batch-progress-item.cancelled .file-bar-fill { background: #666; }
+			.batch-progress-close {
+				align-self: flex-end; margin-top: 20px; padding: 8px 16px; background: #333;
+				border: none; color: white; border-radius: 6px; cursor: pointer;
+			}
+		</style>
 	`;
 
+	const list = modal.querySelector(".batch-progress-list");
+	const rows = files.map(file => {
+		const row = document.createElement("li");
+		row.className = "batch-progress-item queued";
+		row.innerHTML = `
+			<div class="file-row">
+				<span class="file-name"></span>
+				<span class="file-status">Queued</span>
+			</div>
+			<div class="file-bar"><div class="file-bar-fill"></div></div>
+		`;
+		row.querySelector(".file-name").textContent = file.filename;
+		row.querySelector(".file-name").title = `${file.directory}/${file.filename}`;
+		list.appendChild(row);
+		return { ...file, row, status: "queued" };
+	});
+
+	const updateSummary = () => {
+		const done = rows.filter(entry => entry.status === "completed").length;
+		const failed = rows.filter(entry => entry.status === "failed").length;
+		const cancelled = rows.filter(entry => entry.status === "cancelled").length;
+		modal.querySelector(".batch-progress-summary").textContent =
+			`${done} of ${rows.length} done${failed > 0 ? `, ${failed} failed` : ""}${cancelled > 0 ? `, ${cancelled} cancelled` : ""}`;
+	};
+	updateSummary();
+
 	document.body.appendChild(modal);
 
-	// Auto-close after 30 seconds if still showing
-	setTimeout(() => {
-		if (modal.parentNode) {
-			modal.remove();
-		}
-	}, 30000);
+	// Jobs show up once the background job writes their progress file
+	setJobEventDirectory(files[0].directory);
+	const unsubscribe = subscribeToJobEvents((type, data) => {
+		const jobs = type === "snapshot" ? data : type === "job" ? [data] : [];
+		jobs.forEach(job => {
+			if (job.type !== "hls") {
+				return;
+			}
+			const entry = rows.find(
+				candidate =>
+					candidate.filename === job.filename &&
+					candidate.directory === job.directory
+			);
+			if (entry) {
+				updateBatchProgressRow(entry, job);
+			}
+		});
+		updateSummary();
+	});
+
+	modal.querySelector(".batch-progress-close").addEventListener("click", () => {
+		unsubscribe();
+		modal.remove();
+	});
+}
+
+/**
+ * Update one file's row in the batch progress modal
+ *
+ * @param {object} entry - Row entry with row element and last status
+ * @param {object} job - HLS job from the job event stream
+ */
+function updateBatchProgressRow(entry, job) {
+	const percentage = job.status === "completed" ? 100 : job.progress || 0;
+	let label;
+	switch (job.status) {
+		case "completed":
+			label = "Done";
+			break;
+		case "failed":
+			label = job.error ? `Failed: ${job.error}` : "Failed";
+			break;
+		case "paused":
+			label = `Paused at ${percentage}%`;
+			break;
+		case "queued":
+			label = "Queued";
+			break;
+		case "cancelled":
+			label = "Cancelled";
+			break;
+		case "processing":
+			label = `${percentage}%`;
+			break;
+		default:
+			label = job.status || "Unknown";
+	}
+
+	if (["completed", "failed", "queued", "cancelled"].includes(job.status)) {
+		entry.status = job.status;
+	} else if (["processing", "paused"].includes(job.status)) {
+		entry.status = "processing";
+	} else {
+		entry.status = "unknown";
+	}
+	entry.row.className = `batch-progress-item ${entry.status}`;
+	entry.row.querySelector(".file-bar-fill").style.width = `${percentage}%`;
+	entry.row.querySelector(".file-status").textContent = label;
 }
 
 /**
@@ -1525,6 +2650,7 @@ function showProgressModal(filename, directory) {
 						<span class="progress-speed">Speed: 0x</span>
 						<span class="progress-time">Time: 00:00:00</span>
 						<span class="progress-fps">FPS: 0</span>
+						<span class="progress-eta">ETA: --</span>
 					</div>
 				</div>
 				<div class="progress-spinner">
@@ -1699,7 +2825,11 @@ function showProgressModal(filename, directory) {
 	});
 
 	// Close functionality
+	let stopProgressUpdates = null;
 	const closeModal = () => {
+		if (stopProgressUpdates) {
+			stopProgressUpdates();
+		}
 		modal.classList.remove("show");
 		setTimeout(() => {
 			document.body.style.overflow = "";
@@ -1716,172 +2846,572 @@ function showProgressModal(filename, directory) {
 		.querySelector(".hyper-viewer-overlay")
 		.addEventListener("click", closeModal);
 
-	// Start progress polling
-	startProgressPolling(filename, directory, modal);
+	// Follow the job through the shared event stream
+	stopProgressUpdates = followHlsProgress(filename, directory, modal);
+}
+
+/**
+ * Shared subscription to the server's job event stream
+ *
+ * One EventSource per page feeds the dashboard, progress modals, file list badges and
+ * clip export notifications. Listeners get ("snapshot", jobs[]) on every (re)connect,
+ * then ("job", job) for each change and ("removed", { key }) for jobs that went away.
+ *
+ * Each open stream holds a server worker, so it is only open while a non-passive listener
+ * is subscribed.
+ */
+const jobEventListeners = new Set();
+const activeJobEventListeners = new Set();
+let jobEventSource = null;
+let jobEventDirectory = "";
+
+/**
+ * Open (or reopen) the job event stream for the current directory
+ */
+function openJobEventSource() {
+	if (jobEventSource) {
+		jobEventSource.close();
+	}
+
+	jobEventSource = new EventSource(
+		OC.generateUrl(`/apps/hyper_viewer/api/jobs/events?directory=${encodeURIComponent(jobEventDirectory)}`)
+	);
+
+	["snapshot", "job", "removed"].forEach(type => {
+		jobEventSource.addEventListener(type, event => {
+			const data = JSON.parse(event.data);
+			jobEventListeners.forEach(listener => listener(type, data));
+		});
+	});
+}
+
+/**
+ * Listen to job events
+ *
+ * @param {Function} listener - Called with (type, data)
+ * @param {object} [options] - Options
+ * @param {boolean} [options.passive] - Only listen while another listener keeps the stream open
+ * @return {Function} Unsubscribe function
+ */
+export function subscribeToJobEvents(listener, { passive = false } = {}) {
+	jobEventListeners.add(listener);
+	if (!passive) {
+		activeJobEventListeners.add(listener);
+		if (!jobEventSource) {
+			openJobEventSource();
+		}
+	}
+
+	return () => {
+		jobEventListeners.delete(listener);
+		activeJobEventListeners.delete(listener);
+		if (activeJobEventListeners.size === 0 && jobEventSource) {
+			jobEventSource.close();
+			jobEventSource = null;
+		}
+	};
+}
+
+/**
+ * Also watch the .cached_hls folder of a Files directory (reconnects when it changes)
+ *
+ * @param {string} directory - Directory path
+ */
+function setJobEventDirectory(directory) {
+	const normalized = directory && directory !== "/" ? directory : "";
+	if (normalized === jobEventDirectory) {
+		return;
+	}
+
+	jobEventDirectory = normalized;
+	if (jobEventSource) {
+		openJobEventSource();
+	}
 }
 
 /**
- * Start polling for progress updates
+ * Update a progress modal from job events until generation finishes
  *
  * @param filename
  * @param directory
  * @param modal
+ * @return {Function} Stops following the job
  */
-function startProgressPolling(filename, directory, modal) {
-	const baseFilename = filename.replace(/\.[^/.]+$/, ""); // Remove extension
-	const cachePath =
-		directory === "/"
-			? `/.cached_hls/${baseFilename}`
-			: `${directory}/.cached_hls/${baseFilename}`;
-
-	console.log(`🔍 Starting progress polling for: ${filename}`);
-	console.log(`📁 Directory: ${directory}`);
-	console.log(`📂 Cache path: ${cachePath}`);
-
-	let pollCount = 0;
-	const maxPolls = 360; // 30 minutes max (polling every 5 seconds)
+function followHlsProgress(filename, directory, modal) {
+	console.log(`🔍 Following progress for: ${filename}`);
 
 	// Start countdown timer for cron processing
 	startCronCountdown(modal);
 
-	const poll = async () => {
-		try {
-			pollCount++;
-			console.log(
-				`📊 Progress poll ${pollCount}/${maxPolls} for: ${filename}`
-			);
+	setJobEventDirectory(directory);
+	const unsubscribe = subscribeToJobEvents((type, data) => {
+		const jobs = type === "snapshot" ? data : type === "job" ? [data] : [];
+		// Match the source, not the cache path: videos sharing a base name ("clip.mov", "clip.mp4")
+		// have caches named after either of them
+		const job = jobs.find(candidate =>
+			candidate.type === "hls"
+			&& candidate.filename === filename
+			&& candidate.directory === directory
+		);
+		if (!job || !modal.parentNode) {
+			return;
+		}
 
-			const encodedCachePath = encodeURIComponent(cachePath);
-			const progressUrl = OC.generateUrl(
-				`/apps/hyper_viewer/cache/progress/${encodedCachePath}`
-			);
-			console.log(`🌐 Polling URL: ${progressUrl}`);
+		updateProgressModal(modal, job);
 
-			const response = await fetch(progressUrl);
-			const result = await response.json();
+		if (job.status === "completed") {
+			console.log(`✅ HLS generation completed for: ${filename}`);
+			unsubscribe();
+			setTimeout(() => {
+				modal.querySelector(".hyper-viewer-close").click();
+			}, 2000); // Auto-close after 2 seconds
+		} else if (job.status === "failed") {
+			console.error(`❌ HLS generation failed for: ${filename}`);
+			unsubscribe();
+			updateProgressModal(modal, {
+				...job,
+				status: "Error: Generation failed"
+			});
+		}
+	});
 
-			console.log(`📈 Progress response:`, result);
-
-			if (result.success && result.progress) {
-				updateProgressModal(modal, result.progress);
-
-				if (result.progress.status === "completed") {
-					console.log(`✅ HLS generation completed for: ${filename}`);
-					setTimeout(() => {
-						modal.querySelector(".hyper-viewer-close").click();
-					}, 2000); // Auto-close after 2 seconds
-					return;
-				} else if (result.progress.status === "failed") {
-					console.error(`❌ HLS generation failed for: ${filename}`);
-					updateProgressModal(modal, {
-						...result.progress,
-						status: "Error: Generation failed"
-					});
-					return;
+	return unsubscribe;
+}
+
+/**
+ * Start countdown timer showing time until next cron execution
+ *
+ * @param modal
+ */
+function startCronCountdown(modal) {
+	const statusElement = modal.querySelector(".progress-status");
+	if (!statusElement) return;
+
+	const updateCountdown = () => {
+		const now = new Date();
+		const minutes = now.getMinutes();
+		const seconds = now.getSeconds();
+
+		// Calculate seconds until next 5-minute mark (0, 5, 10, 15, etc.)
+		const nextCronMinute = Math.ceil(minutes / 5) * 5;
+		const minutesUntilCron = (nextCronMinute - minutes) % 5;
+		const secondsUntilCron = minutesUntilCron * 60 - seconds;
+
+		if (secondsUntilCron > 0) {
+			const mins = Math.floor(secondsUntilCron / 60);
+			const secs = secondsUntilCron % 60;
+			statusElement.textContent = `Waiting for processing to start... ${mins}:${secs
+				.toString()
+				.padStart(2, "0")}`;
+			setTimeout(updateCountdown, 1000);
+		} else {
+			statusElement.textContent = "Processing should start soon...";
+		}
+	};
+
+	updateCountdown();
+}
+
+/**
+ * Update progress modal with latest data
+ *
+ * @param modal
+ * @param progress
+ */
+function updateProgressModal(modal, progress) {
+	const progressBar = modal.querySelector(".progress-bar-fill");
+	const progressPercentage = modal.querySelector(".progress-percentage");
+	const progressStatus = modal.querySelector(".progress-status");
+	const progressSpeed = modal.querySelector(".progress-speed");
+	const progressTime = modal.querySelector(".progress-time");
+	const progressFps = modal.querySelector(".progress-fps");
+	const progressEta = modal.querySelector(".progress-eta");
+	const spinner = modal.querySelector(".progress-spinner");
+
+	// The server derives the percentage from the probed source duration
+	let percentage = progress.progress || 0;
+
+	if (progress.status === "completed") {
+		percentage = 100;
+		spinner.style.display = "none";
+	}
+
+	// Update UI elements
+	progressBar.style.width = `${percentage}%`;
+	progressPercentage.textContent = `${percentage}%`;
+	progressStatus.textContent = progress.status || "Processing...";
+	progressSpeed.textContent = `Speed: ${progress.speed || "0x"}`;
+	progressTime.textContent = progress.duration > 0
+		? `Time: ${progress.time || "00:00:00"} / ${formatPlaybackPosition(progress.duration)}`
+		: `Time: ${progress.time || "00:00:00"}`;
+	progressEta.textContent = progress.eta !== null && progress.eta !== undefined
+		? `ETA: ${formatPlaybackPosition(progress.eta)}`
+		: "ETA: --";
+	progressFps.textContent = `FPS: ${progress.fps || 0}`;
+}
+
+/**
+ * Files sidebar tab showing what a video's HLS cache contains
+ *
+ * The Files app keeps one instance of the tab and swaps the file it shows, so the
+ * mounted element and the file live in module state.
+ */
+const hlsSidebarTab = {
+	el: null,
+	fileInfo: null,
+	details: null,
+	job: null,
+	unsubscribe: null
+};
+
+/**
+ * Register the HLS tab with the Files sidebar
+ */
+function registerHlsSidebarTab() {
+	if (!window.OCA?.Files?.Sidebar) {
+		console.log("⚠️ Files sidebar not available, skipping HLS tab");
+		return;
+	}
+
+	OCA.Files.Sidebar.registerTab(
+		new OCA.Files.Sidebar.Tab({
+			id: "hyper-viewer-hls",
+			name: t("hyper_viewer", "HLS"),
+			icon: "icon-category-multimedia",
+			enabled: fileInfo => isSupportedVideo(fileInfo?.mimetype, fileInfo?.name),
+			mount(el, fileInfo) {
+				hlsSidebarTab.el = el;
+				showHlsSidebarFile(fileInfo);
+			},
+			update(fileInfo) {
+				showHlsSidebarFile(fileInfo);
+			},
+			destroy() {
+				if (hlsSidebarTab.unsubscribe) {
+					hlsSidebarTab.unsubscribe();
 				}
+				Object.assign(hlsSidebarTab, {
+					el: null,
+					fileInfo: null,
+					details: null,
+					job: null,
+					unsubscribe: null
+				});
 			}
+		})
+	);
+
+	console.log("✅ HLS sidebar tab registered");
+}
+
+/**
+ * Show a file in the HLS tab and follow its generation jobs
+ *
+ * @param {object} fileInfo - File info from the sidebar
+ */
+function showHlsSidebarFile(fileInfo) {
+	const directory = fileInfo.dir || fileInfo.path || "/";
+
+	hlsSidebarTab.fileInfo = { filename: fileInfo.name, directory, fileId: fileInfo.id };
+	hlsSidebarTab.details = null;
+	hlsSidebarTab.job = null;
+	renderHlsSidebarTab();
+
+	if (hlsSidebarTab.unsubscribe) {
+		hlsSidebarTab.unsubscribe();
+	}
+	setJobEventDirectory(directory);
+	hlsSidebarTab.unsubscribe = subscribeToJobEvents((type, data) => {
+		const jobs = type === "snapshot" ? data : type === "job" ? [data] : [];
+		const current = hlsSidebarTab.fileInfo;
+		const job = jobs.find(
+			candidate =>
+				candidate.type === "hls" &&
+				candidate.filename === current?.filename &&
+				candidate.directory === current?.directory
+		);
+		if (!job) {
+			return;
+		}
+
+		const wasRunning = ["processing", "paused"].includes(hlsSidebarTab.job?.status);
+		hlsSidebarTab.job = job;
+		if (wasRunning && job.status === "completed") {
+			loadHlsSidebarDetails();
+		} else {
+			renderHlsSidebarTab();
+		}
+	});
+
+	loadHlsSidebarDetails();
+}
+
+/**
+ * Fetch the cache details of the file shown in the HLS tab
+ */
+async function loadHlsSidebarDetails() {
+	const file = hlsSidebarTab.fileInfo;
+	if (!file) {
+		return;
+	}
 
-			// Continue polling if not completed and within limits
-			if (pollCount < maxPolls && modal.parentNode) {
-				setTimeout(poll, 5000); // Poll every 5 seconds
+	try {
+		const response = await fetch(
+			OC.generateUrl("/apps/hyper_viewer/cache/details"),
+			{
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					requesttoken: OC.requestToken
+				},
+				body: JSON.stringify({
+					filename: file.filename,
+					directory: file.directory
+				})
 			}
-		} catch (error) {
-			console.error("❌ Progress polling error:", error);
+		);
+		const details = await response.json();
+		if (!response.ok) {
+			throw new Error(details.error || `HTTP ${response.status}`);
+		}
 
-			// Update modal to show error state
-			if (modal.parentNode) {
-				const statusElement = modal.querySelector(".progress-status");
-				if (statusElement) {
-					statusElement.textContent = `Polling error: ${error.message}`;
-				}
+		// The sidebar may have moved on to another file meanwhile
+		if (hlsSidebarTab.fileInfo === file) {
+			hlsSidebarTab.details = details;
+			renderHlsSidebarTab();
+		}
+	} catch (error) {
+		console.error("Failed to load HLS cache details:", error);
+		if (hlsSidebarTab.fileInfo === file) {
+			hlsSidebarTab.details = { error: error.message };
+			renderHlsSidebarTab();
+		}
+	}
+}
+
+/**
+ * Render the HLS tab from its current state
+ */
+function renderHlsSidebarTab() {
+	const { el, details, job } = hlsSidebarTab;
+	if (!el) {
+		return;
+	}
+
+	const cache = details?.cache;
+	const source = details?.source;
+	const isRunning = ["processing", "paused"].includes(job?.status);
+
+	let status;
+	if (!details) {
+		status = { label: "Loading...", className: "loading" };
+	} else if (details.error) {
+		status = { label: `Error: ${details.error}`, className: "failed" };
+	} else if (isRunning) {
+		status = {
+			label: job.status === "paused" ? `Paused at ${job.progress || 0}%` : `Generating ${job.progress || 0}%`,
+			className: "generating"
+		};
+	} else if (job?.status === "failed") {
+		status = { label: "Generation failed", className: "failed" };
+	} else if (cache) {
+		status = cache.outdated
+			? { label: "Outdated - the video changed since generation", className: "outdated" }
+			: { label: "Ready", className: "ready" };
+	} else {
+		status = { label: "Not generated", className: "none" };
+	}
+
+	const rows = [];
+	if (cache) {
+		rows.push(["Location", cache.location]);
+		rows.push(["Segment format", cache.segmentFormat === "cmaf" ? "CMAF (HLS + DASH)" : "MPEG-TS"]);
+		rows.push(["Segments", String(cache.segmentCount)]);
+		rows.push(["Size", formatFileSize(cache.size)]);
+		rows.push(["Generated", new Date(cache.generatedAt * 1000).toLocaleString()]);
+	}
+
+	const sourceRows = [];
+	if (source) {
+		sourceRows.push(["Codec", source.videoCodec || "Unknown"]);
+		sourceRows.push(["Resolution", source.width > 0 ? `${source.width}×${source.height}` : "Unknown"]);
+		sourceRows.push(["Frame rate", source.frameRate ? `${source.frameRate} fps` : "Unknown"]);
+		sourceRows.push(["Duration", source.duration > 0 ? formatPlaybackPosition(source.duration) : "Unknown"]);
+		sourceRows.push(["Size", formatFileSize(source.size)]);
+	}
+
+	const cacheSection = `
+		<h4>Cache</h4>
+		<dl class="hls-tab-details cache-details"></dl>
+		<h4>Renditions</h4>
+		<table class="hls-tab-renditions">
+			<thead><tr><th>Rendition</th><th>Codec</th><th>Resolution</th><th>Bitrate</th></tr></thead>
+			<tbody></tbody>
+		</table>
+	`;
+	const sourceSection = `
+		<h4>Source</h4>
+		<dl class="hls-tab-details source-details"></dl>
+	`;
+
+	el.innerHTML = `
+		<div class="hyper-viewer-hls-tab">
+			<div class="hls-tab-status ${status.className}">
+				<span class="hls-tab-status-label"></span>
+				${isRunning ? `<div class="hls-tab-progress"><div class="hls-tab-progress-fill" style="width: ${job.progress || 0}%"></div></div>` : ""}
+			</div>
+
+			${cache ? cacheSection : ""}
+			${source ? sourceSection : ""}
+
+			<div class="hls-tab-actions">
+				${details && !cache && !isRunning ? '<button class="primary hls-tab-generate">Generate</button>' : ""}
+				${cache ? '<button class="hls-tab-regenerate">Regenerate</button>' : ""}
+				${cache ? '<button class="error hls-tab-delete">Delete</button>' : ""}
+			</div>
+		</div>
+
+		<style>
+			.hyper-viewer-hls-tab { padding: 8px 0; }
+			.hyper-viewer-hls-tab h4 { margin: 16px 0 8px; font-weight: bold; }
+			.hls-tab-status {
+				padding: 8px 12px; border-radius: var(--border-radius-large, 8px);
+				background: var(--color-background-dark); border-left: 4px solid var(--color-border-dark);
 			}
+			.hls-tab-status.ready { border-left-color: var(--color-success, #46ba61); }
+			.hls-tab-status.generating { border-left-color: var(--color-primary-element, #0082c9); }
+			.hls-tab-status.outdated { border-left-color: var(--color-warning, #eca700); }
+			.hls-tab-status.failed { border-left-color: var(--color-error, #e9322d); }
+			.hls-tab-progress { margin-top: 6px; height: 6px; border-radius: 3px; background: var(--color-border); overflow: hidden; }
+			.hls-tab-progress-fill { height: 100%; background: var(--color-primary-element, #0082c9); transition: width 0.3s ease; }
+			.hls-tab-details { display: grid; grid-template-columns: auto 1fr; gap: 4px 12px; margin: 0; }
+			.hls-tab-details dt { color: var(--color-text-maxcontrast); }
+			.hls-tab-details dd { margin: 0; overflow-wrap: anywhere; }
+			.hls-tab-renditions { width: 100%; border-collapse: collapse; }
+			.hls-tab-renditions th { color: var(--color-text-maxcontrast); font-weight: normal; text-align: left; }
+			.hls-tab-renditions th, .hls-tab-renditions td { padding: 4px 8px 4px 0; border-bottom: 1px solid var(--color-border); }
+			.hls-tab-actions { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 20px; }
+		</style>
+	`;
 
-			if (pollCount < maxPolls && modal.parentNode) {
-				setTimeout(poll, 5000); // Retry on error
-			}
-		}
-	};
+	el.querySelector(".hls-tab-status-label").textContent = status.label;
+	fillDefinitionList(el.querySelector(".cache-details"), rows);
+	fillDefinitionList(el.querySelector(".source-details"), sourceRows);
+
+	const renditionBody = el.querySelector(".hls-tab-renditions tbody");
+	if (renditionBody) {
+		const variants = cache.variants.length > 0
+			? cache.variants
+			: cache.renditions.map(name => ({ name }));
+		variants.forEach(variant => {
+			const row = renditionBody.insertRow();
+			[
+				variant.name,
+				variant.codec ? variant.codec.toUpperCase() : "—",
+				variant.width ? `${variant.width}×${variant.height}` : "—",
+				variant.bandwidth ? formatBitrate(variant.bandwidth) : "—"
+			].forEach(value => {
+				row.insertCell().textContent = value;
+			});
+		});
+	}
 
-	// Start polling after a short delay
-	setTimeout(poll, 2000);
+	el.querySelector(".hls-tab-generate")?.addEventListener("click", () => {
+		const file = hlsSidebarTab.fileInfo;
+		openCacheGenerationDialog([
+			{ filename: file.filename, context: { dir: file.directory, fileId: file.fileId } }
+		]);
+	});
+	el.querySelector(".hls-tab-regenerate")?.addEventListener("click", () => {
+		manageSidebarCache("regenerate", cache.cachePath);
+	});
+	el.querySelector(".hls-tab-delete")?.addEventListener("click", () => {
+		OC.dialogs.confirm(
+			`Delete the HLS cache of ${hlsSidebarTab.fileInfo.filename} (${formatFileSize(cache.size)})?`,
+			"Delete HLS Cache",
+			confirmed => {
+				if (confirmed) {
+					manageSidebarCache("delete", cache.cachePath);
+				}
+			},
+			true
+		);
+	});
 }
 
 /**
- * Start countdown timer showing time until next cron execution
+ * Fill a definition list with label/value pairs
  *
- * @param modal
+ * @param {HTMLElement|null} list - The dl element
+ * @param {Array} rows - [label, value] pairs
  */
-function startCronCountdown(modal) {
-	const statusElement = modal.querySelector(".progress-status");
-	if (!statusElement) return;
-
-	const updateCountdown = () => {
-		const now = new Date();
-		const minutes = now.getMinutes();
-		const seconds = now.getSeconds();
-
-		// Calculate seconds until next 5-minute mark (0, 5, 10, 15, etc.)
-		const nextCronMinute = Math.ceil(minutes / 5) * 5;
-		const minutesUntilCron = (nextCronMinute - minutes) % 5;
-		const secondsUntilCron = minutesUntilCron * 60 - seconds;
-
-		if (secondsUntilCron > 0) {
-			const mins = Math.floor(secondsUntilCron / 60);
-			const secs = secondsUntilCron % 60;
-			statusElement.textContent = `Waiting for processing to start... ${mins}:${secs
-				.toString()
-				.padStart(2, "0")}`;
-			setTimeout(updateCountdown, 1000);
-		} else {
-			statusElement.textContent = "Processing should start soon...";
-		}
-	};
+function fillDefinitionList(list, rows) {
+	if (!list) {
+		return;
+	}
 
-	updateCountdown();
+	rows.forEach(([label, value]) => {
+		const term = document.createElement("dt");
+		term.textContent = label;
+		const description = document.createElement("dd");
+		description.textContent = value;
+		list.append(term, description);
+	});
 }
 
 /**
- * Update progress modal with latest data
+ * Format a bitrate in bits per second
  *
- * @param modal
- * @param progress
+ * @param {number} bitsPerSecond - Bitrate
+ * @return {string} e.g. "2.5 Mbps"
  */
-function updateProgressModal(modal, progress) {
-	const progressBar = modal.querySelector(".progress-bar-fill");
-	const progressPercentage = modal.querySelector(".progress-percentage");
-	const progressStatus = modal.querySelector(".progress-status");
-	const progressSpeed = modal.querySelector(".progress-speed");
-	const progressTime = modal.querySelector(".progress-time");
-	const progressFps = modal.querySelector(".progress-fps");
-	const spinner = modal.querySelector(".progress-spinner");
+function formatBitrate(bitsPerSecond) {
+	return bitsPerSecond >= 1000000
+		? `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`
+		: `${Math.round(bitsPerSecond / 1000)} kbps`;
+}
 
-	// Calculate progress percentage (rough estimate based on time)
-	let percentage = progress.progress || 0;
-	if (progress.time && progress.time !== "00:00:00") {
-		// Rough estimation - this could be improved with video duration
-		const timeMatch = progress.time.match(/(\d{2}):(\d{2}):(\d{2})/);
-		if (timeMatch) {
-			const totalSeconds =
-				parseInt(timeMatch[1]) * 3600 +
-				parseInt(timeMatch[2]) * 60 +
-				parseInt(timeMatch[3]);
-			// Assume average video is 3 minutes (180 seconds) for rough percentage
-			percentage = Math.min(Math.round((totalSeconds / 180) * 100), 99);
+/**
+ * Regenerate or delete the cache shown in the HLS tab
+ *
+ * @param {string} action - "regenerate" or "delete"
+ * @param {string} cachePath - Cache path relative to the user folder
+ */
+async function manageSidebarCache(action, cachePath) {
+	try {
+		const response = await fetch(
+			OC.generateUrl(`/apps/hyper_viewer/api/caches/${action}`),
+			{
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					requesttoken: OC.requestToken
+				},
+				body: JSON.stringify({ cachePaths: [cachePath] })
+			}
+		);
+		const result = await response.json();
+		if (!response.ok) {
+			throw new Error(result.error || `HTTP ${response.status}`);
+		}
+		if (result.failed && result.failed[cachePath]) {
+			throw new Error(result.failed[cachePath]);
 		}
-	}
 
-	if (progress.status === "completed") {
-		percentage = 100;
-		spinner.style.display = "none";
+		if (action === "regenerate") {
+			OC.dialogs.info(
+				"The cache will be regenerated in the background.",
+				"HLS Cache Regeneration Queued"
+			);
+		}
+		loadHlsSidebarDetails();
+	} catch (error) {
+		console.error(`Failed to ${action} HLS cache:`, error);
+		OC.dialogs.alert(
+			`Failed to ${action} the cache: ${error.message}`,
+			"Error"
+		);
 	}
-
-	// Update UI elements
-	progressBar.style.width = `${percentage}%`;
-	progressPercentage.textContent = `${percentage}%`;
-	progressStatus.textContent = progress.status || "Processing...";
-	progressSpeed.textContent = `Speed: ${progress.speed || "0x"}`;
-	progressTime.textContent = `Time: ${progress.time || "00:00:00"}`;
-	progressFps.textContent = `FPS: ${progress.fps || 0}`;
 }
 
 /**
@@ -1889,6 +3419,7 @@ function updateProgressModal(modal, progress) {
  *
  * @param filename
  * @param directory
+ * @return {Promise<object|null>} { cachePath, hasDash }, or null without a current cache
  */
 async function checkHlsCache(filename, directory) {
 	try {
@@ -1908,13 +3439,49 @@ async function checkHlsCache(filename, directory) {
 		);
 
 		const result = await response.json();
-		return result.exists ? result.cachePath : null;
+		return result.exists
+			? { cachePath: result.cachePath, hasDash: !!result.hasDash }
+			: null;
 	} catch (error) {
 		console.error("Failed to check HLS cache:", error);
 		return null;
 	}
 }
 
+/**
+ * Probe frame rate, timebase and dimensions of a video file
+ *
+ * @param {string} filename - Video filename
+ * @param {string} directory - Directory containing the video
+ * @return {Promise<object|null>} Metadata, or null if probing failed
+ */
+async function fetchVideoMetadata(filename, directory) {
+	try {
+		const response = await fetch(
+			OC.generateUrl("/apps/hyper_viewer/cache/metadata"),
+			{
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					requesttoken: OC.requestToken
+				},
+				body: JSON.stringify({
+					filename,
+					directory
+				})
+			}
+		);
+
+		if (!response.ok) {
+			throw new Error(`HTTP ${response.status}`);
+		}
+		return await response.json();
+	} catch (error) {
+		console.error("Failed to fetch video metadata:", error);
+		return null;
+	}
+}
+
 /**
  * Smart video player - automatically uses HLS if available, otherwise default player
  *
@@ -1927,12 +3494,12 @@ async function playVideoSmart(filename, directory, context) {
 
 	try {
 		// Check if HLS cache exists
-		const cachePath = await checkHlsCache(filename, directory);
+		const cache = await checkHlsCache(filename, directory);
 
-		if (cachePath) {
+		if (cache) {
 			console.log(`✅ HLS cache found, using Shaka Player`);
-			// Load Shaka Player with HLS
-			loadShakaPlayer(filename, cachePath, context, directory);
+			// Load Shaka Player with HLS (or DASH for CMAF caches)
+			loadShakaPlayer(filename, cache.cachePath, context, directory, cache.hasDash);
 		} else {
 			console.log(`ℹ️ No HLS cache, using default player`);
 			// Fall back to default Nextcloud video player
@@ -2072,7 +3639,11 @@ async function playProgressive(filename, directory, context) {
 		if (result.url) {
 			console.log(`✅ Progressive MP4 ready: ${result.url}`);
 			// Create and show video modal with the transcoded URL
-			showProgressiveVideoModal(filename, result.url);
+			showProgressiveVideoModal(
+				filename,
+				result.url,
+				getFileId(filename, context)
+			);
 		} else {
 			throw new Error(
 				result.error || "Failed to prepare progressive MP4"
@@ -2199,7 +3770,7 @@ function hideLoadingOverlay(overlay) {
 /**
  * Show progressive video modal with HTML5 video player
  */
-function showProgressiveVideoModal(filename, videoUrl) {
+function showProgressiveVideoModal(filename, videoUrl, fileId) {
 	const modal = document.createElement("div");
 	modal.className = "hyper-viewer-progressive-modal";
 	modal.innerHTML = `
@@ -2411,6 +3982,7 @@ function showProgressiveVideoModal(filename, videoUrl) {
 
 	// Close functionality
 	const closeModal = () => {
+		stopPositionTracking();
 		modal.classList.remove("show");
 		document.removeEventListener("keydown", handleKeydown);
 		setTimeout(() => {
@@ -2438,6 +4010,11 @@ function showProgressiveVideoModal(filename, videoUrl) {
 
 	// Get video element and add event handlers
 	const video = modal.querySelector(".hyper-viewer-progressive-video");
+	const stopPositionTracking = trackPlaybackPosition(
+		video,
+		fileId,
+		modal.querySelector(".hyper-viewer-video-container")
+	);
 
 	// Add video event listeners for debugging and functionality
 	video.addEventListener("loadstart", () => {
@@ -2475,70 +4052,341 @@ function showProgressiveVideoModal(filename, videoUrl) {
 		console.log("🎬 Video started playing");
 	});
 
-	video.addEventListener("playing", () => {
-		console.log("🎬 Video is playing");
-	});
+	video.addEventListener("playing", () => {
+		console.log("🎬 Video is playing");
+	});
+
+	video.addEventListener("pause", () => {
+		console.log("🎬 Video paused");
+	});
+
+	video.addEventListener("error", e => {
+		console.error("🎬 Video error:", e);
+		console.error("Video error details:", video.error);
+
+		// Check if this might be a transcoding-in-progress error
+		if (
+			video.error &&
+			(video.error.code === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED ||
+				video.error.code === MediaError.MEDIA_ERR_NETWORK)
+		) {
+			handleVideoRetry(video, videoUrl);
+		}
+	});
+
+	video.addEventListener("stalled", () => {
+		console.log("🎬 Video stalled");
+		// Also try retry on stalled
+		handleVideoRetry(video, videoUrl);
+	});
+
+	video.addEventListener("waiting", () => {
+		console.log("🎬 Video waiting for data");
+	});
+
+	// Retry logic for transcoding videos
+	function handleVideoRetry(videoElement, originalUrl) {
+		const retryMessage = modal.querySelector(".hyper-viewer-retry-message");
+		const countdownSpan = retryMessage.querySelector(".countdown");
+
+		// Show retry message, hide video
+		videoElement.style.display = "none";
+		retryMessage.style.display = "block";
+
+		let countdown = 5;
+		countdownSpan.textContent = countdown;
+
+		const countdownInterval = setInterval(() => {
+			countdown--;
+			countdownSpan.textContent = countdown;
+
+			if (countdown <= 0) {
+				clearInterval(countdownInterval);
+
+				// Hide retry message, show video
+				retryMessage.style.display = "none";
+				videoElement.style.display = "block";
+
+				// Reload video source
+				videoElement.src = originalUrl + "&t=" + Date.now(); // Add timestamp to bypass cache
+				videoElement.load();
+			}
+		}, 1000);
+	}
+
+	document.addEventListener("keydown", handleKeydown);
+}
+
+/**
+ * Play a video from outside the Files app (e.g. the dashboard), using HLS if available
+ *
+ * @param {string} filename - Video filename
+ * @param {string} directory - Directory containing the video
+ * @param {number} fileId - Nextcloud file ID, used to restore the playback position
+ */
+export async function resumeVideo(filename, directory, fileId) {
+	const context = { dir: directory, fileId };
+	const cache = await checkHlsCache(filename, directory);
+
+	if (cache) {
+		loadShakaPlayer(filename, cache.cachePath, context, directory, cache.hasDash);
+	} else {
+		await playProgressive(filename, directory, context);
+	}
+}
+
+/**
+ * Get the Nextcloud file ID of a video from the Files app context
+ *
+ * @param {string} filename - Video filename
+ * @param {object} context - File context
+ * @return {number|null}
+ */
+function getFileId(filename, context) {
+	const fileList = context?.fileInfoModel?.fileList || context?.fileList || window.OCA?.Files?.App?.fileList;
+	const fileModel = fileList?.files?.find(f => f.name === filename);
+	return fileModel?.id || context?.fileId || null;
+}
+
+/**
+ * Format a playback position as m:ss or h:mm:ss
+ *
+ * @param {number} seconds - Position in seconds
+ * @return {string}
+ */
+function formatPlaybackPosition(seconds) {
+	const hours = Math.floor(seconds / 3600);
+	const minutes = Math.floor((seconds % 3600) / 60);
+	const secs = Math.floor(seconds % 60).toString().padStart(2, "0");
+
+	if (hours > 0) {
+		return `${hours}:${minutes.toString().padStart(2, "0")}:${secs}`;
+	}
+	return `${minutes}:${secs}`;
+}
+
+/**
+ * Save the playback position of a video on the server
+ *
+ * @param {number} fileId - Nextcloud file ID
+ * @param {number} position - Current time in seconds
+ * @param {number} duration - Video duration in seconds
+ */
+function savePlaybackPosition(fileId, position, duration) {
+	return fetch(OC.generateUrl(`/apps/hyper_viewer/api/playback/${fileId}`), {
+		method: "PUT",
+		// Let the request finish even if the page is being closed
+		keepalive: true,
+		headers: {
+			"Content-Type": "application/json",
+			requesttoken: OC.requestToken
+		},
+		body: JSON.stringify({ position, duration })
+	}).catch(error => {
+		console.warn("Failed to save playback position:", error);
+	});
+}
+
+/**
+ * Remember the playback position of a video and offer to resume where the user left off
+ *
+ * @param {HTMLVideoElement} video - Video element to track
+ * @param {number|null} fileId - Nextcloud file ID (tracking is skipped without one)
+ * @param {HTMLElement} container - Positioned element the resume prompt is shown in
+ * @return {Function} Call when the player closes to save the final position
+ */
+function trackPlaybackPosition(video, fileId, container) {
+	if (!fileId) {
+		return () => {};
+	}
+
+	const saveIntervalMs = 10000;
+	let lastSavedAt = Date.now();
+	let resumeButton = null;
+
+	const save = () => {
+		if (!video.duration || !isFinite(video.duration)) {
+			return;
+		}
+		lastSavedAt = Date.now();
+		savePlaybackPosition(fileId, video.currentTime, video.duration);
+	};
+
+	const handleTimeUpdate = () => {
+		if (!video.paused && Date.now() - lastSavedAt >= saveIntervalMs) {
+			save();
+		}
+	};
+
+	video.addEventListener("timeupdate", handleTimeUpdate);
+	video.addEventListener("pause", save);
+	video.addEventListener("ended", save);
+
+	fetch(OC.generateUrl(`/apps/hyper_viewer/api/playback/${fileId}`), {
+		headers: { requesttoken: OC.requestToken }
+	})
+		.then(response => response.json())
+		.then(saved => {
+			if (!saved.position || !container.isConnected) {
+				return;
+			}
+
+			console.log(`⏯️ Saved position found: ${saved.position}s`);
+			resumeButton = document.createElement("button");
+			resumeButton.textContent = `⏯️ Resume from ${formatPlaybackPosition(saved.position)}`;
+			resumeButton.style.cssText = `
+				position: absolute; top: 15px; left: 50%; transform: translateX(-50%); z-index: 1001;
+				background: rgba(255, 152, 0, 0.95); border: none; color: white; padding: 8px 16px;
+				border-radius: 4px; cursor: pointer; font-size: 13px; font-weight: bold;
+				box-shadow: 0 2px 8px rgba(0,0,0,0.4);
+			`;
+			resumeButton.addEventListener("click", e => {
+				e.stopPropagation();
+				video.currentTime = saved.position;
+				video.play().catch(() => {});
+				resumeButton.remove();
+			});
+			container.appendChild(resumeButton);
+
+			// Only offer resuming right after opening the video
+			setTimeout(() => resumeButton.remove(), 15000);
+		})
+		.catch(error => {
+			console.warn("Failed to load playback position:", error);
+		});
+
+	return () => {
+		video.removeEventListener("timeupdate", handleTimeUpdate);
+		video.removeEventListener("pause", save);
+		video.removeEventListener("ended", save);
+		if (resumeButton) {
+			resumeButton.remove();
+		}
+		save();
+	};
+}
+
+/**
+ * Convert a frame count to SMPTE timecode (HH:MM:SS:FF, or HH:MM:SS;FF for drop-frame)
+ *
+ * @param {number} frameNumber - Frames since 00:00:00:00
+ * @param {number} fps - Nominal (integer) frame rate, e.g. 30 for 29.97
+ * @param {boolean} dropFrame - Skip frame numbers 0 and 1 (0-3 at 60) each minute except every tenth
+ * @return {string}
+ */
+function framesToTimecode(frameNumber, fps, dropFrame) {
+	let frames = Math.max(0, Math.round(frameNumber));
+
+	if (dropFrame) {
+		const dropped = Math.round(fps / 15);
+		const framesPerMinute = fps * 60 - dropped;
+		const framesPerTenMinutes = fps * 600 - dropped * 9;
+		const tenMinuteBlocks = Math.floor(frames / framesPerTenMinutes);
+		const remainder = frames % framesPerTenMinutes;
+
+		frames += dropped * 9 * tenMinuteBlocks;
+		if (remainder > dropped) {
+			frames += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+		}
+	}
+
+	const pad = value => value.toString().padStart(2, "0");
+	const ff = frames % fps;
+	const ss = Math.floor(frames / fps) % 60;
+	const mm = Math.floor(frames / (fps * 60)) % 60;
+	const hh = Math.floor(frames / (fps * 3600)) % 24;
+
+	return `${pad(hh)}:${pad(mm)}:${pad(ss)}${dropFrame ? ";" : ":"}${pad(ff)}`;
+}
+
+/**
+ * Parse SMPTE timecode into a frame count
+ *
+ * Missing leading fields are treated as zero, so "10:05" means ten seconds and five frames.
+ *
+ * @param {string} timecode - Timecode like 01:02:03:04 or 01:02:03;04
+ * @param {number} fps - Nominal (integer) frame rate
+ * @param {boolean} dropFrame - Whether the timecode is drop-frame
+ * @return {number|null} Frame count, or null if the input is not a timecode
+ */
+function timecodeToFrames(timecode, fps, dropFrame) {
+	const trimmed = (timecode || "").trim();
+	if (!/^\d{1,2}([:;.]\d{1,2}){0,3}$/.test(trimmed)) {
+		return null;
+	}
+
+	const fields = trimmed.split(/[:;.]/).map(Number);
+	while (fields.length < 4) {
+		fields.unshift(0);
+	}
+	const [hh, mm, ss, ff] = fields;
+	if (mm > 59 || ss > 59 || ff >= fps) {
+		return null;
+	}
+
+	let frames = ((hh * 60 + mm) * 60 + ss) * fps + ff;
+	if (dropFrame) {
+		const totalMinutes = hh * 60 + mm;
+		frames -= Math.round(fps / 15) * (totalMinutes - Math.floor(totalMinutes / 10));
+	}
 
-	video.addEventListener("pause", () => {
-		console.log("🎬 Video paused");
-	});
+	return frames;
+}
 
-	video.addEventListener("error", e => {
-		console.error("🎬 Video error:", e);
-		console.error("Video error details:", video.error);
+// Per-video timecode formatters used by the Shaka control bar element below
+const timecodeFormatters = new WeakMap();
 
-		// Check if this might be a transcoding-in-progress error
-		if (
-			video.error &&
-			(video.error.code === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED ||
-				video.error.code === MediaError.MEDIA_ERR_NETWORK)
-		) {
-			handleVideoRetry(video, videoUrl);
-		}
-	});
+/**
+ * Shaka control bar element that shows SMPTE timecode in place of the regular time display
+ *
+ * Hidden unless the player registered a formatter for its video in timecodeFormatters
+ * and that formatter returns text (i.e. timecode mode is on).
+ */
+class TimecodeDisplay extends shaka.ui.Element {
 
-	video.addEventListener("stalled", () => {
-		console.log("🎬 Video stalled");
-		// Also try retry on stalled
-		handleVideoRetry(video, videoUrl);
-	});
+	constructor(parent, controls) {
+		super(parent, controls);
 
-	video.addEventListener("waiting", () => {
-		console.log("🎬 Video waiting for data");
-	});
+		this.display = document.createElement("button");
+		this.display.classList.add("shaka-current-time", "shaka-hidden");
+		this.display.style.fontFamily = "monospace";
+		this.parent.appendChild(this.display);
 
-	// Retry logic for transcoding videos
-	function handleVideoRetry(videoElement, originalUrl) {
-		const retryMessage = modal.querySelector(".hyper-viewer-retry-message");
-		const countdownSpan = retryMessage.querySelector(".countdown");
+		const update = () => this.update();
+		this.eventManager.listen(this.video, "timeupdate", update);
+		this.eventManager.listen(this.video, "seeked", update);
+		this.eventManager.listen(this.video, "hypertimecodechange", update);
+	}
 
-		// Show retry message, hide video
-		videoElement.style.display = "none";
-		retryMessage.style.display = "block";
+	update() {
+		const format = timecodeFormatters.get(this.video);
+		const text = format ? format(this.video.currentTime) : null;
 
-		let countdown = 5;
-		countdownSpan.textContent = countdown;
+		// Swap with Shaka's own time display rather than fighting over its text
+		const timeAndDuration = Array.from(
+			this.parent.querySelectorAll(".shaka-current-time")
+		).find(element => element !== this.display);
+		if (timeAndDuration) {
+			timeAndDuration.classList.toggle("shaka-hidden", !!text);
+		}
 
-		const countdownInterval = setInterval(() => {
-			countdown--;
-			countdownSpan.textContent = countdown;
+		this.display.classList.toggle("shaka-hidden", !text);
+		if (text) {
+			this.display.textContent = text;
+		}
+	}
 
-			if (countdown <= 0) {
-				clearInterval(countdownInterval);
+}
 
-				// Hide retry message, show video
-				retryMessage.style.display = "none";
-				videoElement.style.display = "block";
+TimecodeDisplay.Factory = class {
 
-				// Reload video source
-				videoElement.src = originalUrl + "&t=" + Date.now(); // Add timestamp to bypass cache
-				videoElement.load();
-			}
-		}, 1000);
+	create(rootElement, controls) {
+		return new TimecodeDisplay(rootElement, controls);
 	}
 
-	document.addEventListener("keydown", handleKeydown);
-}
+};
+
+shaka.ui.Controls.registerElement("timecode", new TimecodeDisplay.Factory());
 
 /**
  * Load Shaka Player in a modal
@@ -2547,8 +4395,9 @@ function showProgressiveVideoModal(filename, videoUrl) {
  * @param {string} cachePath - HLS cache path
  * @param {object} context - File context
  * @param {string} directory - Current directory path
+ * @param {boolean} hasDash - Whether the cache also has a DASH manifest (CMAF caches)
  */
-function loadShakaPlayer(filename, cachePath, context, directory) {
+function loadShakaPlayer(filename, cachePath, context, directory, hasDash = false) {
 	const videoId = `hyperVideo_${Date.now()}`;
 
 	// Ensure directory is set
@@ -2563,12 +4412,9 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 		const fileList = context.fileInfoModel?.fileList || context.fileList;
 		if (fileList) {
 			const files = fileList.files || [];
-			// Filter video files (MOV and MP4)
+			// Filter video files in the enabled formats
 			videoPlaylist = files
-				.filter(file => 
-					file.mimetype === 'video/quicktime' || 
-					file.mimetype === 'video/mp4'
-				)
+				.filter(file => isSupportedVideo(file.mimetype, file.name))
 				.map(file => file.name)
 				.sort();
 			currentVideoIndex = videoPlaylist.indexOf(filename);
@@ -2626,7 +4472,7 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
             </div>
             
             <!-- Timeline with Clip Markers -->
-            <div style="margin-bottom: 20px;">
+            <div style="margin-bottom: 20px; position: relative;">
                 <div style="display: flex; justify-content: space-between; color: #ccc; font-size: 12px; margin-bottom: 5px;">
                     <span>Timeline</span>
                     <span id="clip-duration">Clip Duration: 0:00</span>
@@ -2637,6 +4483,10 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
                         position: absolute; top: 0; left: 0%; right: 0%; height: 100%; 
                         background: rgba(76, 175, 80, 0.2); z-index: 1;
                     "></div>
+                    <!-- Saved cut list ranges -->
+                    <div id="cut-list-ranges"></div>
+                    <!-- Keyframes near the markers -->
+                    <div id="keyframe-ticks"></div>
                     <div id="playback-cursor" style="
                         position: absolute; top: 0; left: 0%; width: 2px; height: 100%; 
                         background: #fff; box-shadow: 0 0 4px rgba(255,255,255,0.8); z-index: 4;
@@ -2666,6 +4516,17 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
                         ">0:00.000</div>
                     </div>
                 </div>
+                <!-- Hover preview tile (outside the timeline so it is not clipped) -->
+                <div id="timeline-thumbnail" style="
+                    position: absolute; bottom: 50px; left: 0; display: none; pointer-events: none; z-index: 5;
+                    border: 2px solid #fff; border-radius: 4px; background-color: #000; background-repeat: no-repeat;
+                    box-shadow: 0 2px 8px rgba(0,0,0,0.6);
+                ">
+                    <div id="timeline-thumbnail-time" style="
+                        position: absolute; bottom: 0; left: 0; right: 0; text-align: center;
+                        background: rgba(0,0,0,0.7); color: white; font-size: 11px; font-family: monospace; padding: 1px 0;
+                    ">0:00.000</div>
+                </div>
             </div>
             
             <!-- Frame-Accurate Controls -->
@@ -2681,6 +4542,7 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
                         <button id="start-set-current" style="background: #4CAF50; border: none; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 11px;">Set Current</button>
                         <button id="start-frame-forward" style="background: #4CAF50; border: none; color: white; padding: 6px 8px; border-radius: 3px; cursor: pointer; font-size: 11px;">+1f ⏩</button>
                     </div>
+                    <div id="start-keyframe-info" style="margin-top: 8px; font-size: 11px; color: #aaa; min-height: 14px;"></div>
                 </div>
                 
                 <!-- End Time Controls -->
@@ -2694,6 +4556,27 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
                         <button id="end-set-current" style="background: #f44336; border: none; color: white; padding: 6px 12px; border-radius: 3px; cursor: pointer; font-size: 11px;">Set Current</button>
                         <button id="end-frame-forward" style="background: #f44336; border: none; color: white; padding: 6px 8px; border-radius: 3px; cursor: pointer; font-size: 11px;">+1f ⏩</button>
                     </div>
+                    <div id="end-keyframe-info" style="margin-top: 8px; font-size: 11px; color: #aaa; min-height: 14px;"></div>
+                </div>
+            </div>
+            
+            <!-- Cut List -->
+            <div style="margin-bottom: 20px;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                    <span style="color: #ccc; font-size: 12px;">✂️ Cut List (<span id="cut-list-count">0</span> ranges)</span>
+                    <div style="display: flex; gap: 8px;">
+                        <button id="new-range" style="
+                            background: #666; border: none; color: white; padding: 4px 10px;
+                            border-radius: 3px; cursor: pointer; font-size: 11px; display: none;" title="Stop editing the selected range">Deselect</button>
+                        <button id="add-range" style="
+                            background: #9C27B0; border: none; color: white; padding: 4px 10px;
+                            border-radius: 3px; cursor: pointer; font-size: 11px;" title="Save the current start/end as a new range">➕ Add Range</button>
+                    </div>
+                </div>
+                <div id="cut-list" style="max-height: 150px; overflow-y: auto; display: flex; flex-direction: column; gap: 4px;">
+                    <div id="cut-list-empty" style="color: #777; font-size: 12px; padding: 6px 0;">
+                        Set start and end, then add the range. Each range can be exported on its own or joined with the others.
+                    </div>
                 </div>
             </div>
             
@@ -2725,6 +4608,12 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
         </div>
         
         <div style="position: absolute; top: 20px; right: 20px; display: flex; gap: 10px; z-index: 10003;">
+            <input id="timecode-jump" type="text" placeholder="HH:MM:SS:FF" title="Type a timecode and press Enter to jump to it" style="
+                display: none; width: 110px; margin: 0; background: rgba(0,0,0,0.7); border: 1px solid #666; color: white;
+                padding: 6px 8px; border-radius: 4px; font-family: monospace; font-size: 12px;">
+            <button id="toggle-timecode" style="
+                background: rgba(60, 60, 60, 0.9); border: none; color: white; 
+                padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 12px;" title="Show SMPTE timecode (HH:MM:SS:FF)">🎞️ Timecode</button>
             <button id="toggle-clip-mode" style="
                 background: rgba(255, 152, 0, 0.9); border: none; color: white; 
                 padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 12px;">✂️ Clip Video</button>
@@ -2739,6 +4628,7 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
     `;
 
 	const closeModal = () => {
+		stopPositionTracking();
 		modal.remove();
 		document.body.style.overflow = "";
 		document.removeEventListener("keydown", handleKeydown);
@@ -2761,6 +4651,11 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	document.addEventListener("keydown", handleKeydown);
 
 	const video = document.getElementById(videoId);
+	const stopPositionTracking = trackPlaybackPosition(
+		video,
+		getFileId(filename, context),
+		modal.querySelector("#video-player-container")
+	);
 
 	// Clipping state
 	let isClipMode = false;
@@ -2770,7 +4665,36 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	let selectedControl = null; // 'start' or 'end' for visual feedback
 	let isDragging = false;
 	let dragTarget = null;
-	const videoFrameRate = 30; // Default, will be updated when video loads
+	let videoFrameRate = 30; // Default until the probed frame rate arrives
+
+	// Cut list: saved ranges, the selected one follows the start/end markers while selected
+	const cutList = [];
+	let selectedRangeIndex = null;
+	let nextRangeNumber = 1;
+
+	// SMPTE timecode state (source start timecode comes from the tmcd track)
+	let timecodeMode = localStorage.getItem("hyper_viewer_timecode_mode") === "1";
+	let startTimecode = "00:00:00:00";
+	let timecodeDropFrame = false;
+
+	fetchVideoMetadata(filename, directory).then(metadata => {
+		if (metadata?.frameRate) {
+			videoFrameRate = metadata.frameRate;
+			console.log(
+				`🎞️ Frame rate: ${metadata.frameRate} fps (${metadata.frameRateFraction}, timebase ${metadata.timeBase}${metadata.isVariable ? ", variable" : ""})`
+			);
+			startTime = snapToFrame(startTime);
+			endTime = snapToFrame(endTime);
+		}
+		if (metadata?.startTimecode) {
+			startTimecode = metadata.startTimecode;
+			timecodeDropFrame = startTimecode.includes(";");
+			console.log(`🎞️ Source start timecode: ${startTimecode}`);
+		}
+		updateTimelineMarkers();
+		updateTimeDisplays();
+		video.dispatchEvent(new Event("hypertimecodechange"));
+	});
 
 	// Add close button event listener
 	modal.querySelector(".close-btn").addEventListener("click", closeModal);
@@ -2879,14 +4803,18 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	// Initialize Shaka Player
 	shaka.polyfill.installAll();
 
+	let player = null;
+	let thumbnailsTrack = null;
+
 	if (shaka.Player.isBrowserSupported()) {
-		const player = new shaka.Player(video);
+		player = new shaka.Player(video);
 
 		// Configure Shaka UI with professional video editing controls
 		const uiConfig = {
 			controlPanelElements: [
 				"play_pause",
 				"time_and_duration",
+				"timecode",
 				"mute",
 				"volume",
 				"spacer",
@@ -2894,6 +4822,7 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 				"fullscreen"
 			],
 			overflowMenuButtons: [
+				"captions",
 				"picture_in_picture",
 				"quality",
 				"playback_speed",
@@ -2922,9 +4851,34 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 		const playlistUrl = `${OC.generateUrl(
 			"/apps/hyper_viewer/hls"
 		)}/${encodedCachePath}/playlist.m3u8`;
+		const dashUrl = `${OC.generateUrl(
+			"/apps/hyper_viewer/hls"
+		)}/${encodedCachePath}/manifest.mpd`;
 
-		// Try master.m3u8 first, fallback to playlist.m3u8
-		player.load(masterUrl).catch(() => player.load(playlistUrl));
+		const thumbnailsUrl = `${OC.generateUrl(
+			"/apps/hyper_viewer/hls"
+		)}/${encodedCachePath}/thumbnails.vtt`;
+
+		// DASH needs Media Source Extensions; without them (older iOS) Shaka hands HLS to the native player
+		const useDash = hasDash && !!(window.MediaSource || window.ManagedMediaSource);
+
+		// Try the DASH manifest when preferred, then master.m3u8, then playlist.m3u8
+		(useDash
+			? player.load(dashUrl).catch(() => player.load(masterUrl))
+			: player.load(masterUrl)
+		)
+			.catch(() => player.load(playlistUrl))
+			.then(async () => {
+				// The Shaka seek bar picks up image tracks automatically for hover previews
+				try {
+					thumbnailsTrack = await player.addThumbnailsTrack(
+						thumbnailsUrl,
+						"text/vtt"
+					);
+				} catch (error) {
+					console.log("ℹ️ No thumbnail sprites for this cache", error);
+				}
+			});
 
 		// Video event listeners
 		video.addEventListener("loadedmetadata", () => {
@@ -2954,10 +4908,12 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 			toggleBtn.textContent = "✂️ Exit Clip Mode";
 			toggleBtn.style.background = "rgba(244, 67, 54, 0.9)";
 			// Initialize markers
+			selectedRangeIndex = null;
 			startTime = 0;
 			endTime = videoDuration;
 			updateTimelineMarkers();
 			updateTimeDisplays();
+			renderCutList();
 		} else {
 			panel.style.display = "none";
 			videoContainer.style.borderRadius = "8px";
@@ -2966,6 +4922,77 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 		}
 	}
 
+	// Frame N is shown from N / fps until (N + 1) / fps
+	function frameIndexAt(seconds) {
+		// Tolerance keeps float error from landing just before a boundary
+		return Math.floor(seconds * videoFrameRate + 1e-6);
+	}
+
+	function frameTime(frameIndex) {
+		return frameIndex / videoFrameRate;
+	}
+
+	function snapToFrame(seconds) {
+		return frameTime(Math.round(seconds * videoFrameRate));
+	}
+
+	function seekToFrame(frameIndex) {
+		// Aim slightly past the boundary so the browser doesn't show the previous frame
+		const lastFrame = frameIndexAt(video.duration || videoDuration);
+		const clampedIndex = Math.max(0, Math.min(lastFrame, frameIndex));
+		video.currentTime = frameTime(clampedIndex) + 0.1 / videoFrameRate;
+	}
+
+	function timecodeFps() {
+		return Math.round(videoFrameRate);
+	}
+
+	// Source timecode of the frame shown at a player position
+	function formatTimecode(seconds) {
+		const startFrames = timecodeToFrames(startTimecode, timecodeFps(), timecodeDropFrame) || 0;
+		return framesToTimecode(startFrames + frameIndexAt(seconds), timecodeFps(), timecodeDropFrame);
+	}
+
+	// Durations are counted from zero, not from the source start timecode
+	function formatDuration(seconds) {
+		return timecodeMode
+			? framesToTimecode(frameIndexAt(seconds), timecodeFps(), false)
+			: formatTime(seconds);
+	}
+
+	function formatDisplayTime(seconds) {
+		return timecodeMode ? formatTimecode(seconds) : formatTime(seconds);
+	}
+
+	function setTimecodeMode(enabled) {
+		timecodeMode = enabled;
+		localStorage.setItem("hyper_viewer_timecode_mode", enabled ? "1" : "0");
+
+		const toggleBtn = modal.querySelector("#toggle-timecode");
+		toggleBtn.style.background = enabled ? "rgba(255, 152, 0, 0.9)" : "rgba(60, 60, 60, 0.9)";
+		modal.querySelector("#timecode-jump").style.display = enabled ? "block" : "none";
+
+		updateTimeDisplays();
+		video.dispatchEvent(new Event("hypertimecodechange"));
+	}
+
+	function jumpToTimecode(timecode) {
+		const frames = timecodeToFrames(timecode, timecodeFps(), timecodeDropFrame);
+		const startFrames = timecodeToFrames(startTimecode, timecodeFps(), timecodeDropFrame) || 0;
+		const targetFrame = frames === null ? null : frames - startFrames;
+
+		if (targetFrame === null || targetFrame < 0 || frameTime(targetFrame) > videoDuration) {
+			OC.dialogs.alert(
+				`Enter a timecode between ${formatTimecode(0)} and ${formatTimecode(videoDuration)}.`,
+				"Invalid Timecode"
+			);
+			return false;
+		}
+
+		seekToFrame(targetFrame);
+		return true;
+	}
+
 	function formatTime(seconds) {
 		const mins = Math.floor(seconds / 60);
 		const secs = Math.floor(seconds % 60);
@@ -2976,21 +5003,30 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	}
 
 	function updateTimeDisplays() {
-		modal.querySelector("#start-time-display").textContent = formatTime(
+		modal.querySelector("#start-time-display").textContent = formatDisplayTime(
 			startTime
 		);
-		modal.querySelector("#end-time-display").textContent = formatTime(
+		modal.querySelector("#end-time-display").textContent = formatDisplayTime(
 			endTime
 		);
 
 		const duration = Math.max(0, endTime - startTime);
 		const durationMins = Math.floor(duration / 60);
 		const durationSecs = Math.floor(duration % 60);
-		modal.querySelector(
-			"#clip-duration"
-		).textContent = `Clip Duration: ${durationMins}:${durationSecs
-			.toString()
-			.padStart(2, "0")}`;
+		modal.querySelector("#clip-duration").textContent = timecodeMode
+			? `Clip Duration: ${formatDuration(duration)}`
+			: `Clip Duration: ${durationMins}:${durationSecs
+				.toString()
+				.padStart(2, "0")}`;
+
+		// Marker edits apply to the selected cut list range
+		if (selectedRangeIndex !== null) {
+			cutList[selectedRangeIndex].startTime = startTime;
+			cutList[selectedRangeIndex].endTime = endTime;
+		}
+		renderCutList();
+		renderKeyframeInfo();
+		scheduleKeyframeLookup();
 	}
 
 	function updateTimelineMarkers() {
@@ -3059,11 +5095,10 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	}
 
 	function stepFrame(direction, isStart = true) {
-		const frameTime = 1 / videoFrameRate;
-		const newTime = video.currentTime + direction * frameTime;
+		const newTime = frameTime(frameIndexAt(video.currentTime) + direction);
 		const clampedTime = Math.max(0, Math.min(videoDuration, newTime));
 
-		video.currentTime = clampedTime;
+		seekToFrame(frameIndexAt(clampedTime));
 
 		if (isStart) {
 			startTime = clampedTime;
@@ -3076,11 +5111,13 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	}
 
 	function setCurrentTime(isStart = true) {
+		// Use the start of the frame currently on screen
+		const currentFrameTime = frameTime(frameIndexAt(video.currentTime));
 		if (isStart) {
-			startTime = video.currentTime;
+			startTime = currentFrameTime;
 			updateControlSelection("start");
 		} else {
-			endTime = video.currentTime;
+			endTime = currentFrameTime;
 			updateControlSelection("end");
 		}
 
@@ -3113,12 +5150,154 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	}
 
 	function resetMarkers() {
+		selectedRangeIndex = null;
 		startTime = 0;
 		endTime = videoDuration;
 		updateTimelineMarkers();
 		updateTimeDisplays();
 	}
 
+	function addRange() {
+		if (endTime <= startTime) return;
+
+		cutList.push({
+			name: `Range ${nextRangeNumber++}`,
+			startTime,
+			endTime
+		});
+		selectedRangeIndex = cutList.length - 1;
+		renderCutList();
+	}
+
+	function selectRange(index) {
+		selectedRangeIndex = index;
+		startTime = cutList[index].startTime;
+		endTime = cutList[index].endTime;
+		seekToFrame(frameIndexAt(startTime));
+		updateTimelineMarkers();
+		updateTimeDisplays();
+	}
+
+	function deselectRange() {
+		selectedRangeIndex = null;
+		renderCutList();
+	}
+
+	function moveRange(index, direction) {
+		const target = index + direction;
+		if (target < 0 || target >= cutList.length) return;
+
+		[cutList[index], cutList[target]] = [cutList[target], cutList[index]];
+		if (selectedRangeIndex === index) {
+			selectedRangeIndex = target;
+		} else if (selectedRangeIndex === target) {
+			selectedRangeIndex = index;
+		}
+		renderCutList();
+	}
+
+	function deleteRange(index) {
+		cutList.splice(index, 1);
+		if (selectedRangeIndex === index) {
+			selectedRangeIndex = null;
+		} else if (selectedRangeIndex !== null && selectedRangeIndex > index) {
+			selectedRangeIndex--;
+		}
+		renderCutList();
+	}
+
+	function createCutListButton(label, title, onClick) {
+		const button = document.createElement("button");
+		button.textContent = label;
+		button.title = title;
+		button.style.cssText = `
+			background: #444; border: none; color: white; padding: 2px 7px;
+			border-radius: 3px; cursor: pointer; font-size: 11px;
+		`;
+		button.addEventListener("click", e => {
+			e.stopPropagation();
+			onClick();
+		});
+		return button;
+	}
+
+	function renderCutList() {
+		const listElement = modal.querySelector("#cut-list");
+		const rangesElement = modal.querySelector("#cut-list-ranges");
+
+		modal.querySelector("#cut-list-count").textContent = cutList.length;
+		modal.querySelector("#cut-list-empty").style.display = cutList.length ? "none" : "block";
+		modal.querySelector("#new-range").style.display = selectedRangeIndex !== null ? "inline-block" : "none";
+		listElement.querySelectorAll(".cut-list-row").forEach(row => row.remove());
+		rangesElement.innerHTML = "";
+
+		cutList.forEach((range, index) => {
+			const isSelected = index === selectedRangeIndex;
+
+			// List row (built with DOM APIs since names are user input)
+			const row = document.createElement("div");
+			row.className = "cut-list-row";
+			row.style.cssText = `
+				display: flex; align-items: center; gap: 8px; padding: 4px 8px; border-radius: 4px; cursor: pointer;
+				background: ${isSelected ? "rgba(156, 39, 176, 0.35)" : "rgba(255,255,255,0.05)"};
+				border: 1px solid ${isSelected ? "#9C27B0" : "transparent"};
+			`;
+
+			const number = document.createElement("span");
+			number.textContent = `${index + 1}.`;
+			number.style.cssText = "color: #aaa; font-size: 11px; min-width: 18px;";
+
+			const nameInput = document.createElement("input");
+			nameInput.type = "text";
+			nameInput.value = range.name;
+			nameInput.style.cssText = `
+				flex: 1; margin: 0; min-width: 80px; background: #333; border: 1px solid #555; color: white;
+				padding: 2px 6px; border-radius: 3px; font-size: 12px;
+			`;
+			nameInput.addEventListener("click", e => e.stopPropagation());
+			nameInput.addEventListener("input", () => {
+				range.name = nameInput.value;
+			});
+			// Keep typing (Backspace, Space, arrows) away from the player shortcuts
+			nameInput.addEventListener("keydown", e => e.stopPropagation());
+
+			const times = document.createElement("span");
+			times.textContent = `${formatDisplayTime(range.startTime)} – ${formatDisplayTime(range.endTime)} (${formatDuration(range.endTime - range.startTime)})`;
+			times.style.cssText = "color: #ccc; font-family: monospace; font-size: 11px; white-space: nowrap;";
+
+			row.append(
+				number,
+				nameInput,
+				times,
+				createCutListButton("↑", "Move up", () => moveRange(index, -1)),
+				createCutListButton("↓", "Move down", () => moveRange(index, 1)),
+				createCutListButton("✕", "Delete range", () => deleteRange(index))
+			);
+			row.addEventListener("click", () => selectRange(index));
+			listElement.appendChild(row);
+
+			// Timeline segment
+			if (videoDuration > 0) {
+				const segment = document.createElement("div");
+				segment.textContent = index + 1;
+				segment.title = range.name;
+				segment.style.cssText = `
+					position: absolute; top: 0; bottom: 0; z-index: 2; cursor: pointer;
+					left: ${(range.startTime / videoDuration) * 100}%;
+					width: ${((range.endTime - range.startTime) / videoDuration) * 100}%;
+					background: ${isSelected ? "rgba(156, 39, 176, 0.5)" : "rgba(156, 39, 176, 0.25)"};
+					border-left: 1px solid #9C27B0; border-right: 1px solid #9C27B0; box-sizing: border-box;
+					color: white; font-size: 10px; padding: 2px 4px; overflow: hidden;
+				`;
+				segment.addEventListener("click", e => {
+					e.stopPropagation();
+					selectRange(index);
+				});
+				rangesElement.appendChild(segment);
+			}
+		});
+	}
+
 	function showExportModal() {
 		// Determine default export path
 		const isInHome =
@@ -3154,14 +5333,40 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 				
 				<div style="margin-bottom: 20px; padding: 12px; background: rgba(76, 175, 80, 0.1); border-radius: 4px; border: 1px solid #4CAF50;">
 					<div style="font-size: 14px; margin-bottom: 8px;">📊 Clip Details:</div>
-					<div style="font-family: monospace; font-size: 12px; color: #ccc;">
-						<div>Start: ${formatTime(startTime)}</div>
-						<div>End: ${formatTime(endTime)}</div>
-						<div>Duration: ${formatTime(endTime - startTime)}</div>
-						<div style="color: #4CAF50; margin-top: 8px;">✨ Original quality lossless cut</div>
+					<div id="export-clip-details" style="font-family: monospace; font-size: 12px; color: #ccc;">
+						<div style="display: ${cutList.length > 0 ? "none" : "block"};">
+							<div>Start: ${formatDisplayTime(startTime)}</div>
+							<div>End: ${formatDisplayTime(endTime)}</div>
+							<div>Duration: ${formatDuration(endTime - startTime)}</div>
+						</div>
+						<div id="export-mode-note" style="color: #4CAF50; margin-top: 8px;">✨ Original quality lossless cut</div>
 					</div>
 				</div>
 				
+				<div style="margin-bottom: 20px;">
+					<label style="display: block; margin-bottom: 8px; font-weight: bold;">Cut Mode:</label>
+					<label style="display: block; margin-bottom: 4px; cursor: pointer;">
+						<input type="radio" name="export-mode" value="lossless" checked> Lossless keyframe cut
+					</label>
+					<label style="display: block; margin-bottom: 4px; cursor: pointer;">
+						<input type="radio" name="export-mode" value="reencode"> Frame-accurate re-encode
+					</label>
+					<label style="display: block; cursor: pointer;">
+						<input type="radio" name="export-mode" value="smart"> Smart cut (re-encode GOP edges only)
+					</label>
+					<div id="export-keyframe-warning" style="display: none; margin-top: 8px; font-size: 12px; color: #FF9800;"></div>
+				</div>
+				
+				<div id="export-range-mode" style="margin-bottom: 20px; display: ${cutList.length > 0 ? "block" : "none"};">
+					<label style="display: block; margin-bottom: 8px; font-weight: bold;">Cut List Output:</label>
+					<label style="display: block; margin-bottom: 4px; cursor: pointer;">
+						<input type="radio" name="export-range-mode" value="separate" checked> One file per range
+					</label>
+					<label style="display: block; cursor: pointer;">
+						<input type="radio" name="export-range-mode" value="join"> Join all ranges into one file
+					</label>
+				</div>
+				
 				<div style="display: flex; justify-content: flex-end; gap: 12px;">
 					<button id="cancel-export" style="
 						background: #666; border: none; color: white; padding: 10px 16px; 
@@ -3173,6 +5378,41 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 			</div>
 		`;
 
+		// Range list (built with DOM APIs since names are user input)
+		if (cutList.length > 0) {
+			const details = exportModal.querySelector("#export-clip-details");
+			const totalDuration = cutList.reduce((total, range) => total + range.endTime - range.startTime, 0);
+			cutList.forEach((range, index) => {
+				const line = document.createElement("div");
+				line.textContent = `${index + 1}. ${range.name}: ${formatDisplayTime(range.startTime)} – ${formatDisplayTime(range.endTime)}`;
+				details.insertBefore(line, details.lastElementChild);
+			});
+			const total = document.createElement("div");
+			total.textContent = `Total: ${formatDuration(totalDuration)}`;
+			total.style.marginTop = "4px";
+			details.insertBefore(total, details.lastElementChild);
+		}
+
+		// Describe the chosen cut mode and warn when a lossless start would drift
+		const modeNotes = {
+			lossless: "✨ Original quality lossless cut — starts at the keyframe before the start marker",
+			reencode: "🎯 Exact frames, re-encoded to H.264 (slower)",
+			smart: "🧠 Exact frames, re-encodes only the partial GOPs at the edges (H.264/HEVC sources)"
+		};
+		const updateExportModeNote = () => {
+			const mode = exportModal.querySelector('input[name="export-mode"]:checked').value;
+			exportModal.querySelector("#export-mode-note").textContent = modeNotes[mode];
+
+			const warning = exportModal.querySelector("#export-keyframe-warning");
+			const drift = mode === "lossless" && cutList.length === 0 ? getLosslessStartDrift() : 0;
+			warning.style.display = drift > 0 ? "block" : "none";
+			warning.textContent = `⚠️ The start marker is ${drift.toFixed(3)}s after a keyframe, so a lossless cut will start that much earlier.`;
+		};
+		exportModal.querySelectorAll('input[name="export-mode"]').forEach(radio => {
+			radio.addEventListener("change", updateExportModeNote);
+		});
+		updateExportModeNote();
+
 		document.body.appendChild(exportModal);
 
 		// Focus on export path input
@@ -3200,8 +5440,15 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 				return;
 			}
 
+			const joinRanges = exportModal.querySelector(
+				'input[name="export-range-mode"]:checked'
+			).value === "join";
+			const exportMode = exportModal.querySelector(
+				'input[name="export-mode"]:checked'
+			).value;
+
 			// Start the export process
-			startExport(exportPath);
+			startExport(exportPath, joinRanges, exportMode);
 			exportModal.remove();
 		};
 
@@ -3224,8 +5471,117 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 		});
 	}
 
+	// Keyframes around the markers, looked up once the markers settle
+	let keyframeInfo = null;
+	let keyframeLookupKey = "";
+	let keyframeLookupTimer = null;
+	let keyframeLookupId = 0;
+
+	function scheduleKeyframeLookup() {
+		if (!isClipMode || videoDuration === 0) return;
+
+		const lookupKey = `${startTime.toFixed(3)}-${endTime.toFixed(3)}`;
+		if (lookupKey === keyframeLookupKey) return;
+		keyframeLookupKey = lookupKey;
+
+		clearTimeout(keyframeLookupTimer);
+		keyframeLookupTimer = setTimeout(lookupKeyframes, 500);
+	}
+
+	async function lookupKeyframes() {
+		const lookupId = ++keyframeLookupId;
+		const originalPath = directory === "/" ? `/${filename}` : `${directory}/${filename}`;
+
+		try {
+			const response = await fetch(
+				OC.generateUrl("/apps/hyper_viewer/api/clip-keyframes"),
+				{
+					method: "POST",
+					headers: {
+						"Content-Type": "application/json",
+						requesttoken: OC.requestToken
+					},
+					body: JSON.stringify({
+						originalPath,
+						times: [startTime, endTime]
+					})
+				}
+			);
+
+			const result = await response.json();
+			if (!response.ok) {
+				throw new Error(result.error || "Keyframe lookup failed");
+			}
+
+			// Ignore responses for markers that have moved on since
+			if (lookupId !== keyframeLookupId) return;
+
+			keyframeInfo = result;
+			renderKeyframeInfo();
+		} catch (error) {
+			console.warn("Failed to look up keyframes:", error);
+		}
+	}
+
+	// Seconds a lossless cut would start before the start marker
+	function getLosslessStartDrift() {
+		const previousKeyframe = keyframeInfo?.markers?.[0]?.previousKeyframe;
+		if (previousKeyframe === null || previousKeyframe === undefined) return 0;
+
+		const drift = startTime - previousKeyframe;
+		return drift > 0.5 / videoFrameRate ? drift : 0;
+	}
+
+	function describeKeyframePosition(marker) {
+		if (!marker || marker.previousKeyframe === null) {
+			return { text: "🔑 No keyframe found nearby", color: "#aaa" };
+		}
+		if (Math.abs(marker.time - marker.previousKeyframe) <= 0.5 / videoFrameRate) {
+			return { text: "🔑 On a keyframe — lossless cut is exact", color: "#4CAF50" };
+		}
+
+		const nextText = marker.nextKeyframe !== null ? ` and ${formatDisplayTime(marker.nextKeyframe)}` : "";
+		return {
+			text: `🔑 Between keyframes ${formatDisplayTime(marker.previousKeyframe)}${nextText}`,
+			color: "#FF9800"
+		};
+	}
+
+	function renderKeyframeInfo() {
+		if (!keyframeInfo) return;
+
+		const [startMarkerInfo, endMarkerInfo] = keyframeInfo.markers || [];
+		const startInfo = describeKeyframePosition(startMarkerInfo);
+		const drift = getLosslessStartDrift();
+		const startElement = modal.querySelector("#start-keyframe-info");
+		startElement.textContent = drift > 0
+			? `${startInfo.text} (lossless starts ${drift.toFixed(3)}s early)`
+			: startInfo.text;
+		startElement.style.color = startInfo.color;
+
+		const endInfo = describeKeyframePosition(endMarkerInfo);
+		const endElement = modal.querySelector("#end-keyframe-info");
+		endElement.textContent = endInfo.text;
+		endElement.style.color = endInfo.color;
+
+		// Tick marks for the keyframes found around the markers
+		const ticks = modal.querySelector("#keyframe-ticks");
+		ticks.innerHTML = "";
+		if (videoDuration === 0) return;
+		(keyframeInfo.keyframes || []).forEach(keyframe => {
+			const tick = document.createElement("div");
+			tick.title = `Keyframe ${formatDisplayTime(keyframe)}`;
+			tick.style.cssText = `
+				position: absolute; bottom: 0; width: 1px; height: 10px; z-index: 2; pointer-events: none;
+				left: ${(keyframe / videoDuration) * 100}%; background: #FFEB3B;
+			`;
+			ticks.appendChild(tick);
+		});
+	}
+
 	// Export functionality
-	async function startExport(exportPath) {
+	async function startExport(exportPath, joinRanges = false, exportMode = "lossless") {
+		let exportNotification = null;
 		try {
 			// Generate unique filename for the clip
 			const timestamp = new Date()
@@ -3233,11 +5589,27 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 				.replace(/[:.]/g, "-")
 				.slice(0, -5);
 			const baseName = filename.replace(/\.[^/.]+$/, ""); // Remove extension
-			const extension = filename.split(".").pop();
-			const clipFilename = `${baseName}_clip_${timestamp}.${extension}`;
+			// Re-encoded clips are H.264/AAC, which only the MP4 container is sure to hold
+			const extension = exportMode === "lossless" ? filename.split(".").pop() : "mp4";
+			const clipFilename = cutList.length > 0 && joinRanges
+				? `${baseName}_cutlist_${timestamp}.${extension}`
+				: `${baseName}_clip_${timestamp}.${extension}`;
+
+			// Each cut list range becomes its own file unless joined
+			const ranges = cutList.map((range, index) => {
+				const slug = range.name.trim().replace(/[^\w-]+/g, "_") || `range_${index + 1}`;
+				return {
+					startTime: range.startTime,
+					endTime: range.endTime,
+					clipFilename: `${baseName}_${String(index + 1).padStart(2, "0")}_${slug}_${timestamp}.${extension}`
+				};
+			});
 
-			// Show immediate notification
-			showExportNotification(clipFilename, exportPath);
+			// Show immediate notification; it follows the export job once the server has registered it
+			exportNotification = showExportNotification(
+				ranges.length > 0 && !joinRanges ? `${ranges.length} clips (${baseName}_01_…)` : clipFilename,
+				exportPath
+			);
 
 			// Get the full file path for the original video
 			const originalPath =
@@ -3258,6 +5630,9 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 						originalPath,
 						startTime,
 						endTime,
+						ranges,
+						joinRanges,
+						exportMode,
 						exportPath,
 						clipFilename
 					})
@@ -3271,8 +5646,12 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 			}
 
 			console.log("✅ Export started successfully:", result);
+			followExportJob(exportNotification, result.jobId);
 		} catch (error) {
 			console.error("❌ Export failed:", error);
+			if (exportNotification) {
+				exportNotification.remove();
+			}
 			OC.dialogs.alert(`Export failed: ${error.message}`, "Export Error");
 		}
 	}
@@ -3283,59 +5662,140 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 		notification.style.cssText = `
 			position: fixed; top: 20px; right: 20px; z-index: 10003;
 			background: #4CAF50; color: white; padding: 16px 20px; border-radius: 8px;
-			box-shadow: 0 4px 12px rgba(0,0,0,0.3); max-width: 400px;
+			box-shadow: 0 4px 12px rgba(0,0,0,0.3); max-width: 400px; min-width: 280px;
 			font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
 		`;
 
 		notification.innerHTML = `
 			<div style="display: flex; align-items: center; gap: 12px;">
-				<div style="font-size: 20px;">✂️</div>
-				<div>
-					<div style="font-weight: bold; margin-bottom: 4px;">Export Started</div>
-					<div style="font-size: 13px; opacity: 0.9;">
+				<div class="export-icon" style="font-size: 20px;">✂️</div>
+				<div style="flex: 1; min-width: 0;">
+					<div class="export-title" style="font-weight: bold; margin-bottom: 4px;">Export Started</div>
+					<div class="export-details" style="font-size: 13px; opacity: 0.9; word-break: break-all;">
 						Creating: ${clipFilename}<br>
 						Location: ${exportPath}
 					</div>
+					<div class="export-progress" style="margin-top: 8px; height: 6px; background: rgba(255,255,255,0.3); border-radius: 3px; overflow: hidden;">
+						<div class="export-progress-fill" style="width: 0%; height: 100%; background: white; transition: width 0.5s ease;"></div>
+					</div>
+					<div class="export-status" style="font-size: 12px; opacity: 0.9; margin-top: 4px;">Starting…</div>
 				</div>
+				<button class="export-close" style="background: none; border: none; color: white; font-size: 18px; cursor: pointer; padding: 0 0 0 8px; align-self: flex-start;">×</button>
 			</div>
 		`;
 
 		document.body.appendChild(notification);
+		notification.querySelector(".export-close").addEventListener("click", () => notification.remove());
 
-		// Auto-remove after 5 seconds
-		setTimeout(() => {
-			if (notification.parentNode) {
-				notification.style.opacity = "0";
-				notification.style.transform = "translateX(100%)";
-				notification.style.transition = "all 0.3s ease";
-				setTimeout(() => notification.remove(), 300);
+		return notification;
+	}
+
+	// Follow the export job behind a notification until it finishes (the notification outlives the player)
+	function followExportJob(notification, jobId) {
+		const fill = notification.querySelector(".export-progress-fill");
+		const status = notification.querySelector(".export-status");
+		const title = notification.querySelector(".export-title");
+
+		const dismiss = delay => {
+			setTimeout(() => {
+				if (notification.parentNode) {
+					notification.style.opacity = "0";
+					notification.style.transform = "translateX(100%)";
+					notification.style.transition = "all 0.3s ease";
+					setTimeout(() => notification.remove(), 300);
+				}
+			}, delay);
+		};
+
+		const unsubscribe = subscribeToJobEvents((type, data) => {
+			if (!notification.parentNode) {
+				unsubscribe(); // Closed by the user
+				return;
 			}
-		}, 5000);
+
+			if (type === "removed" && data.key === `clip:${jobId}`) {
+				unsubscribe();
+				status.textContent = "Export status is no longer available";
+				dismiss(5000);
+				return;
+			}
+
+			const jobs = type === "snapshot" ? data : type === "job" ? [data] : [];
+			const job = jobs.find(candidate => candidate.type === "clip" && candidate.jobId === jobId);
+			if (!job) {
+				return;
+			}
+
+			fill.style.width = `${job.progress}%`;
+
+			if (job.status === "completed") {
+				unsubscribe();
+				const folderUrl = OC.generateUrl(
+					`/apps/files/?dir=${encodeURIComponent(job.exportDir)}&scrollto=${encodeURIComponent(job.outputs[0] || "")}`
+				);
+				title.textContent = "Export Finished";
+				status.innerHTML = `<a href="${folderUrl}" style="color: white; text-decoration: underline;">Open in Files</a>`;
+				dismiss(10000);
+			} else if (job.status === "failed") {
+				unsubscribe();
+				notification.style.background = "#d32f2f";
+				notification.querySelector(".export-icon").textContent = "❌";
+				title.textContent = "Export Failed";
+				status.textContent = job.error || "Unknown error";
+			} else {
+				status.textContent = `${job.progress}%${job.speed ? ` • ${job.speed}` : ""}`;
+			}
+		});
 	}
 
-	// Fixed frame adjustment functions
-	function adjustStartTime(deltaSeconds) {
-		const newStartTime = Math.max(
+	// Frame adjustment functions - markers move by whole frames and stay at least one frame apart
+	function adjustStartTime(deltaFrames) {
+		const startFrame = Math.max(
 			0,
-			Math.min(startTime + deltaSeconds, endTime - 0.1)
+			Math.min(frameIndexAt(startTime) + deltaFrames, frameIndexAt(endTime) - 1)
 		);
-		startTime = newStartTime;
-		video.currentTime = newStartTime; // Seek video to show the frame
+		startTime = frameTime(startFrame);
+		seekToFrame(startFrame); // Seek video to show the frame
 		updateTimelineMarkers();
 		updateTimeDisplays();
 	}
 
-	function adjustEndTime(deltaSeconds) {
-		const newEndTime = Math.max(
-			startTime + 0.1,
-			Math.min(endTime + deltaSeconds, videoDuration)
+	function adjustEndTime(deltaFrames) {
+		const endFrame = Math.max(
+			frameIndexAt(startTime) + 1,
+			Math.min(frameIndexAt(endTime) + deltaFrames, frameIndexAt(videoDuration))
 		);
-		endTime = newEndTime;
-		video.currentTime = newEndTime; // Seek video to show the frame
+		endTime = frameTime(endFrame);
+		seekToFrame(endFrame); // Seek video to show the frame
 		updateTimelineMarkers();
 		updateTimeDisplays();
 	}
 
+	// Timecode mode: the Shaka "timecode" element and clip displays read from here
+	timecodeFormatters.set(video, seconds =>
+		timecodeMode
+			? `${formatTimecode(seconds)} / ${formatTimecode(videoDuration)}`
+			: null
+	);
+
+	modal
+		.querySelector("#toggle-timecode")
+		.addEventListener("click", () => setTimecodeMode(!timecodeMode));
+
+	const timecodeJumpInput = modal.querySelector("#timecode-jump");
+	timecodeJumpInput.addEventListener("keydown", e => {
+		// Keep typing (Backspace, Space, arrows) away from the player shortcuts
+		e.stopPropagation();
+		if (e.key === "Enter" && jumpToTimecode(timecodeJumpInput.value)) {
+			timecodeJumpInput.value = "";
+			timecodeJumpInput.blur();
+		} else if (e.key === "Escape") {
+			timecodeJumpInput.blur();
+		}
+	});
+
+	setTimecodeMode(timecodeMode);
+
 	// Event listeners for clipping controls
 	modal
 		.querySelector("#toggle-clip-mode")
@@ -3347,10 +5807,10 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	// Start time controls - fixed to adjust markers, not seek to current time
 	modal
 		.querySelector("#start-frame-back")
-		.addEventListener("click", () => adjustStartTime(-1 / 30)); // -1 frame at 30fps
+		.addEventListener("click", () => adjustStartTime(-1));
 	modal
 		.querySelector("#start-frame-forward")
-		.addEventListener("click", () => adjustStartTime(1 / 30)); // +1 frame at 30fps
+		.addEventListener("click", () => adjustStartTime(1));
 	modal
 		.querySelector("#start-set-current")
 		.addEventListener("click", () => setCurrentTime(true));
@@ -3358,16 +5818,18 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 	// End time controls - fixed to adjust markers, not seek to current time
 	modal
 		.querySelector("#end-frame-back")
-		.addEventListener("click", () => adjustEndTime(-1 / 30)); // -1 frame at 30fps
+		.addEventListener("click", () => adjustEndTime(-1));
 	modal
 		.querySelector("#end-frame-forward")
-		.addEventListener("click", () => adjustEndTime(1 / 30)); // +1 frame at 30fps
+		.addEventListener("click", () => adjustEndTime(1));
 	modal
 		.querySelector("#end-set-current")
 		.addEventListener("click", () => setCurrentTime(false));
 
 	// Preview and export controls
 	modal.querySelector("#preview-clip").addEventListener("click", previewClip);
+	modal.querySelector("#add-range").addEventListener("click", addRange);
+	modal.querySelector("#new-range").addEventListener("click", deselectRange);
 	modal
 		.querySelector("#reset-markers")
 		.addEventListener("click", resetMarkers);
@@ -3391,12 +5853,56 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 		video.currentTime = seekTime;
 	});
 
+	// Thumbnail preview while hovering the clipping timeline
+	const timelineThumbnail = modal.querySelector("#timeline-thumbnail");
+	let thumbnailRequestId = 0;
+
+	async function showTimelineThumbnail(clientX) {
+		if (!thumbnailsTrack || !player || videoDuration === 0) return;
+
+		const rect = timelineContainer.getBoundingClientRect();
+		const percent = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+		const hoverTime = percent * videoDuration;
+
+		// Ignore responses that arrive after the cursor has moved on
+		const requestId = ++thumbnailRequestId;
+		const thumbnail = await player.getThumbnails(thumbnailsTrack.id, hoverTime);
+		if (!thumbnail || requestId !== thumbnailRequestId) return;
+
+		timelineThumbnail.style.width = `${thumbnail.width}px`;
+		timelineThumbnail.style.height = `${thumbnail.height}px`;
+		timelineThumbnail.style.backgroundImage = `url("${thumbnail.uris[0]}")`;
+		timelineThumbnail.style.backgroundPosition = `-${thumbnail.positionX}px -${thumbnail.positionY}px`;
+		timelineThumbnail.style.backgroundSize = `${thumbnail.imageWidth}px ${thumbnail.imageHeight}px`;
+
+		// Center the tile on the cursor but keep it inside the timeline
+		const left = Math.max(
+			0,
+			Math.min(rect.width - thumbnail.width, clientX - rect.left - thumbnail.width / 2)
+		);
+		timelineThumbnail.style.left = `${left}px`;
+		timelineThumbnail.querySelector("#timeline-thumbnail-time").textContent = formatDisplayTime(hoverTime);
+		timelineThumbnail.style.display = "block";
+	}
+
+	function hideTimelineThumbnail() {
+		thumbnailRequestId++;
+		timelineThumbnail.style.display = "none";
+	}
+
+	timelineContainer.addEventListener("mousemove", e => {
+		if (isDragging) return;
+		showTimelineThumbnail(e.clientX);
+	});
+	timelineContainer.addEventListener("mouseleave", hideTimelineThumbnail);
+
 	// Marker dragging functionality
 	function setupMarkerDragging(marker, isStart) {
 		marker.addEventListener("mousedown", e => {
 			e.preventDefault();
 			e.stopPropagation();
 			isDragging = true;
+			hideTimelineThumbnail();
 			dragTarget = isStart ? "start" : "end";
 			updateControlSelection(dragTarget);
 
@@ -3406,16 +5912,16 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 				const rect = timelineContainer.getBoundingClientRect();
 				const mouseX = e.clientX - rect.left;
 				const percent = Math.max(0, Math.min(1, mouseX / rect.width));
-				const newTime = percent * videoDuration;
+				const newTime = snapToFrame(percent * videoDuration);
 
 				if (isStart) {
-					startTime = Math.min(newTime, endTime - 0.1); // Keep 0.1s minimum gap
+					startTime = Math.min(newTime, endTime - frameTime(1)); // Keep one frame minimum gap
 				} else {
-					endTime = Math.max(newTime, startTime + 0.1);
+					endTime = Math.max(newTime, startTime + frameTime(1));
 				}
 
 				// Update video position to show frame
-				video.currentTime = newTime;
+				seekToFrame(frameIndexAt(isStart ? startTime : endTime));
 
 				updateTimelineMarkers();
 				updateTimeDisplays();
@@ -3441,9 +5947,8 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 				marker.style.boxShadow = "0 0 8px rgba(255,255,255,0.5)";
 				if (tooltip) {
 					tooltip.style.display = "block";
-					tooltip.textContent = formatTime(
-						isStart ? startTime : endTime
-					);
+					const markerTime = isStart ? startTime : endTime;
+					tooltip.textContent = `${formatDisplayTime(markerTime)} · frame ${frameIndexAt(markerTime)} @ ${videoFrameRate} fps`;
 				}
 			}
 		});
@@ -3520,17 +6025,14 @@ function loadShakaPlayer(filename, cachePath, context, directory) {
 			case "ArrowLeft":
 				// Move playback cursor back one frame
 				if (video.currentTime > 0) {
-					video.currentTime = Math.max(0, video.currentTime - 1 / 30);
+					seekToFrame(frameIndexAt(video.currentTime) - 1);
 				}
 				break;
 
 			case "ArrowRight":
 				// Move playback cursor forward one frame
 				if (video.currentTime < video.duration) {
-					video.currentTime = Math.min(
-						video.duration,
-						video.currentTime + 1 / 30
-					);
+					seekToFrame(frameIndexAt(video.currentTime) + 1);
 				}
 				break;
 
@@ -1,8 +1,11 @@
 /**
  * Settings JavaScript for Hyper Viewer
- * Handles cache location configuration UI
+ * Handles cache location configuration, the encoding preset editor and the video formats
  */
 
+// x264 speed presets offered in the preset editor (filled from the server)
+let x264Presets = []
+
 console.log('🎬 Hyper Viewer settings script loaded!')
 
 document.addEventListener('DOMContentLoaded', function() {
@@ -41,6 +44,54 @@ document.addEventListener('DOMContentLoaded', function() {
 			e.target.closest('.cache-location-item').remove()
 		}
 	})
+
+	// Encoding preset editor
+	const addPresetButton = document.getElementById('add-encoding-preset')
+	if (addPresetButton) {
+		addPresetButton.addEventListener('click', function() {
+			console.log('➕ Adding new encoding preset')
+			addEncodingPreset()
+		})
+	}
+
+	const savePresetsButton = document.getElementById('save-encoding-presets')
+	if (savePresetsButton) {
+		savePresetsButton.addEventListener('click', function() {
+			console.log('💾 Saving encoding presets')
+			saveEncodingPresets()
+		})
+	}
+
+	const presetList = document.getElementById('encoding-preset-list')
+	if (presetList) {
+		presetList.addEventListener('click', function(e) {
+			if (e.target.classList.contains('remove-rung')) {
+				e.target.closest('tr').remove()
+			} else if (e.target.classList.contains('remove-preset')) {
+				e.target.closest('.encoding-preset').remove()
+			} else if (e.target.classList.contains('add-rung')) {
+				const tbody = e.target.closest('.encoding-preset').querySelector('tbody')
+				tbody.appendChild(createRungRow({
+					height: 720,
+					maxrate: '3600k',
+					crf: 23,
+					preset: 'veryfast',
+					audioBitrate: '128k',
+				}, false))
+			}
+		})
+		loadEncodingPresets()
+	}
+
+	// Video formats
+	const saveVideoTypesButton = document.getElementById('save-video-types')
+	if (saveVideoTypesButton) {
+		saveVideoTypesButton.addEventListener('click', function() {
+			console.log('💾 Saving video formats')
+			saveVideoTypes()
+		})
+		loadVideoTypes()
+	}
 })
 
 /**
@@ -96,3 +147,257 @@ function saveCacheSettings() {
 			OC.Notification.showTemporary('Error saving cache locations', { type: 'error' })
 		})
 }
+
+/**
+ * Load the built-in and custom encoding presets into the editor
+ */
+function loadEncodingPresets() {
+	fetch(OC.generateUrl('/apps/hyper_viewer/settings/encoding-presets'), {
+		headers: { requesttoken: OC.requestToken },
+	})
+		.then(response => response.json())
+		.then(data => {
+			x264Presets = data.x264Presets || []
+			renderEncodingPresets(data.presets || [])
+		})
+		.catch(error => {
+			console.error('❌ Error loading encoding presets:', error)
+			OC.Notification.showTemporary('Error loading encoding presets', { type: 'error' })
+		})
+}
+
+/**
+ * @param {Array} presets Presets as returned by the server
+ */
+function renderEncodingPresets(presets) {
+	const list = document.getElementById('encoding-preset-list')
+	list.innerHTML = ''
+	presets.forEach(preset => list.appendChild(createPresetCard(preset)))
+}
+
+/**
+ * Build the editor card of one preset; the built-in ladder is shown read-only
+ *
+ * @param {object} preset Preset with id, name, builtin and rungs
+ * @return {HTMLElement}
+ */
+function createPresetCard(preset) {
+	const card = document.createElement('div')
+	card.className = 'encoding-preset'
+	card.dataset.presetId = preset.id || ''
+	card.dataset.builtin = preset.builtin ? 'true' : 'false'
+
+	const header = document.createElement('div')
+	header.className = 'encoding-preset-header'
+
+	const nameInput = document.createElement('input')
+	nameInput.type = 'text'
+	nameInput.className = 'encoding-preset-name'
+	nameInput.placeholder = 'Preset name'
+	nameInput.value = preset.name || ''
+	nameInput.disabled = preset.builtin
+	header.appendChild(nameInput)
+
+	if (preset.builtin) {
+		const hint = document.createElement('span')
+		hint.className = 'settings-hint'
+		hint.textContent = 'Built-in, read-only'
+		header.appendChild(hint)
+	} else {
+		const removeButton = document.createElement('button')
+		removeButton.className = 'icon-delete remove-preset'
+		removeButton.title = 'Remove preset'
+		header.appendChild(removeButton)
+	}
+	card.appendChild(header)
+
+	const table = document.createElement('table')
+	table.innerHTML = `
+		<thead>
+			<tr>
+				<th>Resolution (p)</th>
+				<th>Maxrate</th>
+				<th>CRF</th>
+				<th>x264 preset</th>
+				<th>Audio bitrate</th>
+				<th></th>
+			</tr>
+		</thead>
+		<tbody></tbody>
+	`
+	const tbody = table.querySelector('tbody')
+	preset.rungs.forEach(rung => tbody.appendChild(createRungRow(rung, preset.builtin)))
+	card.appendChild(table)
+
+	if (!preset.builtin) {
+		const addButton = document.createElement('button')
+		addButton.className = 'icon-add add-rung'
+		addButton.textContent = 'Add Rendition'
+		card.appendChild(addButton)
+	}
+
+	return card
+}
+
+/**
+ * @param {object} rung Rendition settings
+ * @param {boolean} readOnly Whether the row can be edited
+ * @return {HTMLElement}
+ */
+function createRungRow(rung, readOnly) {
+	const row = document.createElement('tr')
+	const disabled = readOnly ? 'disabled' : ''
+	const presetOptions = x264Presets
+		.map(name => `<option value="${name}" ${name === rung.preset ? 'selected' : ''}>${name}</option>`)
+		.join('')
+
+	row.innerHTML = `
+		<td><input type="number" class="rung-height" min="144" max="2160" step="2" ${disabled}></td>
+		<td><input type="text" class="rung-maxrate" placeholder="3600k" ${disabled}></td>
+		<td><input type="number" class="rung-crf" min="0" max="51" ${disabled}></td>
+		<td><select class="rung-preset" ${disabled}>${presetOptions}</select></td>
+		<td><input type="text" class="rung-audio-bitrate" placeholder="128k" ${disabled}></td>
+		<td>${readOnly ? '' : '<button class="icon-delete remove-rung" title="Remove rendition"></button>'}</td>
+	`
+	// Values are assigned as properties so user input never becomes markup
+	row.querySelector('.rung-height').value = rung.height
+	row.querySelector('.rung-maxrate').value = rung.maxrate
+	row.querySelector('.rung-crf').value = rung.crf
+	row.querySelector('.rung-audio-bitrate').value = rung.audioBitrate
+
+	return row
+}
+
+/**
+ *
+ */
+function addEncodingPreset() {
+	const list = document.getElementById('encoding-preset-list')
+	const card = createPresetCard({
+		id: '',
+		name: '',
+		builtin: false,
+		rungs: [{
+			height: 720,
+			maxrate: '3600k',
+			crf: 23,
+			preset: 'veryfast',
+			audioBitrate: '128k',
+		}],
+	})
+	list.appendChild(card)
+	card.querySelector('.encoding-preset-name').focus()
+}
+
+/**
+ *
+ */
+function saveEncodingPresets() {
+	const presets = Array.from(document.querySelectorAll('.encoding-preset[data-builtin="false"]'))
+		.map(card => ({
+			id: card.dataset.presetId,
+			name: card.querySelector('.encoding-preset-name').value.trim(),
+			rungs: Array.from(card.querySelectorAll('tbody tr')).map(row => ({
+				height: parseInt(row.querySelector('.rung-height').value, 10),
+				maxrate: row.querySelector('.rung-maxrate').value.trim(),
+				crf: parseInt(row.querySelector('.rung-crf').value, 10),
+				preset: row.querySelector('.rung-preset').value,
+				audioBitrate: row.querySelector('.rung-audio-bitrate').value.trim(),
+			})),
+		}))
+
+	console.log('📤 Saving encoding presets:', presets)
+
+	fetch(OC.generateUrl('/apps/hyper_viewer/settings/encoding-presets'), {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			requesttoken: OC.requestToken,
+		},
+		body: JSON.stringify({ presets }),
+	})
+		.then(response => response.json().then(data => ({ ok: response.ok, data })))
+		.then(({ ok, data }) => {
+			if (!ok) {
+				OC.Notification.showTemporary(data.error || 'Error saving encoding presets', { type: 'error' })
+				return
+			}
+			console.log('✅ Encoding presets saved successfully:', data)
+			renderEncodingPresets(data.presets)
+			OC.Notification.showTemporary('Encoding presets saved successfully')
+		})
+		.catch(error => {
+			console.error('❌ Error saving encoding presets:', error)
+			OC.Notification.showTemporary('Error saving encoding presets', { type: 'error' })
+		})
+}
+
+/**
+ * Load the selectable video formats into the settings
+ */
+function loadVideoTypes() {
+	fetch(OC.generateUrl('/apps/hyper_viewer/settings/video-types'), {
+		headers: { requesttoken: OC.requestToken },
+	})
+		.then(response => response.json())
+		.then(data => renderVideoTypes(data.types || []))
+		.catch(error => {
+			console.error('❌ Error loading video formats:', error)
+			OC.Notification.showTemporary('Error loading video formats', { type: 'error' })
+		})
+}
+
+/**
+ * @param {Array} types Formats with id, label, mimes and enabled
+ */
+function renderVideoTypes(types) {
+	const list = document.getElementById('video-type-list')
+	list.innerHTML = ''
+	types.forEach(type => {
+		const label = document.createElement('label')
+		label.title = type.mimes.join(', ')
+
+		const checkbox = document.createElement('input')
+		checkbox.type = 'checkbox'
+		checkbox.className = 'video-type'
+		checkbox.value = type.id
+		checkbox.checked = type.enabled
+
+		label.appendChild(checkbox)
+		label.appendChild(document.createTextNode(type.label))
+		list.appendChild(label)
+	})
+}
+
+/**
+ *
+ */
+function saveVideoTypes() {
+	const types = Array.from(document.querySelectorAll('.video-type:checked'))
+		.map(checkbox => checkbox.value)
+
+	console.log('📤 Saving video formats:', types)
+
+	fetch(OC.generateUrl('/apps/hyper_viewer/settings/video-types'), {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			requesttoken: OC.requestToken,
+		},
+		body: JSON.stringify({ types }),
+	})
+		.then(response => response.json().then(data => ({ ok: response.ok, data })))
+		.then(({ ok, data }) => {
+			if (!ok) {
+				OC.Notification.showTemporary(data.error || 'Error saving video formats', { type: 'error' })
+				return
+			}
+			console.log('✅ Video formats saved successfully:', data)
+			renderVideoTypes(data.types)
+			OC.Notification.showTemporary('Video formats saved - reload the Files app to update its actions')
+		})
+		.catch(error => {
+			console.error('❌ Error saving video formats:', error)
+			OC.Notification.showTemporary('Error saving video formats', { type: 'error' })
+		})
+}
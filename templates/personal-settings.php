@@ -35,4 +35,23 @@ style('hyper_viewer', 'settings');
 			<li><code>/mnt/cache/.cached_hls/</code> - <?php p($l->t('Absolute path (e.g., mounted storage)')); ?></li>
 		</ul>
 	</div>
+
+	<div class="encoding-presets">
+		<h3><?php p($l->t('Encoding Presets')); ?></h3>
+		<p><?php p($l->t('Named bitrate ladders to pick when generating HLS caches, for example a high quality ladder for archive footage and a lean one for screen recordings. The Default ladder is built in.')); ?></p>
+
+		<div id="encoding-preset-list"></div>
+
+		<button id="add-encoding-preset" class="icon-add"><?php p($l->t('Add Preset')); ?></button>
+		<button id="save-encoding-presets" class="primary"><?php p($l->t('Save Presets')); ?></button>
+	</div>
+
+	<div class="video-types">
+		<h3><?php p($l->t('Video Formats')); ?></h3>
+		<p><?php p($l->t('Files in these formats get the Play, Generate HLS Cache and progressive playback actions, and are picked up by directory and automatic generation.')); ?></p>
+
+		<div id="video-type-list"></div>
+
+		<button id="save-video-types" class="primary"><?php p($l->t('Save Formats')); ?></button>
+	</div>
 </div>